@@ -0,0 +1,361 @@
+/**
+ * ⏰ 自动播放下一集 + 睡眠定时
+ *
+ * 特性：
+ * - 本集播完后倒计时 5 秒自动播放系列中的下一集，可取消或立即播放
+ * - 睡眠定时：本集结束 / 15 / 30 / 60 分钟，结束前音量渐弱再暂停
+ * - 设置保存在 StateManager 偏好中；定时的截止时间也一并保存，切换章节后继续计时
+ *
+ * @version 1.0.0
+ */
+
+window.EnglishSite = window.EnglishSite || {};
+
+class AudioAutoplay {
+    static AUTOPLAY_PATH = 'preferences.autoplayNext';
+    static SLEEP_PATH = 'preferences.sleepTimer';
+    static SLEEP_MINUTES = [15, 30, 60];
+
+    constructor(audioSync, container, options = {}) {
+        this.audioSync = audioSync;
+        this.container = container;
+        this.options = {
+            countdownSeconds: 5,
+            fadeSeconds: 20,
+            getNextChapter: () => null,
+            playChapter: () => {},
+            ...options
+        };
+
+        const appState = window.EnglishSite.AppState;
+        this.state = {
+            isOpen: false,
+            autoplay: !!appState?.get(AudioAutoplay.AUTOPLAY_PATH, false),
+            sleep: this.loadSleepTimer(),   // { mode: 'off' | 'chapter' | 'time', minutes, endsAt }
+            countdown: null,                // { chapter, remaining, timer, element }
+            sleepTimer: null,
+            fading: false,
+            volume: null                    // 渐弱前的音量
+        };
+
+        this.handlers = {
+            click: (e) => this.handleClick(e),
+            change: (e) => this.handleChange(e),
+            ended: (e) => this.handleChapterEnded(e),
+            play: () => this.cancelCountdown(),
+            timeUpdate: () => this.updateChapterFade()
+        };
+
+        this.createElements();
+        this.bindEvents();
+        this.startSleepTimer();
+        this.render();
+    }
+
+    // 🏗️ 创建按钮和面板
+    createElements() {
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'player-tool-btn';
+        this.button.dataset.autoplay = 'toggle';
+        this.button.title = '自动播放和睡眠定时';
+        this.button.setAttribute('aria-expanded', 'false');
+        this.button.textContent = '⏰';
+
+        const sleepOptions = [
+            { value: 'off', label: '关闭' },
+            { value: 'chapter', label: '本集结束' },
+            ...AudioAutoplay.SLEEP_MINUTES.map(minutes => ({ value: String(minutes), label: `${minutes} 分钟` }))
+        ].map(option => `
+            <label class="listening-option">
+                <input type="radio" name="sleep-timer" value="${option.value}">
+                <span>${option.label}</span>
+            </label>
+        `).join('');
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'player-panel autoplay-panel';
+        this.panel.hidden = true;
+        this.panel.innerHTML = `
+            <label class="listening-option">
+                <input type="checkbox" name="autoplay-next">
+                <span>播完自动播放下一集</span>
+            </label>
+            <h4 class="stats-title">😴 睡眠定时</h4>
+            <div class="listening-options">${sleepOptions}</div>
+            <p class="calibration-hint sleep-status"></p>
+        `;
+
+        this.sleepStatus = this.panel.querySelector('.sleep-status');
+
+        this.container.appendChild(this.button);
+        this.container.appendChild(this.panel);
+    }
+
+    bindEvents() {
+        this.button.addEventListener('click', this.handlers.click);
+        this.panel.addEventListener('click', this.handlers.click);
+        this.panel.addEventListener('change', this.handlers.change);
+
+        document.addEventListener('audioChapterEnded', this.handlers.ended);
+        this.audioSync.audioPlayer?.addEventListener('play', this.handlers.play);
+        this.audioSync.audioPlayer?.addEventListener('timeupdate', this.handlers.timeUpdate);
+    }
+
+    handleClick(event) {
+        const action = event.target.closest('[data-autoplay]');
+        if (!action) return;
+
+        switch (action.dataset.autoplay) {
+            case 'toggle':
+                this.toggle();
+                break;
+            case 'play-next':
+                this.finishCountdown();
+                break;
+            case 'cancel':
+                this.cancelCountdown();
+                break;
+        }
+    }
+
+    handleChange(event) {
+        const input = event.target;
+
+        if (input.name === 'autoplay-next') {
+            this.state.autoplay = input.checked;
+            window.EnglishSite.AppState?.set(AudioAutoplay.AUTOPLAY_PATH, input.checked, { source: 'audioAutoplay' });
+            if (!input.checked) this.cancelCountdown();
+        } else if (input.name === 'sleep-timer') {
+            this.setSleepTimer(input.value);
+        }
+        this.render();
+    }
+
+    toggle(open) {
+        this.state.isOpen = typeof open === 'boolean' ? open : !this.state.isOpen;
+        this.panel.hidden = !this.state.isOpen;
+        this.button.setAttribute('aria-expanded', String(this.state.isOpen));
+    }
+
+    // 🏁 本集播完：睡眠定时为"本集结束"时到此为止，否则按设置自动播放下一集
+    handleChapterEnded(event) {
+        // 其他 AudioSync（如复习页的单句播放）结束时不处理
+        if (event?.detail?.chapterId !== this.audioSync.config?.chapterId) return;
+
+        if (this.state.sleep.mode === 'chapter') {
+            this.stopForSleep();
+            return;
+        }
+
+        const chapter = this.state.autoplay ? this.options.getNextChapter() : null;
+        if (chapter) {
+            this.startCountdown(chapter);
+        }
+    }
+
+    // ⏭️ 可取消的倒计时
+    startCountdown(chapter) {
+        this.cancelCountdown();
+
+        const element = document.createElement('div');
+        element.className = 'player-panel resume-prompt autoplay-countdown';
+        element.setAttribute('role', 'status');
+        element.innerHTML = `
+            <span class="resume-prompt-text"></span>
+            <button type="button" data-autoplay="play-next">▶️ 立即播放</button>
+            <button type="button" data-autoplay="cancel">取消</button>
+        `;
+        element.addEventListener('click', this.handlers.click);
+        this.container.appendChild(element);
+
+        this.state.countdown = {
+            chapter,
+            remaining: this.options.countdownSeconds,
+            element,
+            timer: setInterval(() => this.tickCountdown(), 1000)
+        };
+        this.renderCountdown();
+    }
+
+    tickCountdown() {
+        const countdown = this.state.countdown;
+        if (!countdown) return;
+
+        countdown.remaining--;
+        if (countdown.remaining <= 0) {
+            this.finishCountdown();
+        } else {
+            this.renderCountdown();
+        }
+    }
+
+    renderCountdown() {
+        const { chapter, remaining, element } = this.state.countdown;
+        const label = element.querySelector('.resume-prompt-text');
+        label.textContent = `${remaining} 秒后播放下一集：${chapter.title}`;
+        label.title = chapter.title;
+    }
+
+    finishCountdown() {
+        const countdown = this.state.countdown;
+        if (!countdown) return;
+
+        this.cancelCountdown();
+        this.options.playChapter(countdown.chapter.id);
+    }
+
+    cancelCountdown() {
+        const countdown = this.state.countdown;
+        if (!countdown) return;
+
+        clearInterval(countdown.timer);
+        countdown.element.remove();
+        this.state.countdown = null;
+    }
+
+    // 😴 睡眠定时
+    loadSleepTimer() {
+        const saved = window.EnglishSite.AppState?.get(AudioAutoplay.SLEEP_PATH, null) || {};
+
+        if (saved.mode === 'chapter') {
+            return { mode: 'chapter', minutes: null, endsAt: null };
+        }
+        if (saved.mode === 'time' && saved.endsAt > Date.now()) {
+            return { mode: 'time', minutes: saved.minutes, endsAt: saved.endsAt };
+        }
+        return { mode: 'off', minutes: null, endsAt: null };
+    }
+
+    setSleepTimer(value) {
+        const minutes = parseInt(value, 10);
+
+        this.stopSleepTimer();
+        if (value === 'chapter') {
+            this.state.sleep = { mode: 'chapter', minutes: null, endsAt: null };
+        } else if (minutes > 0) {
+            this.state.sleep = { mode: 'time', minutes, endsAt: Date.now() + minutes * 60000 };
+        } else {
+            this.state.sleep = { mode: 'off', minutes: null, endsAt: null };
+        }
+
+        window.EnglishSite.AppState?.set(AudioAutoplay.SLEEP_PATH, { ...this.state.sleep }, { source: 'audioAutoplay' });
+        this.startSleepTimer();
+    }
+
+    startSleepTimer() {
+        if (this.state.sleep.mode !== 'time' || this.state.sleepTimer) return;
+
+        this.state.sleepTimer = setInterval(() => this.tickSleepTimer(), 1000);
+        this.tickSleepTimer();
+    }
+
+    stopSleepTimer() {
+        clearInterval(this.state.sleepTimer);
+        this.state.sleepTimer = null;
+        this.restoreVolume();
+    }
+
+    tickSleepTimer() {
+        const remaining = (this.state.sleep.endsAt - Date.now()) / 1000;
+
+        if (remaining <= 0) {
+            this.stopForSleep();
+            return;
+        }
+
+        this.applyFade(remaining);
+        this.renderSleepStatus();
+    }
+
+    // 本集结束模式：最后几秒渐弱
+    updateChapterFade() {
+        if (this.state.sleep.mode !== 'chapter') return;
+
+        const duration = this.audioSync.getDuration();
+        const audioPlayer = this.audioSync.audioPlayer;
+        if (!duration || !audioPlayer) return;
+
+        this.applyFade(duration - audioPlayer.currentTime);
+    }
+
+    // 🔉 剩余时间进入渐弱区间后按比例降低音量
+    applyFade(remaining) {
+        const audioPlayer = this.audioSync.audioPlayer;
+        if (!audioPlayer) return;
+
+        if (remaining >= this.options.fadeSeconds) {
+            this.restoreVolume();
+            return;
+        }
+
+        if (!this.state.fading) {
+            this.state.fading = true;
+            this.state.volume = audioPlayer.volume;
+        }
+        audioPlayer.volume = this.state.volume * Math.max(0, remaining / this.options.fadeSeconds);
+    }
+
+    restoreVolume() {
+        if (!this.state.fading) return;
+
+        if (this.audioSync.audioPlayer) {
+            this.audioSync.audioPlayer.volume = this.state.volume;
+        }
+        this.state.fading = false;
+        this.state.volume = null;
+    }
+
+    stopForSleep() {
+        this.cancelCountdown();
+        this.audioSync.pause();
+        this.setSleepTimer('off');
+        this.sleepStatus.textContent = '😴 已按定时停止播放';
+        this.render(false);
+    }
+
+    // 🎨 同步设置
+    render(updateStatus = true) {
+        this.panel.querySelector('input[name="autoplay-next"]').checked = this.state.autoplay;
+
+        const sleepValue = this.state.sleep.mode === 'time' ? String(this.state.sleep.minutes) : this.state.sleep.mode;
+        this.panel.querySelectorAll('input[name="sleep-timer"]').forEach(input => {
+            input.checked = input.value === sleepValue;
+        });
+
+        this.button.classList.toggle('active', this.state.autoplay || this.state.sleep.mode !== 'off');
+        if (updateStatus) {
+            this.renderSleepStatus();
+        }
+    }
+
+    renderSleepStatus() {
+        const sleep = this.state.sleep;
+        let text = '';
+
+        if (sleep.mode === 'chapter') {
+            text = '本集播完后停止';
+        } else if (sleep.mode === 'time') {
+            const remaining = Math.max(0, Math.ceil((sleep.endsAt - Date.now()) / 1000));
+            text = `${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')} 后停止`;
+        }
+
+        this.sleepStatus.textContent = text;
+        this.button.title = text ? `自动播放和睡眠定时（${text}）` : '自动播放和睡眠定时';
+    }
+
+    destroy() {
+        this.cancelCountdown();
+        this.stopSleepTimer();
+
+        document.removeEventListener('audioChapterEnded', this.handlers.ended);
+        this.audioSync.audioPlayer?.removeEventListener('play', this.handlers.play);
+        this.audioSync.audioPlayer?.removeEventListener('timeupdate', this.handlers.timeUpdate);
+
+        this.button.remove();
+        this.panel.remove();
+    }
+}
+
+// 注册到全局命名空间
+window.EnglishSite.AudioAutoplay = AudioAutoplay;
@@ -0,0 +1,241 @@
+/**
+ * ⏱️ 字幕偏移校准面板
+ *
+ * 特性：
+ * - ±100ms 微调，实时生效
+ * - "听到这句时点击" 自动推算偏移
+ * - 点击添加漂移锚点，修正逐渐累积的时间误差
+ * - 偏移和锚点通过 AudioSync 按章节保存
+ *
+ * @version 1.0.0
+ */
+
+window.EnglishSite = window.EnglishSite || {};
+
+class AudioCalibration {
+    constructor(audioSync, container, options = {}) {
+        this.audioSync = audioSync;
+        this.container = container;
+        this.options = {
+            nudgeMs: 100,
+            tapLeadTime: 1,     // 目标句至少在当前时间之后多少秒
+            tapMissTime: 4,     // 目标句开始多少秒后仍未点击则换下一句
+            ...options
+        };
+
+        this.state = {
+            isOpen: false,
+            tapCueIndex: -1,
+            tapMode: 'offset',  // 'offset' | 'anchor'
+            message: ''
+        };
+
+        this.handlers = {
+            click: (e) => this.handleClick(e),
+            offsetChanged: () => this.render(),
+            anchorsChanged: () => this.render(),
+            timeUpdate: () => this.handleTapTimeUpdate()
+        };
+
+        this.createElements();
+        document.addEventListener('audioOffsetChanged', this.handlers.offsetChanged);
+        document.addEventListener('audioTimingAnchorsChanged', this.handlers.anchorsChanged);
+        document.addEventListener('audioSourceChanged', this.handlers.offsetChanged);
+    }
+
+    // 🏗️ 创建按钮和面板
+    createElements() {
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'player-tool-btn';
+        this.button.dataset.calibration = 'toggle';
+        this.button.title = '字幕时间校准';
+        this.button.setAttribute('aria-expanded', 'false');
+        this.button.textContent = '⏱️';
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'player-panel audio-calibration-panel';
+        this.panel.hidden = true;
+        this.panel.innerHTML = `
+            <div class="calibration-row">
+                <span>字幕偏移</span>
+                <strong class="calibration-value"></strong>
+            </div>
+            <div class="calibration-row">
+                <button type="button" data-calibration="nudge" data-delta="-${this.options.nudgeMs}">−${this.options.nudgeMs}ms</button>
+                <button type="button" data-calibration="nudge" data-delta="${this.options.nudgeMs}">+${this.options.nudgeMs}ms</button>
+                <button type="button" data-calibration="reset">重置</button>
+            </div>
+            <p class="calibration-prompt"></p>
+            <button type="button" class="calibration-tap" data-calibration="tap-start" data-mode="offset">👂 听到句子时点击校准</button>
+            <div class="calibration-anchors">
+                <div class="calibration-row">
+                    <span>漂移锚点</span>
+                    <strong class="calibration-anchor-count"></strong>
+                </div>
+                <div class="calibration-row">
+                    <button type="button" data-calibration="tap-start" data-mode="anchor">📍 添加锚点</button>
+                    <button type="button" data-calibration="clear-anchors">清除</button>
+                </div>
+                <p class="calibration-hint">字幕越往后偏差越大时，在开头和结尾附近各添加一个锚点</p>
+            </div>
+        `;
+
+        this.valueElement = this.panel.querySelector('.calibration-value');
+        this.promptElement = this.panel.querySelector('.calibration-prompt');
+        this.tapButton = this.panel.querySelector('.calibration-tap');
+        this.anchorCountElement = this.panel.querySelector('.calibration-anchor-count');
+
+        this.container.appendChild(this.button);
+        this.container.appendChild(this.panel);
+
+        this.button.addEventListener('click', this.handlers.click);
+        this.panel.addEventListener('click', this.handlers.click);
+
+        this.render();
+    }
+
+    handleClick(event) {
+        const action = event.target.closest('[data-calibration]');
+        if (!action) return;
+
+        switch (action.dataset.calibration) {
+            case 'toggle':
+                this.toggle();
+                break;
+            case 'nudge':
+                this.audioSync.nudgeTimeOffset(parseInt(action.dataset.delta, 10));
+                this.state.message = '';
+                break;
+            case 'reset':
+                this.stopTapMode();
+                this.audioSync.setTimeOffset(0);
+                this.state.message = '';
+                break;
+            case 'tap-start':
+                this.startTapMode(action.dataset.mode);
+                break;
+            case 'clear-anchors':
+                this.stopTapMode();
+                this.audioSync.clearTimingAnchors();
+                this.state.message = '';
+                break;
+            case 'tap':
+                this.handleTap();
+                break;
+        }
+
+        this.render();
+    }
+
+    toggle(open) {
+        this.state.isOpen = typeof open === 'boolean' ? open : !this.state.isOpen;
+        this.panel.hidden = !this.state.isOpen;
+        this.button.setAttribute('aria-expanded', String(this.state.isOpen));
+
+        if (!this.state.isOpen) {
+            this.stopTapMode();
+        }
+    }
+
+    // 👂 点击校准：选定即将播放的一句，用户听到时点击
+    startTapMode(mode = 'offset') {
+        const index = this.findUpcomingCue();
+        if (index === -1) {
+            this.state.message = '没有可用于校准的句子';
+            return;
+        }
+
+        this.state.tapMode = mode;
+        this.state.tapCueIndex = index;
+        this.state.message = '';
+
+        if (this.audioSync.audioPlayer) {
+            this.audioSync.audioPlayer.addEventListener('timeupdate', this.handlers.timeUpdate);
+        }
+        if (this.audioSync.isPaused()) {
+            this.audioSync.play();
+        }
+    }
+
+    stopTapMode() {
+        this.state.tapCueIndex = -1;
+        if (this.audioSync.audioPlayer) {
+            this.audioSync.audioPlayer.removeEventListener('timeupdate', this.handlers.timeUpdate);
+        }
+    }
+
+    handleTap() {
+        const cue = this.audioSync.getCues()[this.state.tapCueIndex];
+        this.stopTapMode();
+        if (!cue) return;
+
+        if (this.state.tapMode === 'anchor') {
+            const time = this.audioSync.addTimingAnchorFromTap(cue.id);
+            if (time !== null) {
+                this.state.message = `📍 已添加锚点：第 ${cue.id} 句 → ${time.toFixed(2)} s`;
+            }
+            return;
+        }
+
+        const offset = this.audioSync.calibrateFromTap(cue.id);
+        if (offset !== null) {
+            this.state.message = `✅ 已校准：${this.formatOffset(offset)}`;
+        }
+    }
+
+    // 目标句已错过时换下一句
+    handleTapTimeUpdate() {
+        const cues = this.audioSync.getCues();
+        const cue = cues[this.state.tapCueIndex];
+        if (!cue) return;
+
+        if (this.audioSync.getCurrentTime() > cue.startTime + this.options.tapMissTime) {
+            this.state.tapCueIndex = this.findUpcomingCue();
+            this.render();
+        }
+    }
+
+    findUpcomingCue() {
+        const cues = this.audioSync.getCues();
+        const threshold = this.audioSync.getCurrentTime() + this.options.tapLeadTime;
+        const next = cues.findIndex(cue => cue.startTime >= threshold);
+        return next !== -1 ? next : (cues.length ? 0 : -1);
+    }
+
+    // 🎨 更新显示
+    render() {
+        this.valueElement.textContent = this.formatOffset(this.audioSync.getTimeOffset());
+        this.anchorCountElement.textContent = String(Object.keys(this.audioSync.getTimingAnchors()).length);
+
+        const cue = this.audioSync.getCues()[this.state.tapCueIndex];
+        if (cue) {
+            const text = cue.text ? cue.text.replace(/\s+/g, ' ') : `第 ${cue.id} 句`;
+            this.promptElement.textContent = `听到这句开始时点击：“${text}”`;
+            this.tapButton.dataset.calibration = 'tap';
+            this.tapButton.textContent = this.state.tapMode === 'anchor' ? '📍 就是现在' : '👆 就是现在';
+            this.tapButton.classList.add('is-tapping');
+        } else {
+            this.promptElement.textContent = this.state.message;
+            this.tapButton.dataset.calibration = 'tap-start';
+            this.tapButton.textContent = '👂 听到句子时点击校准';
+            this.tapButton.classList.remove('is-tapping');
+        }
+    }
+
+    formatOffset(offset) {
+        return `${offset >= 0 ? '+' : '−'}${Math.abs(offset).toFixed(2)} s`;
+    }
+
+    destroy() {
+        this.stopTapMode();
+        document.removeEventListener('audioOffsetChanged', this.handlers.offsetChanged);
+        document.removeEventListener('audioTimingAnchorsChanged', this.handlers.anchorsChanged);
+        document.removeEventListener('audioSourceChanged', this.handlers.offsetChanged);
+        this.button.remove();
+        this.panel.remove();
+    }
+}
+
+// 注册到全局命名空间
+window.EnglishSite.AudioCalibration = AudioCalibration;
@@ -0,0 +1,350 @@
+/**
+ * ⌨️ 章节音频键盘快捷键
+ *
+ * 特性：
+ * - 播放/暂停、上一句/下一句、重听本句、±5秒、调速
+ * - 跟读模式开关与跳过停顿
+ * - 帮助浮层（?）和按键重新绑定，保存在 StateManager 偏好中
+ *
+ * @version 1.0.0
+ */
+
+window.EnglishSite = window.EnglishSite || {};
+
+class AudioKeyboard {
+    // 动作定义：默认按键 + 说明
+    static ACTIONS = {
+        togglePlay: { key: 'Space', label: '播放 / 暂停' },
+        previousCue: { key: 'j', label: '上一句' },
+        nextCue: { key: 'l', label: '下一句' },
+        replayCue: { key: 'r', label: '重听本句' },
+        seekBack: { key: 'ArrowLeft', label: '后退 5 秒' },
+        seekForward: { key: 'ArrowRight', label: '前进 5 秒' },
+        slower: { key: '[', label: '减速' },
+        faster: { key: ']', label: '加速' },
+        toggleShadowing: { key: 'Shift+S', label: '跟读模式开关' },
+        skipGap: { key: 'n', label: '跳过跟读停顿' },
+        showHelp: { key: '?', label: '显示快捷键帮助' }
+    };
+
+    static PREFERENCE_PATH = 'preferences.audioKeyboard';
+
+    constructor(audioSync, container, options = {}) {
+        this.audioSync = audioSync;
+        this.container = container;
+        this.options = {
+            seekSeconds: 5,
+            rateStep: 0.1,
+            ...options
+        };
+
+        this.state = {
+            bindings: this.loadBindings(),
+            isHelpOpen: false,
+            capturingAction: null,
+            toastTimer: null
+        };
+
+        this.handlers = {
+            keydown: (e) => this.handleKeydown(e),
+            click: (e) => this.handleClick(e)
+        };
+
+        this.createElements();
+        document.addEventListener('keydown', this.handlers.keydown);
+    }
+
+    // 💾 绑定：默认值 + 用户覆盖
+    loadBindings() {
+        const bindings = {};
+        for (const [action, definition] of Object.entries(AudioKeyboard.ACTIONS)) {
+            bindings[action] = definition.key;
+        }
+
+        try {
+            const saved = window.EnglishSite.AppState?.get(AudioKeyboard.PREFERENCE_PATH, null);
+            if (saved && typeof saved === 'object') {
+                for (const [action, key] of Object.entries(saved)) {
+                    // 空字符串表示用户解除了该绑定
+                    if (action in bindings && typeof key === 'string') {
+                        bindings[action] = key;
+                    }
+                }
+            }
+        } catch (error) {
+            console.warn('[AudioKeyboard] ⚠️ 快捷键设置读取失败:', error);
+        }
+
+        return bindings;
+    }
+
+    saveBindings() {
+        try {
+            const overrides = {};
+            for (const [action, key] of Object.entries(this.state.bindings)) {
+                if (key !== AudioKeyboard.ACTIONS[action].key) {
+                    overrides[action] = key;
+                }
+            }
+            window.EnglishSite.AppState?.set(AudioKeyboard.PREFERENCE_PATH, overrides, { source: 'audioKeyboard' });
+        } catch (error) {
+            console.warn('[AudioKeyboard] ⚠️ 快捷键设置保存失败:', error);
+        }
+    }
+
+    // 🏗️ 帮助按钮、浮层和提示
+    createElements() {
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'player-tool-btn';
+        this.button.dataset.keyboard = 'toggle-help';
+        this.button.title = '键盘快捷键 (?)';
+        this.button.setAttribute('aria-expanded', 'false');
+        this.button.textContent = '⌨️';
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'keyboard-help-overlay';
+        this.overlay.hidden = true;
+        this.overlay.setAttribute('role', 'dialog');
+        this.overlay.setAttribute('aria-modal', 'true');
+        this.overlay.setAttribute('aria-label', '键盘快捷键');
+
+        this.toast = document.createElement('div');
+        this.toast.className = 'player-toast';
+        this.toast.setAttribute('aria-live', 'polite');
+
+        this.container.appendChild(this.button);
+        this.container.appendChild(this.toast);
+        document.body.appendChild(this.overlay);
+
+        this.button.addEventListener('click', this.handlers.click);
+        this.overlay.addEventListener('click', this.handlers.click);
+    }
+
+    renderHelp() {
+        const rows = Object.entries(AudioKeyboard.ACTIONS).map(([action, definition]) => {
+            const capturing = this.state.capturingAction === action;
+            return `
+                <tr>
+                    <td>${definition.label}</td>
+                    <td><kbd>${capturing ? '请按新按键…' : (this.formatKey(this.state.bindings[action]) || '未设置')}</kbd></td>
+                    <td><button type="button" data-keyboard="rebind" data-action="${action}">${capturing ? '取消' : '修改'}</button></td>
+                </tr>
+            `;
+        }).join('');
+
+        this.overlay.innerHTML = `
+            <div class="keyboard-help-dialog">
+                <div class="keyboard-help-header">
+                    <h3>⌨️ 键盘快捷键</h3>
+                    <button type="button" class="keyboard-help-close" data-keyboard="close-help" aria-label="关闭">×</button>
+                </div>
+                <table class="keyboard-help-table">
+                    <tbody>${rows}</tbody>
+                </table>
+                <div class="keyboard-help-footer">
+                    <span>Alt+点击句子：单句循环；Shift+点击：标记循环区间</span>
+                    <button type="button" data-keyboard="reset-bindings">恢复默认</button>
+                </div>
+            </div>
+        `;
+    }
+
+    toggleHelp(open) {
+        this.state.isHelpOpen = typeof open === 'boolean' ? open : !this.state.isHelpOpen;
+        this.state.capturingAction = null;
+        this.overlay.hidden = !this.state.isHelpOpen;
+        this.button.setAttribute('aria-expanded', String(this.state.isHelpOpen));
+
+        if (this.state.isHelpOpen) {
+            this.renderHelp();
+            this.overlay.querySelector('.keyboard-help-close')?.focus();
+        }
+    }
+
+    handleClick(event) {
+        if (event.target === this.overlay) {
+            this.toggleHelp(false);
+            return;
+        }
+
+        const action = event.target.closest('[data-keyboard]');
+        if (!action) return;
+
+        switch (action.dataset.keyboard) {
+            case 'toggle-help':
+                this.toggleHelp();
+                break;
+            case 'close-help':
+                this.toggleHelp(false);
+                break;
+            case 'rebind':
+                this.state.capturingAction = this.state.capturingAction === action.dataset.action ?
+                    null : action.dataset.action;
+                this.renderHelp();
+                break;
+            case 'reset-bindings':
+                this.resetBindings();
+                break;
+        }
+    }
+
+    // 🎹 按键处理
+    handleKeydown(event) {
+        try {
+            if (this.isTypingTarget(event.target)) return;
+
+            const combo = this.getKeyCombo(event);
+            if (!combo) return;
+
+            if (this.state.capturingAction) {
+                event.preventDefault();
+                if (combo !== 'Escape') {
+                    this.rebind(this.state.capturingAction, combo);
+                }
+                this.state.capturingAction = null;
+                this.renderHelp();
+                return;
+            }
+
+            if (combo === 'Escape' && this.state.isHelpOpen) {
+                event.preventDefault();
+                this.toggleHelp(false);
+                return;
+            }
+
+            // 空格在按钮、链接和原生播放器上保持默认行为
+            if (combo === 'Space' && event.target.closest?.('button, a, audio, [role="button"]')) return;
+
+            const action = Object.keys(this.state.bindings).find(name => this.state.bindings[name] === combo);
+            if (!action) return;
+
+            event.preventDefault();
+            this.runAction(action);
+        } catch (error) {
+            console.warn('[AudioKeyboard] ⚠️ 按键处理失败:', error);
+        }
+    }
+
+    runAction(action) {
+        const audioSync = this.audioSync;
+
+        switch (action) {
+            case 'togglePlay':
+                audioSync.togglePlay();
+                break;
+            case 'previousCue':
+                audioSync.previousCue();
+                break;
+            case 'nextCue':
+                audioSync.nextCue();
+                break;
+            case 'replayCue':
+                audioSync.replayCue();
+                break;
+            case 'seekBack':
+                audioSync.seekBy(-this.options.seekSeconds);
+                this.showToast(`⏪ ${this.options.seekSeconds} 秒`);
+                break;
+            case 'seekForward':
+                audioSync.seekBy(this.options.seekSeconds);
+                this.showToast(`⏩ ${this.options.seekSeconds} 秒`);
+                break;
+            case 'slower':
+                this.showToast(`🐢 ${audioSync.changePlaybackRate(-this.options.rateStep)}×`);
+                break;
+            case 'faster':
+                this.showToast(`🐇 ${audioSync.changePlaybackRate(this.options.rateStep)}×`);
+                break;
+            case 'toggleShadowing':
+                this.showToast(audioSync.toggleShadowing() ? '🗣️ 跟读模式已开启' : '🗣️ 跟读模式已关闭');
+                break;
+            case 'skipGap':
+                audioSync.skipShadowingGap();
+                break;
+            case 'showHelp':
+                this.toggleHelp();
+                break;
+        }
+    }
+
+    // 🔧 将按键事件规范为 "Shift+ArrowLeft"、"Space"、"j"、"?" 等形式
+    getKeyCombo(event) {
+        let key = event.key;
+        if (!key || ['Shift', 'Control', 'Alt', 'Meta'].includes(key)) return null;
+
+        if (key === ' ') key = 'Space';
+
+        const modifiers = [];
+        if (event.ctrlKey) modifiers.push('Ctrl');
+        if (event.altKey) modifiers.push('Alt');
+        if (event.metaKey) modifiers.push('Meta');
+
+        if (key.length === 1 && /[a-z]/i.test(key)) {
+            // 字母：Shift 作为修饰键，按键统一小写
+            if (event.shiftKey) modifiers.push('Shift');
+            key = event.shiftKey ? key.toUpperCase() : key.toLowerCase();
+        } else if (key.length > 1 && event.shiftKey) {
+            // 命名键（方向键等）：Shift 作为修饰键；符号键的 Shift 已体现在字符中
+            modifiers.push('Shift');
+        }
+
+        return [...modifiers, key].join('+');
+    }
+
+    isTypingTarget(target) {
+        return !!target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName));
+    }
+
+    formatKey(combo) {
+        const names = { Space: '空格', ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' };
+        return combo.split('+').map(part => names[part] || part).join(' + ');
+    }
+
+    // 🔁 重新绑定：同一按键只保留给最新的动作
+    rebind(action, combo) {
+        if (!(action in this.state.bindings)) return;
+
+        for (const [name, key] of Object.entries(this.state.bindings)) {
+            if (key === combo && name !== action) {
+                this.state.bindings[name] = '';
+            }
+        }
+        this.state.bindings[action] = combo;
+        this.saveBindings();
+    }
+
+    resetBindings() {
+        this.state.bindings = {};
+        for (const [action, definition] of Object.entries(AudioKeyboard.ACTIONS)) {
+            this.state.bindings[action] = definition.key;
+        }
+        this.saveBindings();
+        this.renderHelp();
+    }
+
+    getBindings() {
+        return { ...this.state.bindings };
+    }
+
+    showToast(message) {
+        this.toast.textContent = message;
+        this.toast.classList.add('visible');
+
+        clearTimeout(this.state.toastTimer);
+        this.state.toastTimer = setTimeout(() => {
+            this.toast.classList.remove('visible');
+        }, 900);
+    }
+
+    destroy() {
+        clearTimeout(this.state.toastTimer);
+        document.removeEventListener('keydown', this.handlers.keydown);
+        this.button.remove();
+        this.toast.remove();
+        this.overlay.remove();
+    }
+}
+
+// 注册到全局命名空间
+window.EnglishSite.AudioKeyboard = AudioKeyboard;
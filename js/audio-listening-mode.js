@@ -0,0 +1,132 @@
+/**
+ * 🙈 听力模式面板
+ *
+ * 特性：
+ * - 显示全文 / 隐藏全部 / 隐藏未播放的句子
+ * - 可选点击句子揭示
+ * - 设置由 AudioSync 保存在偏好中，对所有章节生效
+ *
+ * @version 1.0.0
+ */
+
+window.EnglishSite = window.EnglishSite || {};
+
+class AudioListeningMode {
+    static MODES = [
+        { value: 'none', label: '显示全文' },
+        { value: 'all', label: '隐藏全部' },
+        { value: 'future', label: '隐藏未播放的句子' }
+    ];
+
+    constructor(audioSync, container) {
+        this.audioSync = audioSync;
+        this.container = container;
+
+        this.state = {
+            isOpen: false
+        };
+
+        this.handlers = {
+            click: (e) => this.handleClick(e),
+            change: (e) => this.handleChange(e),
+            modeChanged: () => this.render()
+        };
+
+        this.createElements();
+        document.addEventListener('audioTranscriptModeChanged', this.handlers.modeChanged);
+    }
+
+    // 🏗️ 创建按钮和面板
+    createElements() {
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'player-tool-btn';
+        this.button.dataset.listening = 'toggle';
+        this.button.title = '听力模式';
+        this.button.setAttribute('aria-expanded', 'false');
+
+        const options = AudioListeningMode.MODES.map(mode => `
+            <label class="listening-option">
+                <input type="radio" name="listening-mode" value="${mode.value}">
+                <span>${mode.label}</span>
+            </label>
+        `).join('');
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'player-panel listening-mode-panel';
+        this.panel.hidden = true;
+        this.panel.innerHTML = `
+            <div class="listening-options">${options}</div>
+            <label class="listening-option">
+                <input type="checkbox" name="listening-reveal-on-click">
+                <span>点击句子显示</span>
+            </label>
+            <button type="button" data-listening="reveal-all">全部显示</button>
+        `;
+
+        this.container.appendChild(this.button);
+        this.container.appendChild(this.panel);
+
+        this.button.addEventListener('click', this.handlers.click);
+        this.panel.addEventListener('click', this.handlers.click);
+        this.panel.addEventListener('change', this.handlers.change);
+
+        this.render();
+    }
+
+    handleClick(event) {
+        const action = event.target.closest('[data-listening]');
+        if (!action) return;
+
+        switch (action.dataset.listening) {
+            case 'toggle':
+                this.toggle();
+                break;
+            case 'reveal-all':
+                this.audioSync.revealAll();
+                break;
+        }
+    }
+
+    handleChange(event) {
+        const input = event.target;
+
+        if (input.name === 'listening-mode') {
+            this.audioSync.setTranscriptMode({ hide: input.value });
+        } else if (input.name === 'listening-reveal-on-click') {
+            this.audioSync.setTranscriptMode({ revealOnClick: input.checked });
+        }
+    }
+
+    toggle(open) {
+        this.state.isOpen = typeof open === 'boolean' ? open : !this.state.isOpen;
+        this.panel.hidden = !this.state.isOpen;
+        this.button.setAttribute('aria-expanded', String(this.state.isOpen));
+    }
+
+    // 🎨 同步当前模式
+    render() {
+        const mode = this.audioSync.getTranscriptMode();
+
+        this.panel.querySelectorAll('input[name="listening-mode"]').forEach(input => {
+            input.checked = input.value === mode.hide;
+        });
+
+        const revealOnClick = this.panel.querySelector('input[name="listening-reveal-on-click"]');
+        revealOnClick.checked = mode.revealOnClick;
+        revealOnClick.disabled = mode.hide === 'none';
+        this.panel.querySelector('[data-listening="reveal-all"]').disabled = mode.hide === 'none';
+
+        this.button.textContent = mode.hide === 'none' ? '👁️' : '🙈';
+        this.button.classList.toggle('active', mode.hide !== 'none');
+    }
+
+    destroy() {
+        document.removeEventListener('audioTranscriptModeChanged', this.handlers.modeChanged);
+        this.button.remove();
+        this.panel.remove();
+    }
+}
+
+// 注册到全局命名空间
+window.EnglishSite.AudioListeningMode = AudioListeningMode;
@@ -0,0 +1,108 @@
+/**
+ * ⏯️ 继续播放提示
+ *
+ * 特性：
+ * - 重新打开章节时显示上次听到的句子
+ * - 一键从该句开始继续播放
+ * - 用户自行开始播放或关闭后不再打扰
+ * - 由分享链接打开时以链接位置为准，不提示
+ *
+ * @version 1.0.0
+ */
+
+window.EnglishSite = window.EnglishSite || {};
+
+class AudioResumePrompt {
+    constructor(audioSync, container, options = {}) {
+        this.audioSync = audioSync;
+        this.container = container;
+        this.options = {
+            minResumeTime: 5,   // 只听了开头几秒不提示
+            maxTextLength: 80,
+            ...options
+        };
+
+        this.handlers = {
+            click: (e) => this.handleClick(e),
+            play: () => this.dismiss()
+        };
+
+        this.prompt = null;
+        this.render();
+    }
+
+    // 🏗️ 有可继续的位置时才创建提示
+    render() {
+        if (this.audioSync.config.deepLink) return;
+
+        const saved = this.audioSync.getSavedPosition();
+        if (!saved || saved.time < this.options.minResumeTime) return;
+
+        this.prompt = document.createElement('div');
+        this.prompt.className = 'player-panel resume-prompt';
+        this.prompt.setAttribute('role', 'status');
+
+        const label = document.createElement('span');
+        label.className = 'resume-prompt-text';
+        label.textContent = saved.cueText ?
+            `从“${this.truncate(saved.cueText)}”继续播放` :
+            `从 ${this.formatTime(saved.time)} 继续播放`;
+        label.title = saved.cueText || '';
+
+        const resumeButton = document.createElement('button');
+        resumeButton.type = 'button';
+        resumeButton.dataset.resume = 'resume';
+        resumeButton.textContent = '▶️ 继续';
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.dataset.resume = 'dismiss';
+        closeButton.setAttribute('aria-label', '关闭');
+        closeButton.textContent = '×';
+
+        this.prompt.append(label, resumeButton, closeButton);
+        this.container.appendChild(this.prompt);
+
+        this.prompt.addEventListener('click', this.handlers.click);
+        // 用户直接从头播放时收起提示
+        this.audioSync.audioPlayer?.addEventListener('play', this.handlers.play);
+    }
+
+    handleClick(event) {
+        const action = event.target.closest('[data-resume]');
+        if (!action) return;
+
+        if (action.dataset.resume === 'resume') {
+            this.dismiss();
+            this.audioSync.resumePlayback();
+        } else {
+            this.dismiss();
+        }
+    }
+
+    dismiss() {
+        if (!this.prompt) return;
+
+        this.audioSync.audioPlayer?.removeEventListener('play', this.handlers.play);
+        this.prompt.removeEventListener('click', this.handlers.click);
+        this.prompt.remove();
+        this.prompt = null;
+    }
+
+    truncate(text) {
+        return text.length > this.options.maxTextLength ?
+            `${text.slice(0, this.options.maxTextLength - 1)}…` : text;
+    }
+
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+    }
+
+    destroy() {
+        this.dismiss();
+    }
+}
+
+// 注册到全局命名空间
+window.EnglishSite.AudioResumePrompt = AudioResumePrompt;
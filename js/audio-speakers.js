@@ -0,0 +1,156 @@
+/**
+ * 👥 说话人面板
+ *
+ * 特性：
+ * - 列出本章说话人（颜色与正文一致）
+ * - 上一段 / 下一段：按说话人跳转
+ * - 只看某位说话人（其余段落变暗）
+ * - 角色扮演：静音所选说话人，由学习者说出台词
+ *
+ * @version 1.0.0
+ */
+
+window.EnglishSite = window.EnglishSite || {};
+
+class AudioSpeakers {
+    constructor(audioSync, container) {
+        this.audioSync = audioSync;
+        this.container = container;
+
+        this.state = {
+            isOpen: false
+        };
+
+        this.handlers = {
+            click: (e) => this.handleClick(e),
+            changed: () => this.render()
+        };
+
+        this.button = null;
+        this.panel = null;
+
+        // 单人朗读的章节不需要该面板
+        if (this.audioSync.getSpeakers().length < 2) return;
+
+        this.createElements();
+        document.addEventListener('audioSpeakerFilterChanged', this.handlers.changed);
+        document.addEventListener('audioRolePlayChanged', this.handlers.changed);
+    }
+
+    // 🏗️ 创建按钮和面板
+    createElements() {
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'player-tool-btn';
+        this.button.dataset.speakers = 'toggle';
+        this.button.title = '说话人';
+        this.button.setAttribute('aria-expanded', 'false');
+        this.button.textContent = '👥';
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'player-panel speakers-panel';
+        this.panel.hidden = true;
+
+        this.container.appendChild(this.button);
+        this.container.appendChild(this.panel);
+
+        this.button.addEventListener('click', this.handlers.click);
+        this.panel.addEventListener('click', this.handlers.click);
+
+        this.render();
+    }
+
+    handleClick(event) {
+        const action = event.target.closest('[data-speakers]');
+        if (!action) return;
+
+        const speaker = action.closest('[data-speaker]')?.dataset.speaker;
+
+        switch (action.dataset.speakers) {
+            case 'toggle':
+                this.toggle();
+                break;
+            case 'prev':
+                this.audioSync.nextSpeakerTurn(speaker, -1);
+                break;
+            case 'next':
+                this.audioSync.nextSpeakerTurn(speaker, 1);
+                break;
+            case 'filter':
+                this.audioSync.setSpeakerFilter(this.audioSync.state.speakerFilter === speaker ? null : speaker);
+                break;
+            case 'role-play':
+                this.audioSync.setRolePlay(this.audioSync.getRolePlay() === speaker ? null : speaker);
+                break;
+        }
+    }
+
+    toggle(open) {
+        this.state.isOpen = typeof open === 'boolean' ? open : !this.state.isOpen;
+        this.panel.hidden = !this.state.isOpen;
+        this.button.setAttribute('aria-expanded', String(this.state.isOpen));
+    }
+
+    // 🎨 每位说话人一行
+    render() {
+        const filter = this.audioSync.state.speakerFilter;
+        const rolePlay = this.audioSync.getRolePlay();
+
+        this.panel.innerHTML = '';
+        const fragment = document.createDocumentFragment();
+
+        for (const speaker of this.audioSync.getSpeakers()) {
+            const row = document.createElement('div');
+            row.className = 'speakers-row';
+            row.dataset.speaker = speaker.name;
+            row.dataset.speakerIndex = String(speaker.colorIndex);
+
+            const name = document.createElement('span');
+            name.className = 'speakers-name';
+            name.textContent = speaker.name;
+            name.title = `${speaker.turnCount} 段 / ${speaker.cueCount} 句`;
+
+            row.append(
+                name,
+                this.createButton('prev', '⏮', '上一段'),
+                this.createButton('next', '⏭', '下一段'),
+                this.createButton('filter', '🔦', '只看这位', filter === speaker.name),
+                this.createButton('role-play', '🎭', '扮演这位（静音其台词）', rolePlay === speaker.name)
+            );
+            fragment.appendChild(row);
+        }
+
+        const hint = document.createElement('p');
+        hint.className = 'calibration-hint';
+        hint.textContent = rolePlay ? `🎭 轮到 ${rolePlay} 时音频静音，请说出台词` : '';
+
+        this.panel.appendChild(fragment);
+        this.panel.appendChild(hint);
+        this.button.classList.toggle('active', !!(filter || rolePlay));
+    }
+
+    createButton(action, text, title, pressed) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.speakers = action;
+        button.title = title;
+        button.setAttribute('aria-label', title);
+        button.textContent = text;
+        if (typeof pressed === 'boolean') {
+            button.setAttribute('aria-pressed', String(pressed));
+        }
+        return button;
+    }
+
+    destroy() {
+        if (!this.button) return;
+
+        document.removeEventListener('audioSpeakerFilterChanged', this.handlers.changed);
+        document.removeEventListener('audioRolePlayChanged', this.handlers.changed);
+        this.button.remove();
+        this.panel.remove();
+    }
+}
+
+// 注册到全局命名空间
+window.EnglishSite.AudioSpeakers = AudioSpeakers;
@@ -0,0 +1,198 @@
+/**
+ * 📈 收听统计面板
+ *
+ * 特性：
+ * - 本章累计收听时长
+ * - 最吃力（重听 + 放慢次数最多）、重听最多、放慢最多的句子，点击跳到该句
+ * - 统计由 AudioSync 记录在本机 IndexedDB（AppStats），不会上传
+ *
+ * @version 1.0.0
+ */
+
+window.EnglishSite = window.EnglishSite || {};
+
+class AudioStatsPanel {
+    static SECTIONS = [
+        { key: 'hardest', field: 'difficulty', title: '🧗 最吃力', unit: '次重听 / 放慢' },
+        { key: 'mostReplayed', field: 'replays', title: '🔁 重听最多', unit: '次' },
+        { key: 'mostSlowed', field: 'slowPlays', title: '🐢 放慢最多', unit: '次' }
+    ];
+
+    constructor(audioSync, container) {
+        this.audioSync = audioSync;
+        this.container = container;
+
+        this.state = {
+            isOpen: false,
+            stats: null
+        };
+
+        this.handlers = {
+            click: (e) => this.handleClick(e)
+        };
+
+        this.createElements();
+    }
+
+    // 🏗️ 创建按钮和面板
+    createElements() {
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'player-tool-btn';
+        this.button.dataset.stats = 'toggle';
+        this.button.title = '收听统计';
+        this.button.setAttribute('aria-expanded', 'false');
+        this.button.textContent = '📈';
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'player-panel stats-panel';
+        this.panel.hidden = true;
+        this.panel.innerHTML = `
+            <p class="stats-summary"></p>
+            <div class="stats-sections"></div>
+            <div class="stats-footer">
+                <span class="calibration-hint">统计只保存在本机</span>
+                <button type="button" data-stats="clear">清除本章统计</button>
+            </div>
+        `;
+
+        this.summary = this.panel.querySelector('.stats-summary');
+        this.sections = this.panel.querySelector('.stats-sections');
+
+        this.container.appendChild(this.button);
+        this.container.appendChild(this.panel);
+
+        this.button.addEventListener('click', this.handlers.click);
+        this.panel.addEventListener('click', this.handlers.click);
+    }
+
+    handleClick(event) {
+        const action = event.target.closest('[data-stats]');
+        if (!action) return;
+
+        switch (action.dataset.stats) {
+            case 'toggle':
+                this.toggle();
+                break;
+            case 'seek':
+                this.audioSync.seekToCueIndex(this.audioSync.getCueIndexById(action.dataset.cueId));
+                break;
+            case 'clear':
+                this.clear();
+                break;
+        }
+    }
+
+    toggle(open) {
+        this.state.isOpen = typeof open === 'boolean' ? open : !this.state.isOpen;
+        this.panel.hidden = !this.state.isOpen;
+        this.button.setAttribute('aria-expanded', String(this.state.isOpen));
+
+        // 每次打开时读取最新统计
+        if (this.state.isOpen) {
+            this.refresh();
+        }
+    }
+
+    async refresh() {
+        try {
+            this.state.stats = await this.audioSync.getListeningStats();
+        } catch (error) {
+            console.warn('[AudioStatsPanel] ⚠️ 统计读取失败:', error);
+            this.state.stats = null;
+        }
+        this.render();
+    }
+
+    async clear() {
+        if (!window.confirm('清除本章的收听统计？')) return;
+
+        try {
+            await window.EnglishSite.AppStats.clear(this.audioSync.config.chapterId);
+        } catch (error) {
+            console.warn('[AudioStatsPanel] ⚠️ 统计清除失败:', error);
+        }
+        this.refresh();
+    }
+
+    // 🎨 总时长 + 各排行
+    render() {
+        const stats = this.state.stats;
+        this.sections.innerHTML = '';
+
+        if (!stats) {
+            this.summary.textContent = '无法读取统计（浏览器不支持本地数据库）';
+            return;
+        }
+
+        const plays = stats.cues.reduce((sum, cue) => sum + cue.plays, 0);
+        this.summary.textContent = stats.cues.length ?
+            `本章共收听 ${this.formatDuration(stats.totalTime)}，播放 ${plays} 句次` :
+            '还没有收听记录';
+
+        const fragment = document.createDocumentFragment();
+        for (const section of AudioStatsPanel.SECTIONS) {
+            const cues = stats[section.key];
+            if (!cues.length) continue;
+
+            const title = document.createElement('h4');
+            title.className = 'stats-title';
+            title.textContent = section.title;
+
+            const list = document.createElement('ol');
+            list.className = 'stats-list';
+            for (const cue of cues) {
+                list.appendChild(this.createItem(cue, `${cue[section.field]} ${section.unit}`));
+            }
+
+            fragment.append(title, list);
+        }
+        this.sections.appendChild(fragment);
+    }
+
+    createItem(cue, countText) {
+        const item = document.createElement('li');
+        item.className = 'stats-item';
+
+        const text = document.createElement('button');
+        text.type = 'button';
+        text.className = 'stats-item-text';
+        text.dataset.stats = 'seek';
+        text.dataset.cueId = cue.cueId;
+        text.textContent = this.getCueText(cue.cueId);
+        text.title = `播放 ${cue.plays} 次，共 ${this.formatDuration(cue.listenedTime)}`;
+
+        const count = document.createElement('span');
+        count.className = 'stats-item-count';
+        count.textContent = countText;
+
+        item.append(text, count);
+        return item;
+    }
+
+    // 听力模式下隐藏的句子不在面板里泄露原文
+    getCueText(cueId) {
+        const element = this.audioSync.findElement(cueId);
+        const text = element && !this.audioSync.isSentenceHidden(element) ?
+            element.textContent.replace(/\s+/g, ' ').trim() : '';
+        return text || `第 ${cueId} 句`;
+    }
+
+    formatDuration(seconds) {
+        const total = Math.round(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor(total % 3600 / 60);
+
+        if (hours) return `${hours} 小时 ${minutes} 分`;
+        if (minutes) return `${minutes} 分 ${total % 60} 秒`;
+        return `${total} 秒`;
+    }
+
+    destroy() {
+        this.button.remove();
+        this.panel.remove();
+    }
+}
+
+// 注册到全局命名空间
+window.EnglishSite.AudioStatsPanel = AudioStatsPanel;
@@ -7,6 +7,11 @@
  * - 增强的错误处理和兼容性
  * - 高性能缓存和DOM优化
  * - 智能高亮决策系统
+ * - 句内逐词（卡拉OK）高亮
+ * - Media Session 锁屏/耳机控制
+ * - 跟随模式：手动滚动时暂停自动滚动
+ * - 听力模式：隐藏全部或未播放的句子
+ * - 说话人：颜色区分、过滤、按说话人跳转、角色扮演
  * 
  * @author Stable Audio Sync
  * @version 3.0.0
@@ -16,6 +21,9 @@
 window.EnglishSite = window.EnglishSite || {};
 
 class AudioSync {
+    // 🧵 字幕解析 Worker（与词频正文提取共用）
+    static WORKER_PATH = 'js/workers/text-processing.worker.js';
+
     constructor(contentArea, srtText, audioPlayer, options = {}) {
         console.log('[AudioSync] 🎵 开始初始化稳定版音频同步...');
         
@@ -76,6 +84,7 @@ class AudioSync {
                 strategies: new Map(),
                 layouts: new Map(),
                 timeIndex: new Map(),
+                wordSpans: new WeakMap(),
                 lastStrategy: 0,
                 hit: 0,
                 miss: 0
@@ -84,15 +93,38 @@ class AudioSync {
             // 状态管理
             this.state = {
                 srtData: [],
+                rawCues: [],        // 解析所得的原始时间，漂移校正以此为基准
+                timingAnchors: this.loadTimingAnchors(),
+                cueCorrections: this.getTimingPreference('cueCorrections', null) || {},
                 timeIndex: [],
                 currentIndex: -1,
                 lastElement: null,
-                timeOffset: this.config.offset || 0,
+                timeOffset: this.loadTimeOffset(),
                 autoscroll: this.config.autoscroll !== false,
                 lastUpdateTime: 0,
                 lastProcessedTime: -1,
                 isUpdating: false,
-                updateFrame: null
+                updateFrame: null,
+                boundaryMonitor: null,
+                lastPositionSave: 0,
+                follow: { paused: false, resumeTimer: null, pill: null },
+                sentenceTools: { layer: null, anchors: new Map(), handlers: null, frame: null },
+                cueStopIndex: -1,   // 单句播放：播完该句后暂停
+                transcriptMode: this.loadTranscriptMode(),
+                speakers: { turns: [], names: [], cueSpeaker: new Map() },
+                speakerFilter: null,
+                rolePlay: { speaker: null, muted: false, wasMuted: false },
+                revealedUntil: -1,  // 隐藏未播放模式：已揭示到的cue索引
+                deepLink: { element: null, words: [], timer: null },
+                listening: this.createListeningState(),
+                loop: this.createEmptyLoopState(),
+                shadowing: this.createShadowingState(),
+                karaoke: {
+                    enabled: this.config.karaoke !== false,
+                    alignment: this.normalizeWordAlignment(this.options.wordAlignment),
+                    active: null,       // { cueId, words: [{ element, start, end }], lastIndex }
+                    frame: null
+                }
             };
             
             console.log('[AudioSync] 📊 验证必需参数...');
@@ -110,12 +142,22 @@ class AudioSync {
             await this.parseSRTData();
             await this.preCacheDOMElements();
             await this.preAnalyzeLayouts();
+            this.buildSpeakerTurns();
             
             this.addEventListeners();
+            this.setupMediaSession();
+            this.updateBoundaryMonitor();
+            this.contentArea.classList.toggle('shadowing-active', this.state.shadowing.enabled);
+            this.applyTranscriptMode();
             
             this.endPerformanceMeasure(perfId);
             
             this.isInitialized = true;
+
+            // 由分享链接打开时定位到指定句子 / 时间
+            if (this.config.deepLink) {
+                this.applyDeepLink(this.config.deepLink);
+            }
             
             console.log('[AudioSync] ✅ 稳定版音频同步初始化完成:', {
                 srtCueCount: this.state.srtData.length,
@@ -153,17 +195,40 @@ class AudioSync {
                     enableWorkers: this.options.enableWorkers !== false && typeof Worker !== 'undefined',
                     workerTimeout: this.options.workerTimeout || 15000,
                     debug: this.options.debug || window.location.hostname === 'localhost',
+                    loopRepeat: 3,
+                    loopPauseMs: 800,
+                    shadowingGapFactor: 1.2,
+                    shadowingMinGapMs: 600,
+                    karaoke: true,
+                    transcriptFormat: null,
+                    calibrationReactionMs: 150,
+                    positionSaveInterval: 5000,
+                    followResumeDelay: 8000,
+                    recordProgress: true,   // 播放位置、收听统计、已听完标记（复习等临时播放时关闭）
                     ...this.options
                 });
             }
-            
+
             // 降级到简单配置
             return {
                 offset: this.options.offset || 0,
                 autoscroll: this.options.autoscroll !== false,
                 enableWorkers: this.options.enableWorkers !== false && typeof Worker !== 'undefined',
                 workerTimeout: this.options.workerTimeout || 15000,
-                debug: this.options.debug || window.location.hostname === 'localhost'
+                debug: this.options.debug || window.location.hostname === 'localhost',
+                loopRepeat: this.options.loopRepeat ?? 3,
+                loopPauseMs: this.options.loopPauseMs ?? 800,
+                shadowingGapFactor: this.options.shadowingGapFactor ?? 1.2,
+                shadowingMinGapMs: this.options.shadowingMinGapMs ?? 600,
+                karaoke: this.options.karaoke !== false,
+                transcriptFormat: this.options.transcriptFormat || null,
+                calibrationReactionMs: this.options.calibrationReactionMs ?? 150,
+                positionSaveInterval: this.options.positionSaveInterval ?? 5000,
+                followResumeDelay: this.options.followResumeDelay ?? 8000,
+                recordProgress: this.options.recordProgress !== false,
+                chapterId: this.options.chapterId || null,
+                audioVariant: this.options.audioVariant || null,
+                deepLink: this.options.deepLink || null
             };
         } catch (error) {
             console.warn('[AudioSync] 配置创建失败，使用默认配置:', error);
@@ -172,7 +237,18 @@ class AudioSync {
                 autoscroll: true,
                 enableWorkers: typeof Worker !== 'undefined',
                 workerTimeout: 15000,
-                debug: false
+                debug: false,
+                loopRepeat: 3,
+                loopPauseMs: 800,
+                shadowingGapFactor: 1.2,
+                shadowingMinGapMs: 600,
+                karaoke: true,
+                transcriptFormat: this.options.transcriptFormat || null,
+                calibrationReactionMs: 150,
+                positionSaveInterval: 5000,
+                followResumeDelay: 8000,
+                recordProgress: this.options.recordProgress !== false,
+                chapterId: this.options.chapterId || null
             };
         }
     }
@@ -206,21 +282,28 @@ class AudioSync {
         try {
             console.log('[AudioSync] 🔄 解析SRT数据...');
             
-            // 尝试Worker解析
-            if (this.config.enableWorkers && window.EnglishSite.UltraSimpleWorker) {
+            let timeIndex = null;
+
+            // 尝试Worker解析（长字幕不阻塞页面），Worker失败时 execute 调用主线程降级函数
+            if (this.config.enableWorkers && window.EnglishSite.WorkerManager) {
                 try {
                     console.log('[AudioSync] 🚀 尝试Worker解析...');
+                    this.workerUsed = true;
                     
-                    const result = await window.EnglishSite.UltraSimpleWorker.safeExecute(
-                        'js/workers/ultra-simple-srt.worker.js',
-                        { srtText: this.srtText },
-                        (data) => this.parseSRTMainThread(data.srtText)
+                    const result = await window.EnglishSite.WorkerManager.execute(
+                        AudioSync.WORKER_PATH,
+                        { task: 'parseTranscript', srtText: this.srtText, format: this.config.transcriptFormat },
+                        (data) => {
+                            this.workerUsed = false;
+                            return { cues: this.parseSRTMainThread(data.srtText), timeIndex: null };
+                        },
+                        { timeout: this.config.workerTimeout }
                     );
                     
-                    this.state.srtData = result || [];
-                    this.workerUsed = true;
+                    this.state.srtData = result.cues || [];
+                    timeIndex = result.timeIndex;
                     
-                    console.log('[AudioSync] ✅ Worker解析成功');
+                    console.log(`[AudioSync] ✅ ${this.workerUsed ? 'Worker' : '主线程'}解析成功`);
                 } catch (error) {
                     console.warn('[AudioSync] ⚠️ Worker解析失败，使用主线程:', error);
                     this.state.srtData = this.parseSRTMainThread(this.srtText);
@@ -232,8 +315,14 @@ class AudioSync {
                 this.workerUsed = false;
             }
             
-            // 构建时间索引
-            this.buildTimeIndex();
+            // 漂移校正、手动修正后构建时间索引；时间未改动时直接使用 Worker 构建的索引
+            this.state.rawCues = this.state.srtData;
+            this.state.srtData = this.computeCueTimes();
+            if (timeIndex && this.state.srtData === this.state.rawCues) {
+                this.state.timeIndex = timeIndex;
+            } else {
+                this.buildTimeIndex();
+            }
             
             console.log(`[AudioSync] ✅ SRT解析完成: ${this.state.srtData.length} 个字幕段`);
             
@@ -250,13 +339,22 @@ class AudioSync {
         }
     }
 
-    // 🔧 主线程SRT解析
+    // 🔧 主线程字幕解析（SRT / WebVTT / LRC / JSON 由 SubtitleParser 处理）
     parseSRTMainThread(srtText) {
         try {
             if (!srtText || typeof srtText !== 'string') {
                 throw new Error('Invalid SRT text');
             }
-            
+
+            if (window.EnglishSite.SubtitleParser) {
+                const cues = window.EnglishSite.SubtitleParser.parse(srtText, {
+                    format: this.config.transcriptFormat
+                });
+                console.log(`[AudioSync] ✅ 成功解析 ${cues.length} 个有效字幕段`);
+                return cues;
+            }
+
+            // 降级：仅支持SRT
             const blocks = srtText.replace(/\r\n/g, '\n').trim().split('\n\n');
             const cues = [];
             
@@ -282,7 +380,8 @@ class AudioSync {
                             cues.push({
                                 id: id,
                                 startTime: startTime,
-                                endTime: endTime
+                                endTime: endTime,
+                                text: lines.slice(2).join('\n').trim()
                             });
                         }
                     }
@@ -300,6 +399,52 @@ class AudioSync {
         }
     }
 
+    // 📏 按字符长度在区间内分配逐词时间
+    interpolateWordTimings(words, startTime, endTime) {
+        const totalChars = words.reduce((sum, word) => sum + word.length, 0) || 1;
+        const duration = Math.max(0, endTime - startTime);
+        const timings = [];
+        let cursor = startTime;
+
+        for (const word of words) {
+            const wordEnd = cursor + duration * word.length / totalChars;
+            timings.push({ word, start: cursor, end: wordEnd });
+            cursor = wordEnd;
+        }
+
+        return timings;
+    }
+
+    // 📂 规范化 JSON 对齐文件：{ cueId: [{ word, start, end }] } 或 [{ id, words: [...] }]
+    normalizeWordAlignment(alignment) {
+        const map = new Map();
+
+        try {
+            if (!alignment) return map;
+
+            const entries = Array.isArray(alignment)
+                ? alignment.map(entry => [entry.id, entry.words])
+                : Object.entries(alignment.cues || alignment);
+
+            for (const [cueId, words] of entries) {
+                if (cueId === undefined || !Array.isArray(words)) continue;
+
+                const valid = words.filter(w => w && typeof w.start === 'number' && w.start >= 0);
+                if (valid.length) {
+                    map.set(String(cueId), valid.map((w, i) => ({
+                        word: w.word || w.text || '',
+                        start: w.start,
+                        end: typeof w.end === 'number' ? w.end : (valid[i + 1] ? valid[i + 1].start : w.start)
+                    })));
+                }
+            }
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ 逐词对齐数据无效:', error);
+        }
+
+        return map;
+    }
+
     // ⏰ 时间转换
     timeToSeconds(timeString) {
         // 简单缓存
@@ -310,7 +455,10 @@ class AudioSync {
         try {
             const colonIndex1 = timeString.indexOf(':');
             const colonIndex2 = timeString.indexOf(':', colonIndex1 + 1);
-            const commaIndex = timeString.indexOf(',', colonIndex2);
+            let commaIndex = timeString.indexOf(',', colonIndex2);
+            if (commaIndex === -1) {
+                commaIndex = timeString.indexOf('.', colonIndex2);
+            }
             
             if (colonIndex1 === -1 || colonIndex2 === -1 || commaIndex === -1) {
                 throw new Error('Invalid time format');
@@ -335,6 +483,124 @@ class AudioSync {
         }
     }
 
+    // 📐 漂移校正：按锚点（cueId → 实际开始时间）分段线性映射字幕时间
+    // 锚点时间与 handleTimeUpdate 比较的时间同域，即 音频时间 + timeOffset
+    remapCueTimes(cues, anchors) {
+        try {
+            const points = this.buildAnchorPoints(cues, anchors);
+            if (!points.length) return cues;
+
+            const mapTime = (time) => {
+                if (points.length === 1) {
+                    return time + (points[0].to - points[0].from);
+                }
+
+                // 区间外沿用首/末段斜率外推
+                let i = 0;
+                while (i < points.length - 2 && time > points[i + 1].from) i++;
+
+                const a = points[i];
+                const b = points[i + 1];
+                return a.to + (time - a.from) * (b.to - a.to) / (b.from - a.from);
+            };
+
+            const remapped = cues.map(cue => {
+                const mapped = {
+                    ...cue,
+                    startTime: Math.max(0, mapTime(cue.startTime)),
+                    endTime: Math.max(0, mapTime(cue.endTime))
+                };
+                if (cue.words) {
+                    mapped.words = cue.words.map(word => ({
+                        ...word,
+                        start: mapTime(word.start),
+                        end: mapTime(word.end)
+                    }));
+                }
+                return mapped;
+            });
+
+            console.log(`[AudioSync] 📐 漂移校正: ${points.length} 个锚点`);
+            return remapped;
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ 漂移校正失败，使用原始时间:', error);
+            return cues;
+        }
+    }
+
+    // 锚点按原始时间排序，丢弃与前一锚点不单调的点（误点击）
+    buildAnchorPoints(cues, anchors) {
+        if (!anchors) return [];
+
+        const candidates = [];
+        for (const [cueId, actualTime] of Object.entries(anchors)) {
+            const id = String(cueId).replace(/^s/, '');
+            const cue = cues.find(c => c.id === id);
+            if (cue && typeof actualTime === 'number' && actualTime >= 0) {
+                candidates.push({ from: cue.startTime, to: actualTime });
+            }
+        }
+        candidates.sort((a, b) => a.from - b.from);
+
+        const points = [];
+        for (const point of candidates) {
+            const last = points[points.length - 1];
+            if (last && (point.from <= last.from || point.to <= last.to)) {
+                console.warn('[AudioSync] ⚠️ 忽略不单调的锚点:', point);
+                continue;
+            }
+            points.push(point);
+        }
+        return points;
+    }
+
+    // 章节数据中的锚点 + 用户点击得到的锚点（后者优先）
+    loadTimingAnchors() {
+        return {
+            ...(this.options.timingAnchors || {}),
+            ...(this.getTimingPreference('timingAnchors', null) || {})
+        };
+    }
+
+    // 保存的偏移优先，其次是配置值
+    loadTimeOffset() {
+        const saved = this.getTimingPreference('timeOffsets', null);
+        return typeof saved === 'number' ? saved : (this.config.offset || 0);
+    }
+
+    // 🧮 最终字幕时间：原始时间 → 漂移校正 → 单句手动修正
+    computeCueTimes() {
+        return this.applyCueCorrections(
+            this.remapCueTimes(this.state.rawCues, this.state.timingAnchors),
+            this.state.cueCorrections
+        );
+    }
+
+    // ✂️ 手动修正（cueId → { startTime, endTime }）直接覆盖该句时间，逐词时间按比例缩放
+    applyCueCorrections(cues, corrections) {
+        if (!corrections || !Object.keys(corrections).length) return cues;
+
+        return cues.map(cue => {
+            const correction = corrections[cue.id];
+            if (!correction) return cue;
+
+            const startTime = typeof correction.startTime === 'number' ? correction.startTime : cue.startTime;
+            const endTime = typeof correction.endTime === 'number' ? correction.endTime : cue.endTime;
+            if (endTime <= startTime) return cue;
+
+            const corrected = { ...cue, startTime, endTime };
+            if (cue.words) {
+                const scale = (endTime - startTime) / ((cue.endTime - cue.startTime) || 1);
+                corrected.words = cue.words.map(word => ({
+                    ...word,
+                    start: startTime + (word.start - cue.startTime) * scale,
+                    end: startTime + (word.end - cue.startTime) * scale
+                }));
+            }
+            return corrected;
+        });
+    }
+
     // 📊 构建时间索引
     buildTimeIndex() {
         try {
@@ -460,10 +726,29 @@ class AudioSync {
                 this.audioPlayer.addEventListener('timeupdate', (e) => this.handleTimeUpdate(e), { passive: true });
                 this.audioPlayer.addEventListener('ended', () => this.handleAudioEnded(), { passive: true });
                 this.audioPlayer.addEventListener('error', (e) => this.handleAudioError(e), { passive: true });
+                this.audioPlayer.addEventListener('play', () => this.startKaraokeLoop(), { passive: true });
+
+                // 播放位置：播放中节流保存，暂停时立即保存
+                this.audioPlayer.addEventListener('timeupdate', () => this.savePlaybackPosition(), { passive: true });
+                this.audioPlayer.addEventListener('pause', () => this.savePlaybackPosition(true), { passive: true });
+
+                // 收听统计
+                this.audioPlayer.addEventListener('timeupdate', () => this.trackListening(), { passive: true });
+                this.audioPlayer.addEventListener('ratechange', () => this.trackRateChange(), { passive: true });
+                this.audioPlayer.addEventListener('pause', () => this.pauseListeningTracking(), { passive: true });
+
+                // 隐藏未播放模式：往回跳转后，新位置之后的句子重新隐藏
+                this.audioPlayer.addEventListener('seeked', () => this.recomputeRevealedSentences(), { passive: true });
+
+                // Media Session 进度由浏览器外推，只需在状态变化时同步
+                for (const type of ['play', 'pause', 'loadedmetadata', 'ratechange', 'seeked']) {
+                    this.audioPlayer.addEventListener(type, () => this.updateMediaSessionState(), { passive: true });
+                }
             }
             
             if (this.contentArea) {
                 this.contentArea.addEventListener('click', (e) => this.handleTextClick(e), { passive: true });
+                this.setupFollowListeners();
             }
             
             console.log('[AudioSync] ✅ 事件监听器添加完成');
@@ -487,7 +772,29 @@ class AudioSync {
             this.state.isUpdating = true;
             
             const currentTime = this.audioPlayer.currentTime + this.state.timeOffset;
-            
+
+            if (this.state.transcriptMode.hide === 'future') {
+                this.revealPlayedSentences(currentTime);
+            }
+
+            // 单句播放结束检查
+            if (this.checkCueStop(currentTime)) {
+                this.state.isUpdating = false;
+                return;
+            }
+
+            // 循环边界检查
+            if (this.state.loop.active && this.checkLoopBoundary(currentTime)) {
+                this.state.isUpdating = false;
+                return;
+            }
+
+            // 跟读停顿检查
+            if (this.state.shadowing.enabled && this.checkShadowingBoundary(currentTime)) {
+                this.state.isUpdating = false;
+                return;
+            }
+
             // 只在时间有显著变化时更新
             if (Math.abs(currentTime - this.state.lastProcessedTime) < 0.05) {
                 this.state.isUpdating = false;
@@ -590,14 +897,49 @@ class AudioSync {
             const target = event.target.closest(`[${this.SENTENCE_ID_ATTR}]`);
             if (!target) return;
 
-            let id = target.dataset.sentenceId;
-            if (id && id.startsWith('s')) {
-                id = id.slice(1);
+            const cueIndex = this.getCueIndexById(target.dataset.sentenceId);
+            if (cueIndex === -1) return;
+
+            // 听力模式：点击隐藏的句子只揭示，不跳转
+            if (this.isSentenceHidden(target)) {
+                if (this.state.transcriptMode.revealOnClick) {
+                    this.revealSentence(target.dataset.sentenceId);
+                }
+                return;
+            }
+
+            // 点词查询模式：点击用于查词，不跳转音频
+            if (window.EnglishSite.Glossary?.isWordLookupEnabled?.()) return;
+
+            this.recordListening(this.state.srtData[cueIndex].id, { clicks: 1 });
+
+            // 修饰键：Alt 单句循环，Shift 标记 A-B 区间
+            if (event.altKey) {
+                this.loopSentence(this.state.srtData[cueIndex].id);
+                return;
             }
 
-            const cueIndex = this.state.srtData.findIndex(c => c.id === id);
-            if (cueIndex === -1) return;
-            
+            if (event.shiftKey) {
+                if (this.state.loop.pendingStart === -1) {
+                    this.markLoopStart(this.state.srtData[cueIndex].id);
+                } else {
+                    this.markLoopEnd(this.state.srtData[cueIndex].id);
+                }
+                return;
+            }
+
+            // 普通点击跳出循环区间时结束循环
+            if (this.state.loop.active && !this.isIndexInLoop(cueIndex)) {
+                this.clearLoop();
+            }
+
+            // 点击句子时取消正在进行的跟读停顿
+            this.cancelShadowingGap();
+
+            // 点击的句子就在眼前，恢复跟随但无需滚动
+            this.resumeFollow(false);
+            this.clearCueStop();
+
             if (this.state.currentIndex === cueIndex && !this.isPaused()) return;
             
             const cue = this.state.srtData[cueIndex];
@@ -613,9 +955,20 @@ class AudioSync {
     // 🔚 音频结束处理
     handleAudioEnded() {
         try {
+            // 循环区间包含最后一句时，结束事件即循环边界
+            if (this.state.loop.active && this.state.loop.endIndex === this.getLastCueIndex()) {
+                this.completeLoopPass();
+                return;
+            }
+
+            this.markChapterListened();
+            // 播放结束事件与是否记录进度无关（自动播放下一集、睡眠定时依赖它）
+            this.dispatchEvent('audioChapterEnded', { chapterId: this.config.chapterId });
+
             if (this.state.lastElement) {
                 this.removeHighlight(this.state.lastElement);
             }
+            this.deactivateKaraoke();
             this.state.currentIndex = -1;
             this.state.lastElement = null;
         } catch (error) {
@@ -726,6 +1079,8 @@ class AudioSync {
                 this.removeHighlight(this.state.lastElement);
             }
 
+            this.deactivateKaraoke();
+
             if (index === -1) {
                 this.state.lastElement = null;
                 return;
@@ -739,10 +1094,17 @@ class AudioSync {
             if (element) {
                 this.applySmartHighlight(element, cue.id);
                 this.state.lastElement = element;
+                this.dispatchEvent('audioCueChanged', { index, cueId: cue.id });
+
+                if (this.state.karaoke.enabled) {
+                    this.activateKaraoke(cue, element);
+                }
                 
-                // 自动滚动
-                if (this.state.autoscroll) {
+                // 自动滚动：用户手动滚动期间只更新"回到当前句"提示
+                if (this.state.autoscroll && !this.state.follow.paused) {
                     this.scrollToElement(element);
+                } else if (this.state.follow.paused) {
+                    this.updateFollowPill();
                 }
                 
                 if (this.config.debug) {
@@ -880,152 +1242,2002 @@ class AudioSync {
         }
     }
 
-    // 📜 滚动到元素
-    scrollToElement(element) {
+    // 🎤 逐词高亮：激活当前句
+    activateKaraoke(cue, element) {
         try {
-            const rect = element.getBoundingClientRect();
-            const containerRect = this.contentArea.getBoundingClientRect();
-            
-            const isVisible = (
-                rect.top >= containerRect.top + 30 &&
-                rect.bottom <= containerRect.bottom - 30
-            );
-            
-            if (!isVisible) {
-                element.scrollIntoView({
-                    behavior: 'smooth',
-                    block: 'center',
-                    inline: 'nearest'
-                });
-            }
+            const spans = this.getWordSpans(element);
+            if (!spans.length) return;
+
+            const timings = this.buildWordTimings(cue, spans);
+            this.state.karaoke.active = {
+                cueId: cue.id,
+                words: spans.map((span, i) => ({ element: span, start: timings[i].start, end: timings[i].end })),
+                lastIndex: -1
+            };
+
+            this.startKaraokeLoop();
         } catch (error) {
-            console.warn('[AudioSync] ⚠️ 滚动失败:', error);
+            console.warn('[AudioSync] ⚠️ 逐词高亮激活失败:', error);
         }
     }
 
-    // 📊 获取缓存命中率
-    getCacheHitRate() {
-        const total = this.cache.hit + this.cache.miss;
-        return total > 0 ? `${(this.cache.hit / total * 100).toFixed(1)}%` : '0%';
+    deactivateKaraoke() {
+        const karaoke = this.state.karaoke;
+        if (karaoke.frame) {
+            cancelAnimationFrame(karaoke.frame);
+            karaoke.frame = null;
+        }
+        if (karaoke.active) {
+            for (const word of karaoke.active.words) {
+                word.element.classList.remove('karaoke-done', 'karaoke-current');
+            }
+            karaoke.active = null;
+        }
     }
 
-    // === 公共API方法 ===
+    // 📝 将句子文本拆为逐词 span（保留词汇表等内部元素，词汇仍可点击）
+    getWordSpans(element) {
+        const cached = this.cache.wordSpans.get(element);
+        if (cached) return cached;
 
-    async waitForInitialization() {
-        return this.initPromise;
-    }
+        let spans = Array.from(element.querySelectorAll('.karaoke-word'));
 
-    play() {
-        try {
-            if (this.audioPlayer) {
-                this.audioPlayer.play();
+        if (!spans.length) {
+            const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+            const textNodes = [];
+            while (walker.nextNode()) {
+                if (walker.currentNode.textContent.trim()) {
+                    textNodes.push(walker.currentNode);
+                }
             }
-        } catch (error) {
-            console.warn('[AudioSync] ⚠️ 播放失败:', error);
-        }
-    }
 
-    pause() {
-        try {
-            if (this.audioPlayer) {
-                this.audioPlayer.pause();
+            for (const node of textNodes) {
+                const fragment = document.createDocumentFragment();
+                for (const token of node.textContent.split(/(\s+)/)) {
+                    if (!token) continue;
+                    if (/^\s+$/.test(token)) {
+                        fragment.appendChild(document.createTextNode(token));
+                    } else {
+                        const span = document.createElement('span');
+                        span.className = 'karaoke-word';
+                        span.textContent = token;
+                        fragment.appendChild(span);
+                    }
+                }
+                node.parentNode.replaceChild(fragment, node);
             }
-        } catch (error) {
-            console.warn('[AudioSync] ⚠️ 暂停失败:', error);
+
+            spans = Array.from(element.querySelectorAll('.karaoke-word'));
         }
+
+        this.cache.wordSpans.set(element, spans);
+        return spans;
     }
 
-    isPaused() {
-        try {
-            return this.audioPlayer ? this.audioPlayer.paused : true;
-        } catch (error) {
-            return true;
+    // ⏱️ 计算每个词的时间：对齐文件 > 内联时间戳 > 按字符长度插值
+    buildWordTimings(cue, spans) {
+        const source = this.state.karaoke.alignment.get(cue.id) || cue.words;
+
+        if (source && source.length) {
+            if (source.length === spans.length) return source;
+
+            // 词数不一致时按位置比例映射
+            return spans.map((span, i) => {
+                const mapped = source[Math.min(source.length - 1, Math.floor(i * source.length / spans.length))];
+                return { start: mapped.start, end: mapped.end };
+            });
         }
+
+        return this.interpolateWordTimings(spans.map(span => span.textContent), cue.startTime, cue.endTime);
     }
 
-    toggleAutoscroll(enabled) {
-        this.state.autoscroll = typeof enabled === 'boolean' ? enabled : !this.state.autoscroll;
-        return this.state.autoscroll;
+    startKaraokeLoop() {
+        const karaoke = this.state.karaoke;
+        if (karaoke.frame || !karaoke.active) return;
+
+        const tick = () => {
+            karaoke.frame = null;
+            if (!karaoke.active || this.isPaused()) return;
+
+            this.updateKaraokeProgress(this.audioPlayer.currentTime + this.state.timeOffset);
+            karaoke.frame = requestAnimationFrame(tick);
+        };
+
+        karaoke.frame = requestAnimationFrame(tick);
     }
-    
-    setPlaybackRate(rate) {
-        try {
-            if (this.audioPlayer) {
-                this.audioPlayer.playbackRate = rate;
-            }
-        } catch (error) {
-            console.warn('[AudioSync] ⚠️ 设置播放速度失败:', error);
+
+    updateKaraokeProgress(currentTime) {
+        const active = this.state.karaoke.active;
+        if (!active) return;
+
+        let index = -1;
+        for (let i = 0; i < active.words.length; i++) {
+            if (active.words[i].start <= currentTime) index = i;
+            else break;
         }
+
+        if (index === active.lastIndex) return;
+
+        active.words.forEach((word, i) => {
+            word.element.classList.toggle('karaoke-done', i < index);
+            word.element.classList.toggle('karaoke-current', i === index);
+        });
+        active.lastIndex = index;
     }
-    
-    getPlaybackRate() {
+
+    // 💾 播放位置按章节保存在 StateManager 的 modules.audioSync 中
+    savePlaybackPosition(force = false) {
         try {
-            return this.audioPlayer ? this.audioPlayer.playbackRate : 1;
+            const appState = window.EnglishSite.AppState;
+            const chapterId = this.config.chapterId;
+            if (!appState || !chapterId || !this.audioPlayer || !this.isInitialized || !this.config.recordProgress) return;
+
+            const now = Date.now();
+            if (!force && now - this.state.lastPositionSave < this.config.positionSaveInterval) return;
+
+            const time = this.audioPlayer.currentTime;
+            // 刚开始或已播完时不记录
+            if (time < 1 || this.audioPlayer.ended) return;
+
+            const cue = this.state.srtData[this.getReferenceCueIndex()];
+            this.state.lastPositionSave = now;
+            appState.set(`modules.audioSync.positions.${chapterId}`, {
+                time: Math.round(time * 10) / 10,
+                cueId: cue ? cue.id : null,
+                updatedAt: now
+            }, { source: 'audioSync' });
         } catch (error) {
-            return 1;
+            console.warn('[AudioSync] ⚠️ 播放位置保存失败:', error);
         }
     }
 
-    getCacheStats() {
+    // 📈 收听统计：按句累计收听时长、播放/重听、点击、跳转和慢速播放次数（只存本机 IndexedDB）
+    createListeningState() {
         return {
-            elements: this.cache.elements.size,
-            strategies: this.cache.strategies.size,
-            layouts: this.cache.layouts.size,
-            timeIndex: this.cache.timeIndex.size,
-            hitRate: this.getCacheHitRate(),
-            hits: this.cache.hit,
-            misses: this.cache.miss
+            cueId: null,            // 当前计时的句子
+            lastTick: 0,            // 上次计时的 performance.now()，暂停后为 0
+            lastMediaTime: -1,
+            slowed: false,          // 本次播放是否已按慢速计数
+            playedCues: new Set()   // 本次打开章节后播放过的句子，再次播放即重听
         };
     }
 
-    getHighlightStats() {
-        const stats = {
-            totalElements: this.cache.elements.size,
-            cachedStrategies: this.cache.strategies.size,
-            cachedLayouts: this.cache.layouts.size,
-            cacheHitRate: this.getCacheHitRate(),
-            lastStrategy: this.cache.lastStrategy,
-            byType: {
-                minimal: 0,
-                medium: 0,
-                standard: 0,
-                advanced: 0,
-                unknown: 0
-            }
-        };
-        
-        // 统计布局类型
-        for (const [cueId, layoutInfo] of this.cache.layouts) {
-            if (layoutInfo.isDenseText && layoutInfo.isInline && layoutInfo.hasSiblings) {
-                stats.byType.minimal++;
-            } else if (layoutInfo.isInline && layoutInfo.hasSiblings) {
-                stats.byType.medium++;
-            } else if (layoutInfo.isInParagraph && layoutInfo.parentWidth > 0 && 
-                       layoutInfo.elementWidth / layoutInfo.parentWidth > 0.8) {
-                stats.byType.advanced++;
-            } else if (Object.keys(layoutInfo).length > 0) {
-                stats.byType.standard++;
-            } else {
-                stats.byType.unknown++;
-            }
-        }
-        
-        return stats;
+    recordListening(cueId, changes) {
+        if (!this.config.chapterId || !this.config.recordProgress || cueId === null || cueId === undefined) return;
+        window.EnglishSite.AppStats?.record(this.config.chapterId, cueId, changes);
     }
 
-    getPerformanceStats() {
-        try {
-            return window.EnglishSite.PerformanceMonitor ? 
-                   window.EnglishSite.PerformanceMonitor.getStats('audioSync') : {};
-        } catch (error) {
-            return {};
+    recordSeek() {
+        const cue = this.state.srtData[this.getReferenceCueIndex()];
+        if (cue) {
+            this.recordListening(cue.id, { seeks: 1 });
         }
     }
 
-    getErrorState() {
+    trackListening() {
         try {
-            return window.EnglishSite.SimpleErrorHandler ? 
-                   window.EnglishSite.SimpleErrorHandler.getStats() : {};
+            if (!this.isInitialized || !this.audioPlayer || this.audioPlayer.paused) return;
+
+            const listening = this.state.listening;
+            const now = performance.now();
+            const mediaTime = this.audioPlayer.currentTime;
+            const cue = this.state.srtData[Math.max(0, this.getReferenceCueIndex())];
+            if (!cue) return;
+
+            // 进入新句，或在同一句里往回跳（重听、单句循环）都算一次播放
+            const jumpedBack = listening.lastMediaTime !== -1 && mediaTime < listening.lastMediaTime - 0.5;
+            if (cue.id !== listening.cueId || jumpedBack) {
+                this.startListeningPlay(cue.id);
+            } else if (listening.lastTick) {
+                const elapsed = now - listening.lastTick;
+                if (elapsed > 0 && elapsed < 2000) {
+                    this.recordListening(cue.id, { listenedMs: Math.round(elapsed) });
+                }
+            }
+
+            listening.lastTick = now;
+            listening.lastMediaTime = mediaTime;
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ 收听统计失败:', error);
+        }
+    }
+
+    startListeningPlay(cueId) {
+        const listening = this.state.listening;
+        const replay = listening.playedCues.has(cueId);
+
+        listening.cueId = cueId;
+        listening.slowed = this.getPlaybackRate() < 1;
+        listening.playedCues.add(cueId);
+
+        this.recordListening(cueId, {
+            plays: 1,
+            replays: replay ? 1 : 0,
+            slowPlays: listening.slowed ? 1 : 0
+        });
+    }
+
+    // 句中调慢速度也算这句放慢播放了一次
+    trackRateChange() {
+        const listening = this.state.listening;
+        if (!listening.cueId || listening.slowed || this.isPaused() || this.getPlaybackRate() >= 1) return;
+
+        listening.slowed = true;
+        this.recordListening(listening.cueId, { slowPlays: 1 });
+    }
+
+    pauseListeningTracking() {
+        this.state.listening.lastTick = 0;
+        window.EnglishSite.AppStats?.flush();
+    }
+
+    getListeningStats(chapterId = this.config.chapterId) {
+        if (!window.EnglishSite.AppStats) {
+            return Promise.reject(new Error('ListeningStats is not available'));
+        }
+        return window.EnglishSite.AppStats.getStats(chapterId);
+    }
+
+    markChapterListened() {
+        try {
+            const appState = window.EnglishSite.AppState;
+            const chapterId = this.config.chapterId;
+            if (!appState || !chapterId || !this.config.recordProgress) return;
+
+            appState.set(`modules.audioSync.listened.${chapterId}`, Date.now(), { source: 'audioSync' });
+            appState.set(`modules.audioSync.positions.${chapterId}`, null, { source: 'audioSync' });
+
+            this.dispatchEvent('chapterListened', { chapterId });
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ 标记已听完失败:', error);
+        }
+    }
+
+    // 📱 Media Session：锁屏信息和耳机/锁屏按键
+    setupMediaSession() {
+        try {
+            if (!('mediaSession' in navigator)) return;
+
+            const metadata = this.options.mediaMetadata;
+            if (metadata && typeof MediaMetadata !== 'undefined') {
+                navigator.mediaSession.metadata = new MediaMetadata({
+                    title: metadata.title || '',
+                    artist: metadata.artist || '',
+                    album: metadata.album || '',
+                    artwork: metadata.artwork || []
+                });
+            }
+
+            const actions = {
+                play: () => this.play(),
+                pause: () => this.pause(),
+                previoustrack: () => this.previousCue(),
+                nexttrack: () => this.nextCue(),
+                seekbackward: (details) => this.seekBy(-(details.seekOffset || 5)),
+                seekforward: (details) => this.seekBy(details.seekOffset || 5),
+                seekto: (details) => this.seekToTime(details.seekTime)
+            };
+
+            this.mediaSessionActions = Object.keys(actions);
+            for (const [action, handler] of Object.entries(actions)) {
+                try {
+                    navigator.mediaSession.setActionHandler(action, handler);
+                } catch (error) {
+                    // 部分浏览器不支持某些动作
+                }
+            }
+
+            this.updateMediaSessionState();
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ Media Session 设置失败:', error);
+        }
+    }
+
+    updateMediaSessionState() {
+        try {
+            if (!('mediaSession' in navigator) || !this.audioPlayer) return;
+
+            navigator.mediaSession.playbackState = this.isPaused() ? 'paused' : 'playing';
+
+            const duration = this.audioPlayer.duration;
+            if (navigator.mediaSession.setPositionState && isFinite(duration) && duration > 0) {
+                navigator.mediaSession.setPositionState({
+                    duration,
+                    playbackRate: this.getPlaybackRate() || 1,
+                    position: Math.min(duration, this.audioPlayer.currentTime)
+                });
+            }
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ Media Session 状态更新失败:', error);
+        }
+    }
+
+    teardownMediaSession() {
+        try {
+            if (!('mediaSession' in navigator) || !this.mediaSessionActions) return;
+
+            for (const action of this.mediaSessionActions) {
+                try {
+                    navigator.mediaSession.setActionHandler(action, null);
+                } catch (error) {
+                    // 忽略不支持的动作
+                }
+            }
+            navigator.mediaSession.metadata = null;
+            navigator.mediaSession.playbackState = 'none';
+            this.mediaSessionActions = null;
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ Media Session 清理失败:', error);
+        }
+    }
+
+    // 📜 滚动到元素
+    scrollToElement(element) {
+        try {
+            const rect = element.getBoundingClientRect();
+            const containerRect = this.contentArea.getBoundingClientRect();
+            
+            const isVisible = (
+                rect.top >= containerRect.top + 30 &&
+                rect.bottom <= containerRect.bottom - 30
+            );
+            
+            if (!isVisible) {
+                element.scrollIntoView({
+                    behavior: 'smooth',
+                    block: 'center',
+                    inline: 'nearest'
+                });
+            }
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ 滚动失败:', error);
+        }
+    }
+
+    // 👀 跟随模式：检测用户主动滚动（滚轮、触摸、按键、拖动滚动条），
+    // 程序触发的 scrollIntoView 不会产生这些事件，因此不会误判
+    setupFollowListeners() {
+        const onUserScroll = () => this.pauseFollow();
+
+        this.followHandlers = {
+            wheel: onUserScroll,
+            touchmove: onUserScroll,
+            keydown: (e) => {
+                if (!['PageUp', 'PageDown', 'Home', 'End', 'ArrowUp', 'ArrowDown'].includes(e.key)) return;
+                if (e.target && (e.target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName))) return;
+                onUserScroll();
+            },
+            mousedown: (e) => {
+                // 点在滚动条上
+                if (e.target === this.contentArea && e.offsetX >= this.contentArea.clientWidth) {
+                    onUserScroll();
+                }
+            },
+            scroll: () => {
+                if (this.state.follow.paused) this.updateFollowPill();
+            }
+        };
+
+        for (const type of ['wheel', 'touchmove', 'mousedown', 'scroll']) {
+            this.contentArea.addEventListener(type, this.followHandlers[type], { passive: true });
+        }
+        document.addEventListener('keydown', this.followHandlers.keydown);
+    }
+
+    removeFollowListeners() {
+        if (!this.followHandlers) return;
+
+        if (this.contentArea) {
+            for (const type of ['wheel', 'touchmove', 'mousedown', 'scroll']) {
+                this.contentArea.removeEventListener(type, this.followHandlers[type]);
+            }
+        }
+        document.removeEventListener('keydown', this.followHandlers.keydown);
+        this.followHandlers = null;
+    }
+
+    pauseFollow() {
+        const follow = this.state.follow;
+        if (!this.state.autoscroll) return;
+
+        if (!follow.paused) {
+            follow.paused = true;
+            this.dispatchEvent('audioFollowChanged', { following: false });
+        }
+
+        // 每次手动滚动都重新计时
+        clearTimeout(follow.resumeTimer);
+        follow.resumeTimer = setTimeout(() => this.resumeFollow(), this.config.followResumeDelay);
+
+        this.updateFollowPill();
+    }
+
+    resumeFollow(scroll = true) {
+        const follow = this.state.follow;
+        clearTimeout(follow.resumeTimer);
+        follow.resumeTimer = null;
+
+        if (!follow.paused) return;
+
+        follow.paused = false;
+        this.updateFollowPill();
+        this.dispatchEvent('audioFollowChanged', { following: true });
+
+        if (scroll && this.state.autoscroll && this.state.lastElement) {
+            this.scrollToElement(this.state.lastElement);
+        }
+    }
+
+    isFollowing() {
+        return this.state.autoscroll && !this.state.follow.paused;
+    }
+
+    // 💊 "回到当前句"提示：仅在当前句不在视野内时显示
+    updateFollowPill() {
+        try {
+            const follow = this.state.follow;
+            const element = this.state.lastElement;
+            const direction = follow.paused && element && element.isConnected ? this.getElementDirection(element) : 0;
+
+            if (!direction) {
+                if (follow.pill) follow.pill.hidden = true;
+                return;
+            }
+
+            if (!follow.pill) {
+                follow.pill = document.createElement('button');
+                follow.pill.type = 'button';
+                follow.pill.className = 'follow-return-pill';
+                follow.pill.addEventListener('click', () => this.resumeFollow());
+                document.body.appendChild(follow.pill);
+            }
+
+            follow.pill.textContent = `${direction < 0 ? '↑' : '↓'} 回到当前句`;
+            follow.pill.hidden = false;
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ 跟随提示更新失败:', error);
+        }
+    }
+
+    // 元素在可视区上方返回 -1，下方返回 1，可见返回 0
+    getElementDirection(element) {
+        const rect = element.getBoundingClientRect();
+        const containerRect = this.contentArea.getBoundingClientRect();
+
+        if (rect.bottom < containerRect.top) return -1;
+        if (rect.top > containerRect.bottom) return 1;
+        return 0;
+    }
+
+    teardownFollow() {
+        const follow = this.state.follow;
+        clearTimeout(follow.resumeTimer);
+        follow.resumeTimer = null;
+        follow.paused = false;
+        if (follow.pill) {
+            follow.pill.remove();
+            follow.pill = null;
+        }
+        this.removeFollowListeners();
+    }
+
+    // 🧰 句子工具按钮（录音、链接）放在 #content 之外的浮层里，按句子位置摆放，不混入正文文本
+    placeSentenceTool(button, element) {
+        if (!element || !element.isConnected) return;
+
+        const tools = this.state.sentenceTools;
+        if (!tools.layer) {
+            tools.layer = document.createElement('div');
+            tools.layer.className = 'sentence-tool-layer';
+            document.body.appendChild(tools.layer);
+
+            tools.handlers = {
+                layout: () => {
+                    if (tools.frame) return;
+                    tools.frame = requestAnimationFrame(() => {
+                        tools.frame = null;
+                        this.layoutSentenceTools();
+                    });
+                }
+            };
+            this.contentArea.addEventListener('scroll', tools.handlers.layout, { passive: true });
+            window.addEventListener('resize', tools.handlers.layout);
+        }
+
+        tools.anchors.set(button, element);
+        if (button.parentNode !== tools.layer) {
+            tools.layer.appendChild(button);
+        }
+        this.layoutSentenceTools();
+    }
+
+    removeSentenceTool(button) {
+        this.state.sentenceTools.anchors.delete(button);
+        button.remove();
+    }
+
+    // 📐 按钮排在句子最后一行之后，同一句的按钮依次向右；句子滚出正文可视区时隐藏
+    layoutSentenceTools() {
+        const tools = this.state.sentenceTools;
+        if (!tools.layer) return;
+
+        const bounds = this.contentArea.getBoundingClientRect();
+        const maxRight = bounds.left + this.contentArea.clientWidth;
+        const GAP = 4;
+        const nextLeft = new Map();
+
+        tools.anchors.forEach((element, button) => {
+            const rects = element.isConnected ? element.getClientRects() : [];
+            const line = rects[rects.length - 1];
+            const visible = !!line && line.bottom > bounds.top && line.top < bounds.bottom;
+
+            button.hidden = !visible;
+            if (!visible) return;
+
+            const width = button.offsetWidth;
+            const left = nextLeft.get(element) ?? line.right + GAP;
+            button.style.left = `${Math.min(left, maxRight - width)}px`;
+            button.style.top = `${line.top + (line.height - button.offsetHeight) / 2}px`;
+            nextLeft.set(element, left + width + GAP);
+        });
+    }
+
+    teardownSentenceTools() {
+        const tools = this.state.sentenceTools;
+        if (tools.frame) {
+            cancelAnimationFrame(tools.frame);
+            tools.frame = null;
+        }
+        if (tools.handlers) {
+            this.contentArea?.removeEventListener('scroll', tools.handlers.layout);
+            window.removeEventListener('resize', tools.handlers.layout);
+            tools.handlers = null;
+        }
+        tools.layer?.remove();
+        tools.layer = null;
+        tools.anchors.clear();
+    }
+
+    // 🙈 听力模式：hide 为 'none' | 'all' | 'future'，隐藏的句子模糊显示
+    loadTranscriptMode() {
+        const saved = window.EnglishSite.AppState?.get('preferences.transcriptMode', null) || {};
+        return {
+            hide: ['none', 'all', 'future'].includes(saved.hide) ? saved.hide : 'none',
+            revealOnClick: saved.revealOnClick !== false
+        };
+    }
+
+    setTranscriptMode(mode = {}) {
+        try {
+            const current = this.state.transcriptMode;
+            this.state.transcriptMode = {
+                hide: ['none', 'all', 'future'].includes(mode.hide) ? mode.hide : current.hide,
+                revealOnClick: typeof mode.revealOnClick === 'boolean' ? mode.revealOnClick : current.revealOnClick
+            };
+
+            window.EnglishSite.AppState?.set('preferences.transcriptMode', { ...this.state.transcriptMode }, { source: 'audioSync' });
+
+            this.applyTranscriptMode();
+            this.dispatchEvent('audioTranscriptModeChanged', this.getTranscriptMode());
+            return this.getTranscriptMode();
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ 听力模式设置失败:', error);
+            return this.getTranscriptMode();
+        }
+    }
+
+    getTranscriptMode() {
+        return { ...this.state.transcriptMode };
+    }
+
+    // 切换模式时重新隐藏所有句子
+    applyTranscriptMode() {
+        if (!this.contentArea) return;
+
+        const { hide, revealOnClick } = this.state.transcriptMode;
+        this.contentArea.classList.toggle('transcript-hidden', hide !== 'none');
+        this.contentArea.classList.toggle('transcript-reveal-on-click', hide !== 'none' && revealOnClick);
+        this.contentArea.querySelectorAll('.sentence-revealed').forEach(element => {
+            element.classList.remove('sentence-revealed');
+        });
+        this.state.revealedUntil = -1;
+
+        if (hide === 'future' && this.audioPlayer) {
+            this.revealPlayedSentences(this.getCurrentTime());
+        }
+    }
+
+    // 揭示已播完的句子（cue 按开始时间排序）
+    revealPlayedSentences(currentTime) {
+        const cues = this.state.srtData;
+        let index = this.state.revealedUntil + 1;
+
+        while (index < cues.length && cues[index].endTime <= currentTime) {
+            this.revealSentence(cues[index].id);
+            this.state.revealedUntil = index;
+            index++;
+        }
+    }
+
+    // ⏪ 按当前位置重新计算已揭示的范围（跳转后调用）
+    recomputeRevealedSentences() {
+        if (this.state.transcriptMode.hide !== 'future' || !this.contentArea) return;
+
+        const cues = this.state.srtData;
+        const currentTime = this.getCurrentTime();
+        let until = -1;
+        while (until + 1 < cues.length && cues[until + 1].endTime <= currentTime) {
+            until++;
+        }
+
+        if (until < this.state.revealedUntil) {
+            for (const cue of cues.slice(until + 1)) {
+                this.findElement(cue.id)?.classList.remove('sentence-revealed');
+            }
+            this.state.revealedUntil = until;
+        }
+        this.revealPlayedSentences(currentTime);
+    }
+
+    revealSentence(cueId) {
+        const element = this.findElement(cueId);
+        if (!element || element.classList.contains('sentence-revealed')) return;
+
+        element.classList.add('sentence-revealed');
+        this.dispatchEvent('audioSentenceRevealed', { cueId });
+    }
+
+    revealAll() {
+        this.state.srtData.forEach(cue => this.revealSentence(cue.id));
+        this.state.revealedUntil = this.state.srtData.length - 1;
+    }
+
+    isSentenceHidden(element) {
+        return this.state.transcriptMode.hide !== 'none' && !element.classList.contains('sentence-revealed');
+    }
+
+    // 🗣️ 说话人：按 .transcript-paragraph 中的 <span class="speaker">Neil:</span> 划分轮次，
+    // 无标签的段落沿用上一位说话人；正文没有标签时退回 WebVTT 的 <v> 标签
+    buildSpeakerTurns() {
+        const speakers = { turns: [], names: [], cueSpeaker: new Map() };
+
+        try {
+            let current = null;
+
+            this.contentArea.querySelectorAll('.transcript-paragraph').forEach(paragraph => {
+                const label = paragraph.querySelector('.speaker');
+                if (label) {
+                    current = label.textContent.replace(/:\s*$/, '').trim() || current;
+                }
+                if (!current) return;
+
+                const cueIds = Array.from(paragraph.querySelectorAll(`[${this.SENTENCE_ID_ATTR}]`), element => this.normalizeCueId(element.dataset.sentenceId));
+                if (!cueIds.length) return;
+
+                const last = speakers.turns[speakers.turns.length - 1];
+                if (!label && last && last.speaker === current) {
+                    last.cueIds.push(...cueIds);
+                    last.elements.push(paragraph);
+                } else {
+                    speakers.turns.push({ speaker: current, cueIds, elements: [paragraph] });
+                }
+            });
+
+            if (!speakers.turns.length) {
+                for (const cue of this.state.srtData) {
+                    if (!cue.voice) continue;
+
+                    const element = this.findElement(cue.id);
+                    const last = speakers.turns[speakers.turns.length - 1];
+                    if (last && last.speaker === cue.voice) {
+                        last.cueIds.push(cue.id);
+                        if (element) last.elements.push(element);
+                    } else {
+                        speakers.turns.push({ speaker: cue.voice, cueIds: [cue.id], elements: element ? [element] : [] });
+                    }
+                }
+            }
+
+            speakers.turns.forEach((turn, i) => {
+                turn.index = i;
+                if (!speakers.names.includes(turn.speaker)) {
+                    speakers.names.push(turn.speaker);
+                }
+                turn.cueIds.forEach(id => speakers.cueSpeaker.set(id, turn.speaker));
+
+                // 颜色按说话人出现顺序循环分配
+                const colorIndex = String(speakers.names.indexOf(turn.speaker) % 6);
+                turn.elements.forEach(element => {
+                    element.dataset.speakerIndex = colorIndex;
+                });
+            });
+
+            this.contentArea.classList.toggle('speaker-colors', speakers.names.length > 1);
+
+            if (speakers.turns.length) {
+                console.log(`[AudioSync] 🗣️ 说话人: ${speakers.names.join(', ')}（${speakers.turns.length} 段）`);
+            }
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ 说话人解析失败:', error);
+        }
+
+        this.state.speakers = speakers;
+    }
+
+    getSpeakers() {
+        const { turns, names } = this.state.speakers;
+        return names.map(name => {
+            const own = turns.filter(turn => turn.speaker === name);
+            return {
+                name,
+                colorIndex: names.indexOf(name) % 6,
+                turnCount: own.length,
+                cueCount: own.reduce((sum, turn) => sum + turn.cueIds.length, 0)
+            };
+        });
+    }
+
+    getSpeakerTurns() {
+        return this.state.speakers.turns.map(turn => ({
+            index: turn.index,
+            speaker: turn.speaker,
+            cueIds: turn.cueIds.slice()
+        }));
+    }
+
+    getSpeakerForCue(cueId) {
+        return this.state.speakers.cueSpeaker.get(this.normalizeCueId(cueId)) || null;
+    }
+
+    // ⏭️ 跳到某位说话人的下一段（direction = -1 为上一段）
+    nextSpeakerTurn(speaker, direction = 1) {
+        const reference = this.getReferenceCueIndex();
+        const starts = this.state.speakers.turns
+            .filter(turn => turn.speaker === speaker)
+            .map(turn => this.getCueIndexById(turn.cueIds[0]))
+            .filter(index => index !== -1);
+
+        let target;
+        if (direction < 0) {
+            // 当前正处于该说话人的段落中时，跳到它的上一段而不是段首
+            const currentTurnStart = starts.filter(index => index <= reference).pop();
+            target = starts.filter(index => index < (currentTurnStart ?? reference)).pop();
+        } else {
+            target = starts.find(index => index > reference);
+        }
+
+        if (target === undefined) return -1;
+        return this.seekToCueIndex(target);
+    }
+
+    // 🔦 只突出一位说话人，其余段落变暗（null 取消）
+    setSpeakerFilter(speaker) {
+        const names = this.state.speakers.names;
+        this.state.speakerFilter = names.includes(speaker) ? speaker : null;
+
+        this.contentArea.classList.toggle('speaker-filter', !!this.state.speakerFilter);
+        for (const turn of this.state.speakers.turns) {
+            const dimmed = !!this.state.speakerFilter && turn.speaker !== this.state.speakerFilter;
+            turn.elements.forEach(element => element.classList.toggle('speaker-dimmed', dimmed));
+        }
+
+        this.dispatchEvent('audioSpeakerFilterChanged', { speaker: this.state.speakerFilter });
+        return this.state.speakerFilter;
+    }
+
+    // 🎭 角色扮演：播放到所选说话人的句子时静音，由学习者说出台词
+    setRolePlay(speaker) {
+        const rolePlay = this.state.rolePlay;
+        const names = this.state.speakers.names;
+
+        if (rolePlay.muted) {
+            this.audioPlayer.muted = rolePlay.wasMuted;
+            rolePlay.muted = false;
+        }
+
+        rolePlay.speaker = names.includes(speaker) ? speaker : null;
+
+        this.contentArea.classList.toggle('role-play', !!rolePlay.speaker);
+        for (const turn of this.state.speakers.turns) {
+            const isRole = !!rolePlay.speaker && turn.speaker === rolePlay.speaker;
+            turn.elements.forEach(element => element.classList.toggle('role-play-line', isRole));
+        }
+
+        this.updateBoundaryMonitor();
+        if (rolePlay.speaker && this.audioPlayer) {
+            this.checkRolePlay(this.getCurrentTime());
+        }
+
+        this.dispatchEvent('audioRolePlayChanged', { speaker: rolePlay.speaker });
+        return rolePlay.speaker;
+    }
+
+    getRolePlay() {
+        return this.state.rolePlay.speaker;
+    }
+
+    checkRolePlay(currentTime) {
+        const rolePlay = this.state.rolePlay;
+        if (!rolePlay.speaker || !this.audioPlayer) return;
+
+        const cue = this.state.srtData[this.findCueIndex(currentTime)];
+        const shouldMute = !!cue && this.getSpeakerForCue(cue.id) === rolePlay.speaker;
+        if (shouldMute === rolePlay.muted) return;
+
+        if (shouldMute) {
+            rolePlay.wasMuted = this.audioPlayer.muted;
+            this.audioPlayer.muted = true;
+        } else {
+            this.audioPlayer.muted = rolePlay.wasMuted;
+        }
+        rolePlay.muted = shouldMute;
+        this.dispatchEvent('audioRolePlayTurn', { speaker: rolePlay.speaker, speaking: shouldMute, cueId: cue ? cue.id : null });
+    }
+
+    // 🔁 循环状态
+    createEmptyLoopState() {
+        return {
+            active: false,
+            startIndex: -1,
+            endIndex: -1,
+            repeat: 0,          // 总播放遍数，Infinity 表示无限循环
+            passes: 0,          // 已完成遍数
+            pauseMs: 0,
+            pendingStart: -1,   // Shift 点击标记的起点
+            waiting: false,
+            waitTimer: null,
+            elements: []
+        };
+    }
+
+    // 🗣️ 跟读状态
+    createShadowingState() {
+        const saved = this.loadShadowingPreferences();
+
+        return {
+            enabled: saved.enabled === true,
+            gapFactor: saved.gapFactor > 0 ? saved.gapFactor : this.config.shadowingGapFactor,
+            waiting: false,
+            waitTimer: null,
+            pausedIndex: -1,    // 已暂停过的句子，避免同一句重复触发
+            element: null
+        };
+    }
+
+    // 🔤 正文的 data-sentence-id 可能带 s 前缀，统一成字幕ID
+    normalizeCueId(cueId) {
+        const id = String(cueId);
+        return id.startsWith('s') ? id.slice(1) : id;
+    }
+
+    // 🔍 通过字幕ID查找索引（兼容 s 前缀）
+    getCueIndexById(cueId) {
+        if (cueId === undefined || cueId === null) return -1;
+
+        const id = this.normalizeCueId(cueId);
+        return this.state.srtData.findIndex(c => c.id === id);
+    }
+
+    getLastCueIndex() {
+        const timeIndex = this.state.timeIndex;
+        return timeIndex.length ? timeIndex[timeIndex.length - 1].index : -1;
+    }
+
+    isIndexInLoop(index) {
+        const loop = this.state.loop;
+        return loop.active && index >= loop.startIndex && index <= loop.endIndex;
+    }
+
+    // ⏱️ 循环边界检查（返回 true 表示本次时间更新已被循环接管）
+    checkLoopBoundary(currentTime) {
+        try {
+            const loop = this.state.loop;
+            if (!loop.active) return false;
+            if (loop.waiting) return true;
+
+            const endCue = this.state.srtData[loop.endIndex];
+            if (!endCue || currentTime < endCue.endTime) return false;
+
+            return this.completeLoopPass();
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ 循环边界检查失败:', error);
+            return false;
+        }
+    }
+
+    // 🔁 完成一遍循环（返回 true 表示继续循环）
+    completeLoopPass() {
+        const loop = this.state.loop;
+        loop.passes++;
+
+        if (loop.passes >= loop.repeat) {
+            console.log(`[AudioSync] 🔁 循环完成: ${loop.passes} 遍`);
+            this.clearLoop();
+            return false;
+        }
+
+        this.pause();
+        loop.waiting = true;
+        this.updateLoopIndicators();
+
+        loop.waitTimer = setTimeout(() => {
+            loop.waitTimer = null;
+            loop.waiting = false;
+            if (!this.state.loop.active) return;
+
+            this.seekToCue(loop.startIndex);
+            this.play();
+        }, loop.pauseMs);
+
+        this.dispatchEvent('audioLoopChanged', this.getLoopState());
+        return true;
+    }
+
+    // ⏩ 跳转到字幕起点
+    seekToCue(index) {
+        const cue = this.state.srtData[index];
+        if (!cue || !this.audioPlayer) return;
+
+        this.audioPlayer.currentTime = Math.max(0, cue.startTime - this.state.timeOffset);
+        this.state.lastProcessedTime = -1;
+        this.state.currentIndex = index;
+        this.updateHighlight(index);
+    }
+
+    // ▶️ 单句播放：从句首播放到句尾后暂停（听写等练习使用）
+    playCue(index) {
+        const target = Math.max(0, Math.min(this.state.srtData.length - 1, index));
+        if (!this.state.srtData[target]) return -1;
+
+        this.cancelShadowingGap();
+        if (this.state.loop.active) {
+            this.clearLoop();
+        }
+
+        this.seekToCue(target);
+        this.state.cueStopIndex = target;
+        this.updateBoundaryMonitor();
+        this.play();
+        return target;
+    }
+
+    checkCueStop(currentTime) {
+        const index = this.state.cueStopIndex;
+        if (index === -1) return false;
+
+        const cue = this.state.srtData[index];
+        if (cue && currentTime < cue.endTime) return false;
+
+        this.pause();
+        this.clearCueStop();
+        this.dispatchEvent('audioCueEnded', { index, cueId: cue ? cue.id : null });
+        return true;
+    }
+
+    clearCueStop() {
+        if (this.state.cueStopIndex === -1) return;
+
+        this.state.cueStopIndex = -1;
+        this.updateBoundaryMonitor();
+    }
+
+    // 👀 边界监视（timeupdate 约 250ms 一次，循环和跟读需要更密的检查）
+    updateBoundaryMonitor() {
+        const needed = this.state.loop.active || this.state.shadowing.enabled ||
+            this.state.cueStopIndex !== -1 || !!this.state.rolePlay.speaker;
+
+        if (needed && !this.state.boundaryMonitor) {
+            this.state.boundaryMonitor = setInterval(() => {
+                if (this.isPaused()) return;
+
+                const currentTime = this.audioPlayer.currentTime + this.state.timeOffset;
+                this.checkRolePlay(currentTime);
+                if (!this.checkCueStop(currentTime) && !this.checkLoopBoundary(currentTime)) {
+                    this.checkShadowingBoundary(currentTime);
+                }
+            }, 50);
+        } else if (!needed && this.state.boundaryMonitor) {
+            clearInterval(this.state.boundaryMonitor);
+            this.state.boundaryMonitor = null;
+        }
+    }
+
+    // 🎨 循环区间标记
+    updateLoopIndicators() {
+        try {
+            this.clearLoopIndicators();
+
+            const loop = this.state.loop;
+            const elements = [];
+
+            if (loop.active) {
+                for (let i = loop.startIndex; i <= loop.endIndex; i++) {
+                    const cue = this.state.srtData[i];
+                    const element = cue ? this.findElement(cue.id) : null;
+                    if (!element) continue;
+
+                    element.classList.add('loop-range');
+                    if (i === loop.startIndex) element.classList.add('loop-start');
+                    if (i === loop.endIndex) element.classList.add('loop-end');
+                    elements.push(element);
+                }
+
+                if (elements.length) {
+                    const remaining = loop.repeat === Infinity ? '∞' : String(loop.repeat - loop.passes);
+                    elements[elements.length - 1].setAttribute('data-loop-remaining', remaining);
+                }
+            } else if (loop.pendingStart !== -1) {
+                const cue = this.state.srtData[loop.pendingStart];
+                const element = cue ? this.findElement(cue.id) : null;
+                if (element) {
+                    element.classList.add('loop-pending');
+                    elements.push(element);
+                }
+            }
+
+            loop.elements = elements;
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ 循环标记更新失败:', error);
+        }
+    }
+
+    clearLoopIndicators() {
+        for (const element of this.state.loop.elements) {
+            element.classList.remove('loop-range', 'loop-start', 'loop-end', 'loop-pending');
+            element.removeAttribute('data-loop-remaining');
+        }
+        this.state.loop.elements = [];
+    }
+
+    // 🗣️ 跟读边界检查：句末暂停，停顿时长按句长比例计算
+    checkShadowingBoundary(currentTime) {
+        try {
+            const shadowing = this.state.shadowing;
+            if (!shadowing.enabled) return false;
+            if (shadowing.waiting) return true;
+
+            // 用户拖回已暂停过的句子内时，允许再次触发
+            const pausedCue = this.state.srtData[shadowing.pausedIndex];
+            if (pausedCue && currentTime < pausedCue.endTime - 0.3) {
+                shadowing.pausedIndex = -1;
+            }
+
+            const index = this.state.currentIndex;
+            const cue = this.state.srtData[index];
+            if (!cue || index === shadowing.pausedIndex) return false;
+            if (currentTime < cue.endTime || currentTime > cue.endTime + 1) return false;
+
+            this.startShadowingGap(index);
+            return true;
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ 跟读边界检查失败:', error);
+            return false;
+        }
+    }
+
+    getShadowingGapMs(index) {
+        const cue = this.state.srtData[index];
+        if (!cue) return 0;
+
+        const rate = this.getPlaybackRate() || 1;
+        const spokenMs = (cue.endTime - cue.startTime) / rate * 1000;
+        return Math.max(this.config.shadowingMinGapMs, Math.round(spokenMs * this.state.shadowing.gapFactor));
+    }
+
+    startShadowingGap(index) {
+        const shadowing = this.state.shadowing;
+        const gapMs = this.getShadowingGapMs(index);
+
+        this.pause();
+        shadowing.waiting = true;
+        shadowing.pausedIndex = index;
+
+        const cue = this.state.srtData[index];
+        const element = cue ? this.findElement(cue.id) : null;
+        if (element) {
+            element.style.setProperty('--shadowing-gap', `${gapMs}ms`);
+            element.classList.add('shadowing-gap');
+            shadowing.element = element;
+        }
+
+        shadowing.waitTimer = setTimeout(() => {
+            shadowing.waitTimer = null;
+            this.endShadowingGap();
+            this.play();
+        }, gapMs);
+
+        this.dispatchEvent('audioShadowingGap', { cueId: cue ? cue.id : null, gapMs });
+    }
+
+    endShadowingGap() {
+        const shadowing = this.state.shadowing;
+        if (shadowing.waitTimer) {
+            clearTimeout(shadowing.waitTimer);
+            shadowing.waitTimer = null;
+        }
+        if (shadowing.element) {
+            shadowing.element.classList.remove('shadowing-gap');
+            shadowing.element.style.removeProperty('--shadowing-gap');
+            shadowing.element = null;
+        }
+        shadowing.waiting = false;
+    }
+
+    cancelShadowingGap() {
+        this.endShadowingGap();
+        this.state.shadowing.pausedIndex = -1;
+    }
+
+    // 💾 按章节读写 StateManager 偏好：preferences.<key>.<chapterId>
+    getChapterPreference(key, defaultValue, scope = this.config.chapterId) {
+        try {
+            const appState = window.EnglishSite.AppState;
+            if (!appState || !scope) return defaultValue;
+
+            return appState.get(`preferences.${key}.${scope}`, defaultValue);
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ 偏好读取失败:', key, error);
+            return defaultValue;
+        }
+    }
+
+    setChapterPreference(key, value, scope = this.config.chapterId) {
+        try {
+            const appState = window.EnglishSite.AppState;
+            if (!appState || !scope) return;
+
+            appState.set(`preferences.${key}.${scope}`, value, { source: 'audioSync' });
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ 偏好保存失败:', key, error);
+        }
+    }
+
+    // ⏱️ 时间校正（偏移、锚点、手动修正）与音频文件绑定，非默认音频版本单独保存：<chapterId>~<variant>
+    getTimingScope() {
+        if (!this.config.chapterId) return null;
+        return this.config.audioVariant ?
+            `${this.config.chapterId}~${this.config.audioVariant}` :
+            this.config.chapterId;
+    }
+
+    getTimingPreference(key, defaultValue) {
+        return this.getChapterPreference(key, defaultValue, this.getTimingScope());
+    }
+
+    setTimingPreference(key, value) {
+        this.setChapterPreference(key, value, this.getTimingScope());
+    }
+
+    loadShadowingPreferences() {
+        return this.getChapterPreference('shadowing', null) || {};
+    }
+
+    saveShadowingPreferences() {
+        this.setChapterPreference('shadowing', {
+            enabled: this.state.shadowing.enabled,
+            gapFactor: this.state.shadowing.gapFactor
+        });
+    }
+
+    dispatchEvent(eventName, detail = {}) {
+        document.dispatchEvent(new CustomEvent(eventName, { detail }));
+    }
+
+    // 📊 获取缓存命中率
+    getCacheHitRate() {
+        const total = this.cache.hit + this.cache.miss;
+        return total > 0 ? `${(this.cache.hit / total * 100).toFixed(1)}%` : '0%';
+    }
+
+    // === 公共API方法 ===
+
+    async waitForInitialization() {
+        return this.initPromise;
+    }
+
+    // ▶️ 返回 audio.play() 的 Promise：浏览器阻止自动播放时会 reject（NotAllowedError），由调用方处理
+    play() {
+        try {
+            if (this.audioPlayer) {
+                return this.audioPlayer.play() || Promise.resolve();
+            }
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ 播放失败:', error);
+        }
+        return Promise.resolve();
+    }
+
+    pause() {
+        try {
+            if (this.audioPlayer) {
+                this.audioPlayer.pause();
+            }
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ 暂停失败:', error);
+        }
+    }
+
+    isPaused() {
+        try {
+            return this.audioPlayer ? this.audioPlayer.paused : true;
+        } catch (error) {
+            return true;
+        }
+    }
+
+    togglePlay() {
+        if (this.isPaused()) {
+            this.play();
+        } else {
+            this.pause();
+        }
+        return !this.isPaused();
+    }
+
+    // ⏮️ 按句跳转（保持当前播放/暂停状态）
+    seekToCueIndex(index) {
+        const target = Math.max(0, Math.min(this.state.srtData.length - 1, index));
+        if (!this.state.srtData[target]) return -1;
+
+        // 跟读停顿中跳转时继续播放
+        const resume = this.state.shadowing.waiting;
+        this.cancelShadowingGap();
+        this.clearCueStop();
+        if (this.state.loop.active && !this.isIndexInLoop(target)) {
+            this.clearLoop();
+        }
+        this.seekToCue(target);
+        this.recordListening(this.state.srtData[target].id, { seeks: 1 });
+        this.resumeFollow(false);
+        if (resume) {
+            this.play();
+        }
+        return target;
+    }
+
+    // 当前未在句中时，以当前时间附近的句子为基准
+    getReferenceCueIndex() {
+        if (this.state.currentIndex !== -1) return this.state.currentIndex;
+
+        const time = this.getCurrentTime();
+        let reference = -1;
+        this.state.srtData.forEach((cue, i) => {
+            if (cue.startTime <= time) reference = i;
+        });
+        return reference;
+    }
+
+    previousCue() {
+        const reference = this.getReferenceCueIndex();
+        return this.seekToCueIndex(reference === -1 ? 0 : reference - 1);
+    }
+
+    nextCue() {
+        return this.seekToCueIndex(this.getReferenceCueIndex() + 1);
+    }
+
+    replayCue() {
+        if (this.state.shadowing.waiting) {
+            return this.repeatShadowingCue();
+        }
+
+        const index = this.getReferenceCueIndex();
+        if (index === -1) return false;
+
+        this.seekToCueIndex(index);
+        this.play();
+        return true;
+    }
+
+    seekBy(seconds) {
+        try {
+            if (!this.audioPlayer) return;
+
+            const duration = this.audioPlayer.duration || Infinity;
+            this.cancelShadowingGap();
+            this.audioPlayer.currentTime = Math.max(0, Math.min(duration, this.audioPlayer.currentTime + seconds));
+            this.refreshHighlight();
+            this.recordSeek();
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ 跳转失败:', error);
+        }
+    }
+
+    // 跳转到音频时间（秒）并立即更新高亮
+    seekToTime(seconds) {
+        try {
+            if (!this.audioPlayer || typeof seconds !== 'number' || isNaN(seconds)) return;
+
+            this.cancelShadowingGap();
+            this.audioPlayer.currentTime = Math.max(0, seconds);
+            this.refreshHighlight();
+            this.recordSeek();
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ 跳转失败:', error);
+        }
+    }
+
+    changePlaybackRate(delta) {
+        const rate = Math.round(Math.max(0.5, Math.min(2, this.getPlaybackRate() + delta)) * 100) / 100;
+        this.setPlaybackRate(rate);
+        return rate;
+    }
+
+    toggleAutoscroll(enabled) {
+        this.state.autoscroll = typeof enabled === 'boolean' ? enabled : !this.state.autoscroll;
+        if (!this.state.autoscroll) {
+            // 关闭自动滚动时不再需要跟随提示
+            clearTimeout(this.state.follow.resumeTimer);
+            this.state.follow.paused = false;
+            this.updateFollowPill();
+        }
+        return this.state.autoscroll;
+    }
+    
+    setPlaybackRate(rate) {
+        try {
+            if (this.audioPlayer) {
+                this.audioPlayer.playbackRate = rate;
+            }
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ 设置播放速度失败:', error);
+        }
+    }
+    
+    getPlaybackRate() {
+        try {
+            return this.audioPlayer ? this.audioPlayer.playbackRate : 1;
+        } catch (error) {
+            return 1;
+        }
+    }
+
+    // ⏱️ 字幕偏移：字幕时间 = 音频时间 + timeOffset（秒），按章节保存
+    getTimeOffset() {
+        return this.state.timeOffset;
+    }
+
+    setTimeOffset(seconds, options = {}) {
+        try {
+            const offset = Math.round(Math.max(-30, Math.min(30, Number(seconds) || 0)) * 1000) / 1000;
+            if (offset === this.state.timeOffset) return offset;
+
+            this.state.timeOffset = offset;
+            this.refreshHighlight();
+
+            if (options.persist !== false) {
+                this.setTimingPreference('timeOffsets', offset);
+            }
+
+            console.log(`[AudioSync] ⏱️ 字幕偏移: ${offset.toFixed(3)}s`);
+            this.dispatchEvent('audioOffsetChanged', { chapterId: this.config.chapterId || null, offset });
+            return offset;
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ 设置字幕偏移失败:', error);
+            return this.state.timeOffset;
+        }
+    }
+
+    nudgeTimeOffset(deltaMs) {
+        return this.setTimeOffset(this.state.timeOffset + deltaMs / 1000);
+    }
+
+    // 👆 "听到这句时点击"：按点击时刻推算偏移（扣除反应时间）
+    calibrateFromTap(cueId, tapTime) {
+        const cue = this.state.srtData[this.getCueIndexById(cueId)];
+        if (!cue || !this.audioPlayer) return null;
+
+        const audioTime = (typeof tapTime === 'number' ? tapTime : this.audioPlayer.currentTime) -
+            this.config.calibrationReactionMs / 1000;
+
+        return this.setTimeOffset(cue.startTime - Math.max(0, audioTime));
+    }
+
+    // 📐 漂移锚点
+    getTimingAnchors() {
+        return { ...this.state.timingAnchors };
+    }
+
+    setTimingAnchors(anchors, options = {}) {
+        try {
+            this.state.timingAnchors = { ...(anchors || {}) };
+
+            if (options.persist !== false) {
+                this.setTimingPreference('timingAnchors', this.state.timingAnchors);
+            }
+
+            this.state.srtData = this.computeCueTimes();
+            this.buildTimeIndex();
+            this.refreshHighlight(true);
+
+            this.dispatchEvent('audioTimingAnchorsChanged', {
+                chapterId: this.config.chapterId || null,
+                anchors: this.getTimingAnchors()
+            });
+            return this.getTimingAnchors();
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ 设置漂移锚点失败:', error);
+
+            if (window.EnglishSite.SimpleErrorHandler) {
+                window.EnglishSite.SimpleErrorHandler.record('audioSync', 'setTimingAnchors', error);
+            }
+            return this.getTimingAnchors();
+        }
+    }
+
+    // ✂️ 单句时间修正（时间与 handleTimeUpdate 比较的时间同域）
+    getCueCorrections() {
+        return { ...this.state.cueCorrections };
+    }
+
+    setCueCorrection(cueId, times = {}) {
+        try {
+            const index = this.getCueIndexById(cueId);
+            if (index === -1) return null;
+
+            const cue = this.state.srtData[index];
+            const startTime = Math.max(0, typeof times.startTime === 'number' ? times.startTime : cue.startTime);
+            const endTime = typeof times.endTime === 'number' ? times.endTime : cue.endTime;
+            if (endTime - startTime < 0.1) return null;
+
+            return this.setCueCorrections({
+                ...this.state.cueCorrections,
+                [cue.id]: {
+                    startTime: Math.round(startTime * 1000) / 1000,
+                    endTime: Math.round(endTime * 1000) / 1000
+                }
+            });
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ 字幕时间修正失败:', error);
+            return null;
+        }
+    }
+
+    clearCueCorrection(cueId) {
+        const corrections = { ...this.state.cueCorrections };
+        delete corrections[String(cueId)];
+        return this.setCueCorrections(corrections);
+    }
+
+    setCueCorrections(corrections) {
+        this.state.cueCorrections = { ...(corrections || {}) };
+        this.setTimingPreference('cueCorrections', this.state.cueCorrections);
+
+        this.state.srtData = this.computeCueTimes();
+        this.buildTimeIndex();
+        this.refreshHighlight(true);
+
+        this.dispatchEvent('audioCueTimesChanged', {
+            chapterId: this.config.chapterId || null,
+            corrections: this.getCueCorrections()
+        });
+        return this.getCueCorrections();
+    }
+
+    // 👆 播放中点击：记录该句的实际开始时间作为锚点
+    addTimingAnchorFromTap(cueId, tapTime) {
+        const index = this.getCueIndexById(cueId);
+        if (index === -1 || !this.audioPlayer) return null;
+
+        const audioTime = (typeof tapTime === 'number' ? tapTime : this.audioPlayer.currentTime) -
+            this.config.calibrationReactionMs / 1000;
+        const actualTime = Math.round((Math.max(0, audioTime) + this.state.timeOffset) * 1000) / 1000;
+
+        this.setTimingAnchors({
+            ...this.state.timingAnchors,
+            [this.state.srtData[index].id]: actualTime
+        });
+        return actualTime;
+    }
+
+    // 清除用户锚点，保留章节数据自带的锚点
+    clearTimingAnchors() {
+        this.setTimingPreference('timingAnchors', {});
+        return this.setTimingAnchors(this.options.timingAnchors || {}, { persist: false });
+    }
+
+    // 按当前时间重新定位高亮（偏移或时间轴变化后）
+    refreshHighlight(force = false) {
+        if (!this.audioPlayer || !this.isInitialized) return;
+
+        this.state.lastProcessedTime = -1;
+        const index = this.findCueIndex(this.getCurrentTime());
+        if (force || index !== this.state.currentIndex) {
+            this.state.currentIndex = index;
+            this.updateHighlight(index);
+        }
+    }
+
+    getCurrentTime() {
+        return this.audioPlayer ? this.audioPlayer.currentTime + this.state.timeOffset : 0;
+    }
+
+    getCues() {
+        return this.state.srtData.slice();
+    }
+
+    getDuration() {
+        const duration = this.audioPlayer ? this.audioPlayer.duration : NaN;
+        return isFinite(duration) ? duration : 0;
+    }
+
+    // 〰️ 解码整个章节音频（波形、录音对比共用，只解码一次）
+    getAudioBuffer() {
+        if (!this.decodedAudio) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass || !this.audioPlayer) {
+                return Promise.reject(new Error('Web Audio is not supported'));
+            }
+
+            this.audioContext = this.audioContext || new AudioContextClass();
+            this.decodedAudio = fetch(this.audioPlayer.currentSrc || this.audioPlayer.src)
+                .then(response => response.arrayBuffer())
+                .then(arrayBuffer => this.audioContext.decodeAudioData(arrayBuffer))
+                .catch(error => {
+                    // 失败后允许下次重试
+                    this.decodedAudio = null;
+                    throw error;
+                });
+        }
+        return this.decodedAudio;
+    }
+
+    // ⏯️ 上次播放位置：{ time, cueId, cueText }，无记录时返回 null
+    getSavedPosition() {
+        const appState = window.EnglishSite.AppState;
+        const chapterId = this.config.chapterId;
+        const saved = appState && chapterId ? appState.get(`modules.audioSync.positions.${chapterId}`, null) : null;
+        if (!saved || typeof saved.time !== 'number') return null;
+
+        const cue = this.state.srtData[this.getCueIndexById(saved.cueId)];
+        return {
+            time: saved.time,
+            cueId: cue ? cue.id : null,
+            cueText: cue && cue.text ? cue.text.replace(/\s+/g, ' ') : '',
+            updatedAt: saved.updatedAt
+        };
+    }
+
+    // 从句首继续，比从中途继续更容易听懂
+    resumePlayback() {
+        const saved = this.getSavedPosition();
+        if (!saved) return false;
+
+        const index = this.getCueIndexById(saved.cueId);
+        if (index !== -1) {
+            this.seekToCueIndex(index);
+        } else {
+            this.seekToTime(saved.time);
+        }
+        this.play();
+        return true;
+    }
+
+    // 🔗 分享链接定位：{ cueId, time, word }，只跳转不播放
+    // time 为音频时间；只给句子时跳到句首，word 在该句中标出
+    applyDeepLink(link = {}) {
+        try {
+            if (!this.isInitialized || !this.audioPlayer) return false;
+
+            // 音频元数据未就绪时跳转可能被忽略，等加载后再定位
+            if (this.audioPlayer.readyState === 0) {
+                this.audioPlayer.addEventListener('loadedmetadata', () => this.applyDeepLink(link), { once: true });
+                return true;
+            }
+
+            const { cueId = null, time = null, word = null } = link;
+
+            let index = cueId !== null ? this.getCueIndexById(cueId) : -1;
+            let seekTime = time;
+            if (typeof seekTime !== 'number') {
+                if (index === -1) return false;
+                seekTime = this.state.srtData[index].startTime - this.state.timeOffset;
+            }
+
+            this.cancelShadowingGap();
+            this.clearCueStop();
+            this.audioPlayer.currentTime = Math.max(0, seekTime);
+            this.refreshHighlight(true);
+
+            // 只给时间时，标出该时间所在的句子
+            if (index === -1) {
+                index = this.state.currentIndex;
+            }
+            const cue = this.state.srtData[index];
+            const element = cue ? this.findElement(cue.id) : null;
+            if (!element) return true;
+
+            this.resumeFollow(false);
+            this.scrollToElement(element);
+            this.markDeepLinkTarget(element, word);
+            return true;
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ 链接定位失败:', error);
+            return false;
+        }
+    }
+
+    // 短暂闪烁目标句，并标出链接中的单词（忽略大小写和标点）
+    markDeepLinkTarget(element, word) {
+        this.clearDeepLinkTarget();
+
+        const target = this.state.deepLink;
+        target.element = element;
+        element.classList.add('deep-link-target');
+        target.timer = setTimeout(() => element.classList.remove('deep-link-target'), 3000);
+
+        const normalize = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}'’-]/gu, '').replace(/^['’-]+|['’-]+$/g, '');
+        const wanted = word ? normalize(word) : '';
+        if (!wanted) return;
+
+        target.words = this.getWordSpans(element).filter(span => normalize(span.textContent) === wanted);
+        target.words.forEach(span => span.classList.add('deep-link-word'));
+    }
+
+    clearDeepLinkTarget() {
+        const target = this.state.deepLink;
+        clearTimeout(target.timer);
+        target.element?.classList.remove('deep-link-target');
+        target.words.forEach(span => span.classList.remove('deep-link-word'));
+        this.state.deepLink = { element: null, words: [], timer: null };
+    }
+
+    isChapterListened(chapterId = this.config.chapterId) {
+        const appState = window.EnglishSite.AppState;
+        return !!(appState && chapterId && appState.get(`modules.audioSync.listened.${chapterId}`));
+    }
+
+    // 🔀 切换音频版本（慢速、其他口音）：换用新字幕，按句子 id 定位到新音频中的同一句
+    async switchSource({ audioSrc, srtText, transcriptFormat = null, audioVariant = null } = {}) {
+        if (!this.audioPlayer || !audioSrc || !srtText) {
+            throw new Error('AudioSync: Missing audio source or transcript');
+        }
+
+        const referenceIndex = this.getReferenceCueIndex();
+        const cueId = referenceIndex !== -1 ? this.state.srtData[referenceIndex].id : null;
+        const loop = this.getLoopState();
+        const wasPlaying = !this.isPaused();
+        const playbackRate = this.getPlaybackRate();
+
+        this.pause();
+        this.cancelShadowingGap();
+        this.clearCueStop();
+        this.resetLoop();
+        this.deactivateKaraoke();
+        if (this.state.lastElement) {
+            this.clearHighlightClasses(this.state.lastElement);
+            this.state.lastElement = null;
+        }
+        this.state.currentIndex = -1;
+        // 换源后音频时间不连续，不算往回跳
+        this.state.listening.lastMediaTime = -1;
+        this.state.listening.lastTick = 0;
+
+        // 新版本的字幕和时间校正
+        this.srtText = srtText;
+        this.config.transcriptFormat = transcriptFormat;
+        this.config.audioVariant = audioVariant;
+        this.state.timeOffset = this.loadTimeOffset();
+        this.state.timingAnchors = this.loadTimingAnchors();
+        this.state.cueCorrections = this.getTimingPreference('cueCorrections', null) || {};
+        this.cache.timeIndex.clear();
+        await this.parseSRTData();
+
+        // 波形等需要重新解码
+        this.decodedAudio = null;
+        await this.loadAudioSource(audioSrc);
+        // load() 会把速度重置为默认值
+        this.setPlaybackRate(playbackRate);
+
+        const index = cueId !== null ? this.getCueIndexById(cueId) : -1;
+        if (index !== -1) {
+            this.audioPlayer.currentTime = Math.max(0, this.state.srtData[index].startTime - this.state.timeOffset);
+        }
+        this.refreshHighlight(true);
+
+        // 循环区间按句子 id 恢复
+        if (loop.active && !this.setLoop(loop.startId, loop.endId, { repeat: loop.repeat, autoplay: false })) {
+            this.dispatchEvent('audioLoopChanged', this.getLoopState());
+        }
+
+        console.log(`[AudioSync] 🔀 音频版本: ${audioVariant || '默认'}（从第 ${cueId ?? '-'} 句继续）`);
+        this.dispatchEvent('audioSourceChanged', {
+            chapterId: this.config.chapterId || null,
+            audioVariant,
+            cueId
+        });
+
+        if (wasPlaying) {
+            this.play();
+        }
+        return index !== -1 ? cueId : null;
+    }
+
+    // 换源后等待元数据，才能按时间定位
+    loadAudioSource(src) {
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                this.audioPlayer.removeEventListener('loadedmetadata', onLoaded);
+                this.audioPlayer.removeEventListener('error', onError);
+            };
+            const onLoaded = () => {
+                cleanup();
+                resolve();
+            };
+            const onError = () => {
+                cleanup();
+                reject(this.audioPlayer.error || new Error(`Audio source failed to load: ${src}`));
+            };
+
+            this.audioPlayer.addEventListener('loadedmetadata', onLoaded);
+            this.audioPlayer.addEventListener('error', onError);
+            this.audioPlayer.src = src;
+            this.audioPlayer.load();
+        });
+    }
+
+    setKaraoke(enabled) {
+        this.state.karaoke.enabled = typeof enabled === 'boolean' ? enabled : !this.state.karaoke.enabled;
+
+        if (!this.state.karaoke.enabled) {
+            this.deactivateKaraoke();
+        } else if (this.state.currentIndex !== -1 && this.state.lastElement) {
+            this.activateKaraoke(this.state.srtData[this.state.currentIndex], this.state.lastElement);
+        }
+        return this.state.karaoke.enabled;
+    }
+
+    setWordAlignment(alignment) {
+        this.state.karaoke.alignment = this.normalizeWordAlignment(alignment);
+    }
+
+    // 🔁 A-B 循环：repeat 为总遍数（0 或 Infinity 表示无限），pauseMs 为每遍之间的停顿
+    setLoop(startCueId, endCueId, options = {}) {
+        try {
+            let startIndex = this.getCueIndexById(startCueId);
+            let endIndex = this.getCueIndexById(endCueId ?? startCueId);
+
+            if (startIndex === -1 || endIndex === -1) {
+                console.warn('[AudioSync] ⚠️ 循环区间无效:', startCueId, endCueId);
+                return false;
+            }
+
+            if (startIndex > endIndex) {
+                [startIndex, endIndex] = [endIndex, startIndex];
+            }
+
+            this.resetLoop();
+
+            const repeat = options.repeat ?? this.config.loopRepeat;
+            const loop = this.state.loop;
+            loop.active = true;
+            loop.startIndex = startIndex;
+            loop.endIndex = endIndex;
+            loop.repeat = repeat > 0 ? repeat : Infinity;
+            loop.pauseMs = Math.max(0, options.pauseMs ?? this.config.loopPauseMs);
+
+            this.updateLoopIndicators();
+            this.updateBoundaryMonitor();
+
+            if (options.autoplay !== false) {
+                this.seekToCue(startIndex);
+                this.play();
+            }
+
+            console.log(`[AudioSync] 🔁 循环开始: ${this.state.srtData[startIndex].id} → ${this.state.srtData[endIndex].id}`);
+            this.dispatchEvent('audioLoopChanged', this.getLoopState());
+            return true;
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ 设置循环失败:', error);
+
+            if (window.EnglishSite.SimpleErrorHandler) {
+                window.EnglishSite.SimpleErrorHandler.record('audioSync', 'setLoop', error);
+            }
+            return false;
+        }
+    }
+
+    loopSentence(cueId, options = {}) {
+        return this.setLoop(cueId, cueId, options);
+    }
+
+    // 📍 分两步标记循环区间（缺省为当前句）
+    markLoopStart(cueId) {
+        const index = cueId === undefined ? this.state.currentIndex : this.getCueIndexById(cueId);
+        if (index === -1) return false;
+
+        this.resetLoop();
+        this.state.loop.pendingStart = index;
+        this.updateLoopIndicators();
+        this.dispatchEvent('audioLoopChanged', this.getLoopState());
+        return true;
+    }
+
+    markLoopEnd(cueId, options = {}) {
+        const startIndex = this.state.loop.pendingStart;
+        if (startIndex === -1) {
+            console.warn('[AudioSync] ⚠️ 尚未标记循环起点');
+            return false;
+        }
+
+        const endIndex = cueId === undefined ? this.state.currentIndex : this.getCueIndexById(cueId);
+        if (endIndex === -1) return false;
+
+        return this.setLoop(this.state.srtData[startIndex].id, this.state.srtData[endIndex].id, options);
+    }
+
+    clearLoop() {
+        const hadLoop = this.state.loop.active || this.state.loop.pendingStart !== -1;
+        this.resetLoop();
+
+        if (hadLoop) {
+            this.dispatchEvent('audioLoopChanged', this.getLoopState());
+        }
+    }
+
+    resetLoop() {
+        const loop = this.state.loop;
+        if (loop.waitTimer) {
+            clearTimeout(loop.waitTimer);
+        }
+        this.clearLoopIndicators();
+        this.state.loop = this.createEmptyLoopState();
+        this.updateBoundaryMonitor();
+    }
+
+    getLoopState() {
+        const loop = this.state.loop;
+        const cueId = (index) => this.state.srtData[index] ? this.state.srtData[index].id : null;
+
+        return {
+            active: loop.active,
+            startId: cueId(loop.startIndex),
+            endId: cueId(loop.endIndex),
+            repeat: loop.repeat,
+            passes: loop.passes,
+            remaining: loop.active ? loop.repeat - loop.passes : 0,
+            pauseMs: loop.pauseMs,
+            waiting: loop.waiting,
+            pendingStartId: cueId(loop.pendingStart)
+        };
+    }
+
+    // 🗣️ 跟读模式：每句结束后暂停 gapFactor 倍句长，再继续下一句
+    setShadowing(enabled, options = {}) {
+        try {
+            const shadowing = this.state.shadowing;
+            shadowing.enabled = enabled === true;
+
+            if (options.gapFactor > 0) {
+                shadowing.gapFactor = options.gapFactor;
+            }
+
+            if (!shadowing.enabled) {
+                this.cancelShadowingGap();
+            } else {
+                // 从当前句之后开始生效
+                shadowing.pausedIndex = this.state.currentIndex;
+            }
+
+            this.updateBoundaryMonitor();
+            this.saveShadowingPreferences();
+
+            if (this.contentArea) {
+                this.contentArea.classList.toggle('shadowing-active', shadowing.enabled);
+            }
+
+            console.log(`[AudioSync] 🗣️ 跟读模式: ${shadowing.enabled ? '开启' : '关闭'} (x${shadowing.gapFactor})`);
+            this.dispatchEvent('audioShadowingChanged', this.getShadowingState());
+            return shadowing.enabled;
+        } catch (error) {
+            console.warn('[AudioSync] ⚠️ 设置跟读模式失败:', error);
+            return false;
+        }
+    }
+
+    toggleShadowing(options = {}) {
+        return this.setShadowing(!this.state.shadowing.enabled, options);
+    }
+
+    setShadowingGapFactor(factor) {
+        if (!(factor > 0)) return;
+
+        this.state.shadowing.gapFactor = factor;
+        this.saveShadowingPreferences();
+        this.dispatchEvent('audioShadowingChanged', this.getShadowingState());
+    }
+
+    // 跳过当前停顿，立即继续
+    skipShadowingGap() {
+        if (!this.state.shadowing.waiting) return false;
+
+        this.endShadowingGap();
+        this.play();
+        return true;
+    }
+
+    // 重听刚结束（或正在播放）的句子，结束后重新停顿
+    repeatShadowingCue() {
+        const shadowing = this.state.shadowing;
+        const index = shadowing.waiting ? shadowing.pausedIndex : this.state.currentIndex;
+        if (index === -1) return false;
+
+        this.cancelShadowingGap();
+        this.seekToCue(index);
+        this.play();
+        return true;
+    }
+
+    getShadowingState() {
+        const shadowing = this.state.shadowing;
+        return {
+            enabled: shadowing.enabled,
+            gapFactor: shadowing.gapFactor,
+            waiting: shadowing.waiting,
+            chapterId: this.config.chapterId || null
+        };
+    }
+
+    getCacheStats() {
+        return {
+            elements: this.cache.elements.size,
+            strategies: this.cache.strategies.size,
+            layouts: this.cache.layouts.size,
+            timeIndex: this.cache.timeIndex.size,
+            hitRate: this.getCacheHitRate(),
+            hits: this.cache.hit,
+            misses: this.cache.miss
+        };
+    }
+
+    getHighlightStats() {
+        const stats = {
+            totalElements: this.cache.elements.size,
+            cachedStrategies: this.cache.strategies.size,
+            cachedLayouts: this.cache.layouts.size,
+            cacheHitRate: this.getCacheHitRate(),
+            lastStrategy: this.cache.lastStrategy,
+            byType: {
+                minimal: 0,
+                medium: 0,
+                standard: 0,
+                advanced: 0,
+                unknown: 0
+            }
+        };
+        
+        // 统计布局类型
+        for (const [cueId, layoutInfo] of this.cache.layouts) {
+            if (layoutInfo.isDenseText && layoutInfo.isInline && layoutInfo.hasSiblings) {
+                stats.byType.minimal++;
+            } else if (layoutInfo.isInline && layoutInfo.hasSiblings) {
+                stats.byType.medium++;
+            } else if (layoutInfo.isInParagraph && layoutInfo.parentWidth > 0 && 
+                       layoutInfo.elementWidth / layoutInfo.parentWidth > 0.8) {
+                stats.byType.advanced++;
+            } else if (Object.keys(layoutInfo).length > 0) {
+                stats.byType.standard++;
+            } else {
+                stats.byType.unknown++;
+            }
+        }
+        
+        return stats;
+    }
+
+    getPerformanceStats() {
+        try {
+            return window.EnglishSite.PerformanceMonitor ? 
+                   window.EnglishSite.PerformanceMonitor.getStats('audioSync') : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    getErrorState() {
+        try {
+            return window.EnglishSite.SimpleErrorHandler ? 
+                   window.EnglishSite.SimpleErrorHandler.getStats() : {};
         } catch (error) {
             return {};
         }
@@ -1048,7 +3260,39 @@ class AudioSync {
                 cancelAnimationFrame(this.state.updateFrame);
                 this.state.updateFrame = null;
             }
-            
+
+            this.savePlaybackPosition(true);
+            window.EnglishSite.AppStats?.flush();
+            this.teardownMediaSession();
+            this.teardownFollow();
+            this.teardownSentenceTools();
+            this.state.cueStopIndex = -1;
+            this.clearDeepLinkTarget();
+
+            if (this.state.rolePlay.muted && this.audioPlayer) {
+                this.audioPlayer.muted = this.state.rolePlay.wasMuted;
+            }
+            this.state.rolePlay = { speaker: null, muted: false, wasMuted: false };
+
+            this.decodedAudio = null;
+            if (this.audioContext) {
+                this.audioContext.close().catch(() => {});
+                this.audioContext = null;
+            }
+
+            // 清理逐词高亮、循环和跟读
+            this.deactivateKaraoke();
+            this.resetLoop();
+            this.cancelShadowingGap();
+            this.state.shadowing.enabled = false;
+            this.updateBoundaryMonitor();
+            if (this.contentArea) {
+                this.contentArea.classList.remove(
+                    'shadowing-active', 'transcript-hidden', 'transcript-reveal-on-click',
+                    'speaker-colors', 'speaker-filter', 'role-play'
+                );
+            }
+
             // 移除事件监听器
             if (this.audioPlayer) {
                 this.audioPlayer.removeEventListener('timeupdate', this.handleTimeUpdate);
@@ -0,0 +1,344 @@
+/**
+ * 📊 字幕时间轴
+ *
+ * 特性：
+ * - 在播放器下方按 AudioSync.state.timeIndex 显示每句的区块和当前位置
+ * - 点击区块跳到该句，点击空白处跳到对应时间
+ * - 拖动区块边缘修正该句时间（保存为本地修正，覆盖字幕文件）
+ * - 可选显示整段音频波形（Web Audio 解码）
+ *
+ * @version 1.0.0
+ */
+
+window.EnglishSite = window.EnglishSite || {};
+
+class AudioTimeline {
+    static PREFERENCE_PATH = 'preferences.audioTimeline';
+
+    constructor(audioSync, container, options = {}) {
+        this.audioSync = audioSync;
+        this.container = container;
+        this.options = {
+            minCueDuration: 0.1,
+            ...options
+        };
+
+        const saved = window.EnglishSite.AppState?.get(AudioTimeline.PREFERENCE_PATH, null) || {};
+        this.state = {
+            visible: saved.visible !== false,
+            waveform: !!saved.waveform,
+            drag: null,             // { block, index, edge, time }
+            peaks: null             // { width, values }
+        };
+
+        this.handlers = {
+            click: (e) => this.handleButtonClick(e),
+            pointerdown: (e) => this.handlePointerDown(e),
+            pointermove: (e) => this.handlePointerMove(e),
+            pointerup: (e) => this.handlePointerUp(e),
+            dblclick: (e) => this.handleDoubleClick(e),
+            render: () => this.render(),
+            sourceChanged: () => {
+                this.state.peaks = null;
+                this.render();
+            },
+            timeUpdate: () => this.updatePlayhead(),
+            cueChanged: () => this.updateActiveCue(),
+            resize: () => this.drawWaveform()
+        };
+
+        this.createElements();
+        this.bindEvents();
+        this.render();
+    }
+
+    // 🏗️ 工具栏按钮 + 播放器下方的时间轴
+    createElements() {
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'player-tool-btn';
+        this.button.dataset.timeline = 'toggle';
+        this.button.title = '字幕时间轴';
+        this.button.textContent = '📊';
+
+        this.element = document.createElement('div');
+        this.element.className = 'audio-timeline';
+        this.element.innerHTML = `
+            <div class="timeline-area">
+                <canvas class="timeline-waveform"></canvas>
+                <div class="timeline-track"></div>
+                <div class="timeline-playhead"></div>
+            </div>
+            <button type="button" class="timeline-waveform-toggle" data-timeline="waveform" title="显示音频波形">〰️</button>
+        `;
+
+        this.canvas = this.element.querySelector('.timeline-waveform');
+        this.track = this.element.querySelector('.timeline-track');
+        this.playhead = this.element.querySelector('.timeline-playhead');
+        this.waveformButton = this.element.querySelector('.timeline-waveform-toggle');
+
+        const playerSection = this.container.closest('#player-section') || this.container.parentElement;
+        this.container.appendChild(this.button);
+        playerSection.appendChild(this.element);
+    }
+
+    bindEvents() {
+        const audioPlayer = this.audioSync.audioPlayer;
+
+        this.button.addEventListener('click', this.handlers.click);
+        this.waveformButton.addEventListener('click', this.handlers.click);
+        this.track.addEventListener('pointerdown', this.handlers.pointerdown);
+        this.track.addEventListener('pointermove', this.handlers.pointermove);
+        this.track.addEventListener('pointerup', this.handlers.pointerup);
+        this.track.addEventListener('pointercancel', this.handlers.pointerup);
+        this.track.addEventListener('dblclick', this.handlers.dblclick);
+
+        audioPlayer?.addEventListener('loadedmetadata', this.handlers.render);
+        audioPlayer?.addEventListener('timeupdate', this.handlers.timeUpdate);
+        audioPlayer?.addEventListener('seeked', this.handlers.timeUpdate);
+
+        for (const type of ['audioTimingAnchorsChanged', 'audioCueTimesChanged', 'audioOffsetChanged']) {
+            document.addEventListener(type, this.handlers.render);
+        }
+        document.addEventListener('audioCueChanged', this.handlers.cueChanged);
+        document.addEventListener('audioSourceChanged', this.handlers.sourceChanged);
+        window.addEventListener('resize', this.handlers.resize);
+    }
+
+    handleButtonClick(event) {
+        const action = event.target.closest('[data-timeline]');
+        if (!action) return;
+
+        if (action.dataset.timeline === 'toggle') {
+            this.state.visible = !this.state.visible;
+        } else if (action.dataset.timeline === 'waveform') {
+            this.state.waveform = !this.state.waveform;
+        }
+
+        this.savePreferences();
+        this.render();
+    }
+
+    savePreferences() {
+        window.EnglishSite.AppState?.set(AudioTimeline.PREFERENCE_PATH, {
+            visible: this.state.visible,
+            waveform: this.state.waveform
+        }, { source: 'audioTimeline' });
+    }
+
+    // 🎨 时间轴以音频时间为刻度：字幕时间 - 偏移
+    render() {
+        this.element.hidden = !this.state.visible;
+        this.button.classList.toggle('active', this.state.visible);
+        this.waveformButton.classList.toggle('active', this.state.waveform);
+        document.body.classList.toggle('has-audio-timeline', this.state.visible);
+
+        if (!this.state.visible) return;
+
+        const duration = this.audioSync.getDuration();
+        this.track.innerHTML = '';
+
+        if (duration) {
+            const cues = this.audioSync.state.srtData;
+            const corrections = this.audioSync.getCueCorrections();
+            const offset = this.audioSync.getTimeOffset();
+            const fragment = document.createDocumentFragment();
+
+            for (const entry of this.audioSync.state.timeIndex) {
+                const cue = cues[entry.index];
+                const block = document.createElement('div');
+                block.className = 'timeline-cue';
+                block.dataset.index = String(entry.index);
+                block.classList.toggle('corrected', entry.id in corrections);
+                block.title = `${cue && cue.text ? cue.text.replace(/\s+/g, ' ') : `第 ${entry.id} 句`}\n拖动边缘修正时间，双击恢复`;
+                this.positionBlock(block, entry.start - offset, entry.end - offset, duration);
+
+                block.innerHTML = '<span class="timeline-handle" data-edge="start"></span><span class="timeline-handle" data-edge="end"></span>';
+                fragment.appendChild(block);
+            }
+            this.track.appendChild(fragment);
+        }
+
+        this.updateActiveCue();
+        this.updatePlayhead();
+        this.drawWaveform();
+    }
+
+    positionBlock(block, start, end, duration) {
+        block.style.left = `${Math.max(0, start) / duration * 100}%`;
+        block.style.width = `${Math.max(0, Math.min(end, duration) - Math.max(0, start)) / duration * 100}%`;
+    }
+
+    updatePlayhead() {
+        const duration = this.audioSync.getDuration();
+        if (!this.state.visible || !duration) return;
+
+        this.playhead.style.left = `${this.audioSync.audioPlayer.currentTime / duration * 100}%`;
+    }
+
+    updateActiveCue() {
+        const current = String(this.audioSync.state.currentIndex);
+        this.track.querySelectorAll('.timeline-cue').forEach(block => {
+            block.classList.toggle('active', block.dataset.index === current);
+        });
+    }
+
+    // 🖱️ 点击跳转 / 拖动边缘
+    getTimeAt(clientX) {
+        const rect = this.track.getBoundingClientRect();
+        const ratio = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+        return ratio * this.audioSync.getDuration();
+    }
+
+    handlePointerDown(event) {
+        if (event.button !== 0 || !this.audioSync.getDuration()) return;
+
+        const handle = event.target.closest('.timeline-handle');
+        const block = event.target.closest('.timeline-cue');
+
+        if (handle && block) {
+            event.preventDefault();
+            this.track.setPointerCapture(event.pointerId);
+            this.state.drag = {
+                block,
+                index: parseInt(block.dataset.index, 10),
+                edge: handle.dataset.edge,
+                time: null
+            };
+            block.classList.add('dragging');
+            return;
+        }
+
+        if (block) {
+            this.audioSync.seekToCueIndex(parseInt(block.dataset.index, 10));
+        } else {
+            this.audioSync.seekToTime(this.getTimeAt(event.clientX));
+        }
+        this.updatePlayhead();
+    }
+
+    handlePointerMove(event) {
+        const drag = this.state.drag;
+        if (!drag) return;
+
+        const cue = this.audioSync.state.srtData[drag.index];
+        const offset = this.audioSync.getTimeOffset();
+        const duration = this.audioSync.getDuration();
+        let start = cue.startTime - offset;
+        let end = cue.endTime - offset;
+        const time = this.getTimeAt(event.clientX);
+
+        if (drag.edge === 'start') {
+            start = Math.min(time, end - this.options.minCueDuration);
+            drag.time = start;
+        } else {
+            end = Math.max(time, start + this.options.minCueDuration);
+            drag.time = end;
+        }
+
+        this.positionBlock(drag.block, start, end, duration);
+    }
+
+    handlePointerUp(event) {
+        const drag = this.state.drag;
+        if (!drag) return;
+
+        this.state.drag = null;
+        drag.block.classList.remove('dragging');
+        if (this.track.hasPointerCapture(event.pointerId)) {
+            this.track.releasePointerCapture(event.pointerId);
+        }
+
+        if (drag.time === null) return;
+
+        // 保存为字幕时间（音频时间 + 偏移），AudioSync 会派发 audioCueTimesChanged 触发重绘
+        const cue = this.audioSync.state.srtData[drag.index];
+        const cueTime = drag.time + this.audioSync.getTimeOffset();
+        const saved = this.audioSync.setCueCorrection(cue.id, drag.edge === 'start' ?
+            { startTime: cueTime } : { endTime: cueTime });
+
+        if (!saved) this.render();
+    }
+
+    handleDoubleClick(event) {
+        const block = event.target.closest('.timeline-cue.corrected');
+        if (!block) return;
+
+        const cue = this.audioSync.state.srtData[parseInt(block.dataset.index, 10)];
+        if (cue) this.audioSync.clearCueCorrection(cue.id);
+    }
+
+    // 〰️ 波形
+    async drawWaveform() {
+        const context = this.canvas.getContext('2d');
+        this.canvas.hidden = !this.state.waveform;
+        if (!this.state.visible || !this.state.waveform) return;
+
+        try {
+            const buffer = await this.audioSync.getAudioBuffer();
+            const width = this.canvas.clientWidth;
+            const height = this.canvas.clientHeight;
+            if (!width || !height || !this.state.waveform) return;
+
+            if (!this.state.peaks || this.state.peaks.width !== width) {
+                this.state.peaks = { width, values: this.computePeaks(buffer, width) };
+            }
+
+            this.canvas.width = width;
+            this.canvas.height = height;
+            context.clearRect(0, 0, width, height);
+            context.fillStyle = getComputedStyle(this.canvas).color;
+
+            this.state.peaks.values.forEach((peak, x) => {
+                const barHeight = Math.max(1, peak * height);
+                context.fillRect(x, (height - barHeight) / 2, 1, barHeight);
+            });
+        } catch (error) {
+            console.warn('[AudioTimeline] ⚠️ 波形绘制失败:', error);
+            this.state.waveform = false;
+            this.waveformButton.classList.remove('active');
+            this.canvas.hidden = true;
+        }
+    }
+
+    computePeaks(buffer, width) {
+        const data = buffer.getChannelData(0);
+        const samplesPerPixel = Math.max(1, Math.floor(data.length / width));
+        // 每像素抽样，避免遍历数百万个采样点
+        const step = Math.max(1, Math.floor(samplesPerPixel / 64));
+        const peaks = new Array(width).fill(0);
+
+        for (let x = 0; x < width; x++) {
+            const from = x * samplesPerPixel;
+            let peak = 0;
+            for (let i = from; i < from + samplesPerPixel && i < data.length; i += step) {
+                const value = Math.abs(data[i]);
+                if (value > peak) peak = value;
+            }
+            peaks[x] = peak;
+        }
+
+        return peaks;
+    }
+
+    destroy() {
+        const audioPlayer = this.audioSync.audioPlayer;
+        audioPlayer?.removeEventListener('loadedmetadata', this.handlers.render);
+        audioPlayer?.removeEventListener('timeupdate', this.handlers.timeUpdate);
+        audioPlayer?.removeEventListener('seeked', this.handlers.timeUpdate);
+
+        for (const type of ['audioTimingAnchorsChanged', 'audioCueTimesChanged', 'audioOffsetChanged']) {
+            document.removeEventListener(type, this.handlers.render);
+        }
+        document.removeEventListener('audioCueChanged', this.handlers.cueChanged);
+        document.removeEventListener('audioSourceChanged', this.handlers.sourceChanged);
+        window.removeEventListener('resize', this.handlers.resize);
+
+        document.body.classList.remove('has-audio-timeline');
+        this.button.remove();
+        this.element.remove();
+    }
+}
+
+// 注册到全局命名空间
+window.EnglishSite.AudioTimeline = AudioTimeline;
@@ -0,0 +1,91 @@
+/**
+ * 🔀 音频版本切换
+ *
+ * 特性：
+ * - 章节提供多个音频版本（原速、慢速、其他口音）时，在播放器工具栏显示下拉框
+ * - 切换时派发 audioVariantRequested，由 App 加载该版本字幕并交给 AudioSync 换源
+ * - AudioSync 按句子 id 定位，切换后从同一句继续
+ *
+ * @version 1.0.0
+ */
+
+window.EnglishSite = window.EnglishSite || {};
+
+class AudioVariantSwitcher {
+    constructor(audioSync, container) {
+        this.audioSync = audioSync;
+        this.container = container;
+        this.variants = audioSync.options.audioVariants || [];
+
+        this.handlers = {
+            change: (e) => this.handleChange(e),
+            sourceChanged: () => this.render()
+        };
+
+        this.element = null;
+
+        // 只有一个版本时不显示
+        if (this.variants.length < 2) return;
+
+        this.createElements();
+        document.addEventListener('audioSourceChanged', this.handlers.sourceChanged);
+        document.addEventListener('audioVariantFailed', this.handlers.sourceChanged);
+    }
+
+    // 🏗️ 创建下拉框
+    createElements() {
+        this.element = document.createElement('label');
+        this.element.className = 'audio-variant-switcher';
+        this.element.title = '音频版本';
+
+        this.select = document.createElement('select');
+        this.select.setAttribute('aria-label', '音频版本');
+
+        for (const variant of this.variants) {
+            const option = document.createElement('option');
+            option.value = variant.id;
+            option.textContent = variant.label;
+            this.select.appendChild(option);
+        }
+
+        this.element.append('🔀', this.select);
+        this.container.appendChild(this.element);
+
+        this.select.addEventListener('change', this.handlers.change);
+        this.render();
+    }
+
+    // 非默认版本记录在 config.audioVariant，默认版本为第一个
+    getCurrentVariantId() {
+        return this.audioSync.config.audioVariant || this.variants[0].id;
+    }
+
+    handleChange() {
+        const variantId = this.select.value;
+        if (variantId === this.getCurrentVariantId()) return;
+
+        // 切换完成（audioSourceChanged / audioVariantFailed）前禁用
+        this.select.disabled = true;
+
+        document.dispatchEvent(new CustomEvent('audioVariantRequested', {
+            detail: { variantId }
+        }));
+    }
+
+    render() {
+        this.select.disabled = false;
+        this.select.value = this.getCurrentVariantId();
+        this.element.classList.toggle('active', this.select.value !== this.variants[0].id);
+    }
+
+    destroy() {
+        if (!this.element) return;
+
+        document.removeEventListener('audioSourceChanged', this.handlers.sourceChanged);
+        document.removeEventListener('audioVariantFailed', this.handlers.sourceChanged);
+        this.element.remove();
+    }
+}
+
+// 注册到全局命名空间
+window.EnglishSite.AudioVariantSwitcher = AudioVariantSwitcher;
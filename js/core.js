@@ -262,7 +262,15 @@
                     offset: 0,
                     autoscroll: true,
                     enableWorkers: typeof Worker !== 'undefined',
-                    workerTimeout: 15000
+                    workerTimeout: 15000,
+                    loopRepeat: 3,
+                    loopPauseMs: 800,
+                    shadowingGapFactor: 1.2,
+                    shadowingMinGapMs: 600,
+                    karaoke: true,
+                    calibrationReactionMs: 150,
+                    positionSaveInterval: 5000,
+                    followResumeDelay: 8000
                 },
                 glossary: {
                     cacheMaxSize: 30,
@@ -1008,12 +1016,16 @@
         
         async executeWithWorker(scriptPath, data, config) {
             const worker = new Worker(scriptPath);
-            const timeoutId = setTimeout(() => {
-                worker.terminate();
-            }, config.timeout);
+            let timeoutId = null;
             
             try {
                 const result = await new Promise((resolve, reject) => {
+                    // 超时后终止Worker并走降级路径
+                    timeoutId = setTimeout(() => {
+                        worker.terminate();
+                        reject(new Error(`Worker timed out after ${config.timeout}ms`));
+                    }, config.timeout);
+                    
                     worker.onmessage = (event) => {
                         clearTimeout(timeoutId);
                         worker.terminate();
@@ -0,0 +1,332 @@
+// js/core/GlossaryStore.js - 全站词汇表数据
+// 🎯 目标：共享词汇放在 data/terms_global.json，章节文件 data/terms_<章节>.json 只写本章特有的词或覆盖
+// 🔍 查词：按 本章 → 全站 → 其他章节 的顺序查找，并识别屈折变化（tried → try、localised → localise）
+// 📘 点词查询：词汇表中没有的词再查随站点提供的离线词典 data/dictionary.json
+
+(function() {
+    'use strict';
+
+    /**
+     * 📚 词汇表数据层
+     * 特点：文件只请求一次；章节数据与全站数据按词合并；不依赖章节 DOM
+     */
+    class GlossaryStore {
+        static GLOBAL_FILE = 'data/terms_global.json';
+        static NAVIGATION_FILE = 'data/navigation.json';
+        static DICTIONARY_FILE = 'data/dictionary.json';
+
+        // 常见不规则变化（其余按后缀规则还原）
+        static IRREGULAR_FORMS = {
+            children: 'child', men: 'man', women: 'woman', people: 'person', mice: 'mouse',
+            feet: 'foot', teeth: 'tooth', geese: 'goose',
+            was: 'be', were: 'be', been: 'be', is: 'be', are: 'be', am: 'be',
+            went: 'go', gone: 'go', took: 'take', taken: 'take', came: 'come',
+            saw: 'see', seen: 'see', did: 'do', done: 'do', had: 'have', has: 'have',
+            said: 'say', got: 'get', gotten: 'get', made: 'make', knew: 'know', known: 'know',
+            thought: 'think', found: 'find', gave: 'give', given: 'give', brought: 'bring',
+            bought: 'buy', ate: 'eat', eaten: 'eat', spoke: 'speak', spoken: 'speak',
+            better: 'good', best: 'good', worse: 'bad', worst: 'bad'
+        };
+
+        // [后缀, 替换]：同一个词可能产生多个候选，逐个尝试
+        static SUFFIX_RULES = [
+            ['iest', 'y'], ['ier', 'y'], ['ies', 'y'], ['ied', 'y'], ['ily', 'y'],
+            ['ves', 'f'], ['ves', 'fe'],
+            ['es', ''], ['s', ''],
+            ['ed', ''], ['ed', 'e'], ['d', ''],
+            ['ing', ''], ['ing', 'e'],
+            ['est', ''], ['est', 'e'], ['er', ''], ['er', 'e'],
+            ['ly', ''], ['ness', ''], ['ment', '']
+        ];
+
+        constructor(options = {}) {
+            this.options = {
+                timeout: 10000,
+                ...options
+            };
+
+            this.files = new Map();         // 文件路径 → Promise<数据 | null>
+            this.formIndexes = new WeakMap(); // 词汇表 → Map<词形, 词条键>
+            this.chapterIds = null;
+        }
+
+        // 📚 释义列表：当前语境的释义在前，其余释义依次排在后面
+        // contexts 中的条目可以是完整释义（旧格式），也可以是 senses 中的释义名；
+        // context 也可以直接写释义名
+        static resolveSenses(termData, context = 'default') {
+            const senses = termData?.senses || {};
+            const contexts = termData?.contexts || {};
+            const resolve = (item) => typeof item === 'string' ? senses[item] : item;
+
+            let primary = contexts[context] || (senses[context] ? [context] : null);
+            if (!primary) {
+                primary = contexts.default || [];
+            }
+
+            const ordered = [...primary, ...Object.values(contexts).flat(), ...Object.keys(senses)]
+                .map(resolve)
+                .filter(entry => entry && typeof entry === 'object');
+            return [...new Set(ordered)];
+        }
+
+        // 🔀 章节词条覆盖或补充全站词条：同名的释义 / 语境以章节为准，其余保留
+        static merge(globalTerms = {}, chapterTerms = {}) {
+            const merged = { ...globalTerms };
+
+            for (const [word, termData] of Object.entries(chapterTerms || {})) {
+                const shared = globalTerms?.[word];
+                merged[word] = shared ? {
+                    ...shared,
+                    ...termData,
+                    senses: { ...shared.senses, ...termData.senses },
+                    contexts: { ...shared.contexts, ...termData.contexts }
+                } : termData;
+            }
+            return merged;
+        }
+
+        // 🔤 查词用的候选词形：原词在前，还原出的词形在后
+        static getForms(word) {
+            const lower = String(word || '')
+                .toLowerCase()
+                .replace(/[’‘]/g, "'")
+                .replace(/\s+/g, ' ')
+                .replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, '');
+            if (!lower) return [];
+
+            const forms = [lower];
+            if (lower.includes(' ')) return forms;
+
+            const base = lower.replace(/'s$/, '');
+            forms.push(base);
+
+            if (GlossaryStore.IRREGULAR_FORMS[base]) {
+                forms.push(GlossaryStore.IRREGULAR_FORMS[base]);
+            }
+
+            for (const [suffix, replacement] of GlossaryStore.SUFFIX_RULES) {
+                if (!base.endsWith(suffix) || base.length - suffix.length < 2) continue;
+
+                const stem = base.slice(0, -suffix.length) + replacement;
+                forms.push(stem);
+
+                // 双写辅音：stopped → stop、bigger → big
+                if (!replacement && /([b-df-hj-np-tv-z])\1$/.test(stem)) {
+                    forms.push(stem.slice(0, -1));
+                }
+            }
+
+            return [...new Set(forms)];
+        }
+
+        /**
+         * 🌐 全站词汇表（缺失时为空表）
+         */
+        async getGlobalTerms() {
+            return await this.#loadFile(GlossaryStore.GLOBAL_FILE) || {};
+        }
+
+        /**
+         * 📖 章节词汇表：章节文件与全站词汇表合并后的结果
+         */
+        async getChapterTerms(chapterId) {
+            const [globalTerms, chapterTerms] = await Promise.all([
+                this.#loadFile(GlossaryStore.GLOBAL_FILE),
+                this.#loadFile(`data/terms_${chapterId}.json`)
+            ]);
+
+            if (!globalTerms && !chapterTerms) {
+                throw new Error(`词汇表数据加载失败: ${chapterId}`);
+            }
+            return GlossaryStore.merge(globalTerms || {}, chapterTerms || {});
+        }
+
+        /**
+         * 🔍 查词：{ word, key, source: 'chapter' | 'global', chapterId, termData, senses }，找不到时为 null
+         * options.chapterId 为当前章节（优先），options.context 决定首个释义
+         */
+        async lookup(word, options = {}) {
+            const forms = GlossaryStore.getForms(word);
+            if (!forms.length) return null;
+
+            const { chapterId = null, context = 'default' } = options;
+
+            // 本章和全站都没有时才逐个读取其他章节，找到即停止
+            let match = this.#findInLayers(await this.#loadLayers([
+                ...(chapterId ? [{ source: 'chapter', chapterId }] : []),
+                { source: 'global', chapterId: null }
+            ]), forms);
+
+            if (!match) {
+                const otherChapters = (await this.getChapterIds()).filter(id => id !== chapterId);
+                for (const id of otherChapters) {
+                    match = this.#findInLayers(await this.#loadLayers([{ source: 'chapter', chapterId: id }]), forms);
+                    if (match) break;
+                }
+            }
+            if (!match) return null;
+
+            // 章节中的词条仍与全站词条合并，保留全站的其他释义
+            const { layer, key } = match;
+            const globalTerms = await this.getGlobalTerms();
+            const termData = layer.source === 'chapter' ?
+                GlossaryStore.merge(globalTerms, { [key]: layer.terms[key] })[key] :
+                layer.terms[key];
+
+            return {
+                word,
+                key,
+                source: layer.source,
+                chapterId: layer.chapterId,
+                termData,
+                senses: GlossaryStore.resolveSenses(termData, context)
+            };
+        }
+
+        /**
+         * 📘 点词查询：词汇表（原词，再试 options.forms 中的候选词形，如词干）→ 离线词典
+         * 返回值同 lookup，来自词典时 source 为 'dictionary'
+         */
+        async define(word, options = {}) {
+            const { forms = [], ...lookupOptions } = options;
+
+            for (const candidate of [word, ...forms]) {
+                const match = await this.lookup(candidate, lookupOptions);
+                if (match) return { ...match, word };
+            }
+            return this.lookupDictionary(word, forms);
+        }
+
+        /**
+         * 📖 离线词典：{ "word": [{ partOfSpeech, definition }] }，转换为词汇表的释义格式
+         */
+        async lookupDictionary(word, extraForms = []) {
+            const dictionary = await this.#loadFile(GlossaryStore.DICTIONARY_FILE);
+            if (!dictionary) return null;
+
+            const forms = [...new Set([word, ...extraForms].flatMap(candidate => GlossaryStore.getForms(candidate)))];
+            const key = this.#findExactKey(dictionary, forms) || this.#findKeyByForm(dictionary, forms);
+            if (!key) return null;
+
+            const termData = {
+                contexts: {
+                    default: dictionary[key].map(entry => ({ title: key, ...entry }))
+                }
+            };
+
+            return {
+                word,
+                key,
+                source: 'dictionary',
+                chapterId: null,
+                termData,
+                senses: GlossaryStore.resolveSenses(termData)
+            };
+        }
+
+        /**
+         * 📋 全部章节 id：优先用已加载的导航，否则读取 navigation.json
+         */
+        getChapterIds() {
+            const chaptersMap = window.app?.navigation?.state?.chaptersMap;
+            if (chaptersMap?.size) {
+                return Promise.resolve(Array.from(chaptersMap.keys()));
+            }
+
+            if (!this.chapterIds) {
+                this.chapterIds = this.#loadFile(GlossaryStore.NAVIGATION_FILE).then(navData => {
+                    const ids = new Set();
+                    const walk = (nodes) => {
+                        for (const node of Array.isArray(nodes) ? nodes : []) {
+                            if (node?.type === 'chapter' && node.id) ids.add(node.id);
+                            walk(node?.chapters);
+                            walk(node?.children);
+                        }
+                    };
+                    walk(navData);
+                    return Array.from(ids);
+                });
+            }
+            return this.chapterIds;
+        }
+
+        async #loadLayers(sources) {
+            const layers = await Promise.all(sources.map(async (layer) => ({
+                ...layer,
+                terms: await this.#loadFile(layer.chapterId ? `data/terms_${layer.chapterId}.json` : GlossaryStore.GLOBAL_FILE)
+            })));
+            return layers.filter(layer => layer.terms);
+        }
+
+        // 先按词条原样匹配，都没有时再匹配词条的变化形式（词条本身可能是 recognised 这类形式）
+        #findInLayers(layers, forms) {
+            for (const findKey of [(terms) => this.#findExactKey(terms, forms), (terms) => this.#findKeyByForm(terms, forms)]) {
+                for (const layer of layers) {
+                    const key = findKey(layer.terms);
+                    if (key) return { layer, key };
+                }
+            }
+            return null;
+        }
+
+        #findExactKey(terms, forms) {
+            return forms.find(form => Object.prototype.hasOwnProperty.call(terms, form)) || null;
+        }
+
+        #findKeyByForm(terms, forms) {
+            const index = this.#getFormIndex(terms);
+            for (const form of forms) {
+                if (index.has(form)) return index.get(form);
+            }
+            return null;
+        }
+
+        #getFormIndex(terms) {
+            let index = this.formIndexes.get(terms);
+            if (!index) {
+                index = new Map();
+                for (const key of Object.keys(terms)) {
+                    for (const form of GlossaryStore.getForms(key)) {
+                        if (!index.has(form)) index.set(form, key);
+                    }
+                }
+                this.formIndexes.set(terms, index);
+            }
+            return index;
+        }
+
+        // 📡 每个文件只请求一次；不存在的文件记为 null，网络错误允许下次重试
+        #loadFile(path) {
+            if (!this.files.has(path)) {
+                const controller = new AbortController();
+                const timeoutId = setTimeout(() => controller.abort(), this.options.timeout);
+
+                const request = fetch(path, { signal: controller.signal, cache: 'default' })
+                    .then(response => {
+                        if (response.status === 404) return null;
+                        if (!response.ok) throw new Error(`HTTP ${response.status}: ${path}`);
+                        return response.json();
+                    })
+                    .catch(error => {
+                        this.files.delete(path);
+                        console.warn('[GlossaryStore] ⚠️ 词汇表文件加载失败:', path, error.message);
+                        return null;
+                    })
+                    .finally(() => clearTimeout(timeoutId));
+
+                this.files.set(path, request);
+            }
+            return this.files.get(path);
+        }
+    }
+
+    // 🌐 全局注册
+    window.EnglishSite = window.EnglishSite || {};
+    window.EnglishSite.GlossaryStore = GlossaryStore;
+
+    // 共享实例
+    window.EnglishSite.AppGlossary = window.EnglishSite.AppGlossary || new GlossaryStore();
+
+    console.log('📚 GlossaryStore 已加载');
+
+})();
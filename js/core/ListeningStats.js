@@ -0,0 +1,146 @@
+// js/core/ListeningStats.js - 本地收听统计
+// 🎯 目标：按句累计收听时长、播放/重听次数、慢速播放次数，找出学习者最吃力的句子
+// 🛡️ 隐私：数据只写入本机 IndexedDB，不上传
+
+(function() {
+    'use strict';
+
+    /**
+     * 📈 收听统计
+     * 特点：内存中合并增量，定时批量写入 AppDB，读取报告前先落盘
+     */
+    class ListeningStats {
+        static STORE = 'listeningStats';
+
+        // 每句累计的计数器
+        static COUNTERS = ['listenedMs', 'plays', 'replays', 'clicks', 'seeks', 'slowPlays'];
+
+        constructor(db = window.EnglishSite.AppDB, options = {}) {
+            this.db = db;
+            this.options = {
+                flushDelay: 5000,
+                reportSize: 5,
+                ...options
+            };
+
+            this.pending = new Map();   // id → { chapterId, cueId, ...增量 }
+            this.flushTimer = null;
+            this.writing = Promise.resolve();
+        }
+
+        /**
+         * ➕ 记录增量，例如 { plays: 1, slowPlays: 1 } 或 { listenedMs: 250 }
+         */
+        record(chapterId, cueId, changes = {}) {
+            if (!chapterId || cueId === null || cueId === undefined || !this.db) return;
+
+            const id = `${chapterId}:${cueId}`;
+            const entry = this.pending.get(id) || { chapterId, cueId: String(cueId) };
+
+            for (const key of ListeningStats.COUNTERS) {
+                if (changes[key]) {
+                    entry[key] = (entry[key] || 0) + changes[key];
+                }
+            }
+            entry.lastPlayedAt = Date.now();
+            this.pending.set(id, entry);
+
+            if (!this.flushTimer) {
+                this.flushTimer = setTimeout(() => this.flush(), this.options.flushDelay);
+            }
+        }
+
+        /**
+         * 💾 把内存中的增量合并进数据库（串行执行，避免读改写交错）
+         */
+        flush() {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+
+            if (!this.pending.size) return this.writing;
+
+            const batch = [...this.pending.entries()];
+            this.pending.clear();
+
+            this.writing = this.writing
+                .then(() => Promise.all(batch.map(([id, changes]) => this.#merge(id, changes))))
+                .catch(error => {
+                    console.warn('[ListeningStats] ⚠️ 统计保存失败:', error);
+                });
+
+            return this.writing;
+        }
+
+        /**
+         * 📊 章节报告：总收听时长、每句计数、重听/放慢最多和最难的句子
+         */
+        async getStats(chapterId) {
+            await this.flush();
+
+            const records = chapterId ?
+                await this.db.getAll(ListeningStats.STORE, { index: 'chapterId', query: chapterId }) :
+                [];
+
+            const cues = records.map(record => ({
+                cueId: record.cueId,
+                listenedTime: Math.round((record.listenedMs || 0) / 100) / 10,
+                plays: record.plays || 0,
+                replays: record.replays || 0,
+                clicks: record.clicks || 0,
+                seeks: record.seeks || 0,
+                slowPlays: record.slowPlays || 0,
+                // 重听和放慢都说明这句听起来吃力
+                difficulty: (record.replays || 0) + (record.slowPlays || 0),
+                lastPlayedAt: record.lastPlayedAt || null
+            }));
+
+            return {
+                chapterId,
+                totalTime: Math.round(cues.reduce((sum, cue) => sum + cue.listenedTime, 0)),
+                cues,
+                mostReplayed: this.#top(cues, 'replays'),
+                mostSlowed: this.#top(cues, 'slowPlays'),
+                hardest: this.#top(cues, 'difficulty')
+            };
+        }
+
+        /**
+         * 🗑️ 清除某章的统计
+         */
+        async clear(chapterId) {
+            await this.flush();
+
+            const records = await this.db.getAll(ListeningStats.STORE, { index: 'chapterId', query: chapterId });
+            await Promise.all(records.map(record => this.db.delete(ListeningStats.STORE, record.id)));
+        }
+
+        async #merge(id, changes) {
+            const existing = await this.db.get(ListeningStats.STORE, id) || { id };
+            const merged = { ...existing, chapterId: changes.chapterId, cueId: changes.cueId };
+
+            for (const key of ListeningStats.COUNTERS) {
+                merged[key] = (existing[key] || 0) + (changes[key] || 0);
+            }
+            merged.lastPlayedAt = changes.lastPlayedAt;
+
+            return this.db.put(ListeningStats.STORE, merged);
+        }
+
+        #top(cues, key) {
+            return cues
+                .filter(cue => cue[key] > 0)
+                .sort((a, b) => b[key] - a[key] || b.lastPlayedAt - a.lastPlayedAt)
+                .slice(0, this.options.reportSize);
+        }
+    }
+
+    // 🌐 全局注册
+    window.EnglishSite = window.EnglishSite || {};
+    window.EnglishSite.ListeningStats = ListeningStats;
+
+    // 共享实例
+    window.EnglishSite.AppStats = window.EnglishSite.AppStats || new ListeningStats();
+
+    console.log('📈 ListeningStats 已加载');
+
+})();
@@ -0,0 +1,192 @@
+// js/core/LocalDatabase.js - IndexedDB 轻量封装
+// 🎯 目标：为录音等二进制/大体量数据提供本地存储（localStorage 只适合小型偏好）
+// 🛡️ 兼容：不支持 IndexedDB 时所有操作以 reject 结束，调用方自行降级
+
+(function() {
+    'use strict';
+
+    /**
+     * 🗄️ IndexedDB 封装
+     * 特点：Promise 接口 + 集中声明的对象仓库 + 按版本自动升级
+     */
+    class LocalDatabase {
+        // 📋 对象仓库定义：新增仓库或索引时同步提升 VERSION
+        static VERSION = 4;
+
+        static STORES = {
+            // 跟读录音：id = `${chapterId}:${cueId}`
+            recordings: {
+                keyPath: 'id',
+                indexes: { chapterId: 'chapterId' }
+            },
+            // 收听统计（按句累计）：id = `${chapterId}:${cueId}`
+            listeningStats: {
+                keyPath: 'id',
+                indexes: { chapterId: 'chapterId' }
+            },
+            // 生词本：id = `${单词}:${chapterId}:${cueId}`
+            vocabulary: {
+                keyPath: 'id',
+                indexes: { chapterId: 'chapterId', createdAt: 'createdAt' }
+            },
+            // 生词复习卡片（调度状态）：id = `${生词 id}#${卡片类型}`
+            reviewCards: {
+                keyPath: 'id',
+                indexes: { vocabularyId: 'vocabularyId', due: 'due' }
+            },
+            // 复习记录：每次回答一条
+            reviewLog: {
+                keyPath: 'id',
+                autoIncrement: true,
+                indexes: { cardId: 'cardId', reviewedAt: 'reviewedAt' }
+            }
+        };
+
+        constructor(name = 'learner-db', version = LocalDatabase.VERSION) {
+            this.name = name;
+            this.version = version;
+            this.dbPromise = null;
+        }
+
+        isSupported() {
+            return typeof indexedDB !== 'undefined';
+        }
+
+        /**
+         * 🔓 打开数据库（只打开一次，后续复用同一连接）
+         */
+        open() {
+            if (this.dbPromise) return this.dbPromise;
+
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!this.isSupported()) {
+                    reject(new Error('IndexedDB is not supported'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.name, this.version);
+
+                request.onupgradeneeded = () => {
+                    this.#upgrade(request.result, request.transaction);
+                };
+
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // 其他标签页升级版本时主动关闭，下次访问重新打开
+                    db.onversionchange = () => {
+                        db.close();
+                        this.dbPromise = null;
+                    };
+                    resolve(db);
+                };
+
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => console.warn('[LocalDatabase] ⚠️ 数据库升级被其他标签页阻塞');
+            });
+
+            // 打开失败时允许重试
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+
+            return this.dbPromise;
+        }
+
+        /**
+         * 📖 读取单条记录
+         */
+        get(storeName, key) {
+            return this.#run(storeName, 'readonly', store => store.get(key));
+        }
+
+        /**
+         * 📚 读取全部记录，可按索引过滤
+         * @param {string} storeName - 仓库名
+         * @param {object} options - { index, query }
+         */
+        getAll(storeName, options = {}) {
+            return this.#run(storeName, 'readonly', store => {
+                const source = options.index ? store.index(options.index) : store;
+                return source.getAll(options.query);
+            });
+        }
+
+        /**
+         * 💾 写入记录（存在则覆盖）
+         */
+        put(storeName, value) {
+            return this.#run(storeName, 'readwrite', store => store.put(value));
+        }
+
+        /**
+         * 🗑️ 删除记录
+         */
+        delete(storeName, key) {
+            return this.#run(storeName, 'readwrite', store => store.delete(key));
+        }
+
+        clear(storeName) {
+            return this.#run(storeName, 'readwrite', store => store.clear());
+        }
+
+        count(storeName, options = {}) {
+            return this.#run(storeName, 'readonly', store => {
+                const source = options.index ? store.index(options.index) : store;
+                return source.count(options.query);
+            });
+        }
+
+        close() {
+            if (!this.dbPromise) return;
+
+            this.dbPromise.then(db => db.close()).catch(() => {});
+            this.dbPromise = null;
+        }
+
+        // 🏗️ 按定义创建缺失的仓库和索引
+        #upgrade(db, transaction) {
+            for (const [name, definition] of Object.entries(LocalDatabase.STORES)) {
+                const store = db.objectStoreNames.contains(name) ?
+                    transaction.objectStore(name) :
+                    db.createObjectStore(name, {
+                        keyPath: definition.keyPath,
+                        autoIncrement: !!definition.autoIncrement
+                    });
+
+                for (const [indexName, keyPath] of Object.entries(definition.indexes || {})) {
+                    if (!store.indexNames.contains(indexName)) {
+                        store.createIndex(indexName, keyPath);
+                    }
+                }
+            }
+        }
+
+        // 🔄 在事务中执行单个请求，事务完成后返回结果
+        async #run(storeName, mode, operation) {
+            const db = await this.open();
+
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction(storeName, mode);
+                const request = operation(transaction.objectStore(storeName));
+                let result;
+
+                request.onsuccess = () => {
+                    result = request.result;
+                };
+                transaction.oncomplete = () => resolve(result);
+                transaction.onerror = () => reject(transaction.error || request.error);
+                transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+            });
+        }
+    }
+
+    // 🌐 全局注册
+    window.EnglishSite = window.EnglishSite || {};
+    window.EnglishSite.LocalDatabase = LocalDatabase;
+
+    // 共享实例
+    window.EnglishSite.AppDB = window.EnglishSite.AppDB || new LocalDatabase();
+
+    console.log('🗄️ LocalDatabase 已加载');
+
+})();
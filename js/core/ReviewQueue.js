@@ -0,0 +1,238 @@
+// js/core/ReviewQueue.js - 生词复习队列
+// 🎯 目标：为生词本中的词生成复习卡片（释义、例句填空、近义词），按 ReviewScheduler 安排复习
+// 📊 每日上限：新卡片和到期复习分别限量；忘了之后的重学（learning）不受上限限制，也不计入复习数；复习记录保存在本机 IndexedDB
+
+(function() {
+    'use strict';
+
+    /**
+     * 🗂️ 复习队列
+     * 特点：卡片内容由生词本中保存的释义实时生成，只持久化调度状态和复习记录
+     */
+    class ReviewQueue {
+        static CARD_STORE = 'reviewCards';
+        static LOG_STORE = 'reviewLog';
+
+        static LIMITS_PATH = 'preferences.review';
+        static DEFAULT_LIMITS = { newPerDay: 20, reviewsPerDay: 200 };
+
+        static CARD_TYPES = ['definition', 'example', 'synonyms'];
+
+        constructor(db = window.EnglishSite.AppDB, notebook = window.EnglishSite.AppVocabulary, scheduler = new window.EnglishSite.ReviewScheduler()) {
+            this.db = db;
+            this.notebook = notebook;
+            this.scheduler = scheduler;
+        }
+
+        static createId(vocabularyId, type) {
+            return `${vocabularyId}#${type}`;
+        }
+
+        /**
+         * 🃏 卡片正面：{ prompt, hint }；该词缺少所需字段时为 null
+         * - definition：看释义想单词
+         * - example：例句挖空填词
+         * - synonyms：看近义词想单词
+         */
+        static buildCard(type, entry) {
+            const sense = entry?.sense || {};
+
+            switch (type) {
+                case 'definition':
+                    return sense.definition ? {
+                        prompt: sense.definition,
+                        hint: sense.partOfSpeech ? `释义 · ${sense.partOfSpeech}` : '释义'
+                    } : null;
+                case 'example': {
+                    const cloze = ReviewQueue.clozeSentence(sense.exampleSentence, entry.word);
+                    return cloze ? { prompt: cloze, hint: '例句填空' } : null;
+                }
+                case 'synonyms':
+                    return Array.isArray(sense.synonyms) && sense.synonyms.length ? {
+                        prompt: sense.synonyms.join(', '),
+                        hint: '近义词'
+                    } : null;
+                default:
+                    return null;
+            }
+        }
+
+        // ✂️ 把例句中该词（含变化形式）替换为空格；例句里找不到时为 null
+        static clozeSentence(sentence, word) {
+            if (!sentence || !word) return null;
+
+            const getForms = window.EnglishSite.GlossaryStore?.getForms || ((text) => [text.toLowerCase()]);
+            const target = word.toLowerCase();
+            let found = false;
+
+            const cloze = sentence.replace(/[A-Za-z][A-Za-z'’-]*/g, (token) => {
+                if (!getForms(token).includes(target)) return token;
+                found = true;
+                return '_____';
+            });
+            return found ? cloze : null;
+        }
+
+        getLimits() {
+            const saved = window.EnglishSite.AppState?.get(ReviewQueue.LIMITS_PATH, null) || {};
+            return { ...ReviewQueue.DEFAULT_LIMITS, ...saved };
+        }
+
+        setLimits(limits = {}) {
+            const next = { ...this.getLimits() };
+            for (const key of Object.keys(ReviewQueue.DEFAULT_LIMITS)) {
+                const value = parseInt(limits[key], 10);
+                if (value >= 0) next[key] = value;
+            }
+
+            window.EnglishSite.AppState?.set(ReviewQueue.LIMITS_PATH, next, { source: 'reviewQueue' });
+            return next;
+        }
+
+        /**
+         * 🔄 按生词本补齐 / 清理卡片：{ entries: Map<生词 id, 生词>, cards }
+         */
+        async sync() {
+            const [entries, existing] = await Promise.all([
+                this.notebook.getAll(),
+                this.db.getAll(ReviewQueue.CARD_STORE)
+            ]);
+
+            const entryMap = new Map(entries.map(entry => [entry.id, entry]));
+            const cardMap = new Map(existing.map(card => [card.id, card]));
+            const wanted = new Set();
+            const writes = [];
+
+            for (const entry of entries) {
+                for (const type of ReviewQueue.CARD_TYPES) {
+                    if (!ReviewQueue.buildCard(type, entry)) continue;
+
+                    const id = ReviewQueue.createId(entry.id, type);
+                    wanted.add(id);
+                    if (!cardMap.has(id)) {
+                        const card = this.scheduler.createCard({ id, vocabularyId: entry.id, type });
+                        cardMap.set(id, card);
+                        writes.push(this.db.put(ReviewQueue.CARD_STORE, card));
+                    }
+                }
+            }
+
+            // 生词已删除或换了释义后不再适用的卡片
+            for (const id of [...cardMap.keys()]) {
+                if (!wanted.has(id)) {
+                    cardMap.delete(id);
+                    writes.push(this.db.delete(ReviewQueue.CARD_STORE, id));
+                }
+            }
+
+            await Promise.all(writes);
+            return { entries: entryMap, cards: [...cardMap.values()] };
+        }
+
+        /**
+         * 📋 今天的复习：到期卡片在前（最早到期的先复习），新卡片和复习卡片受每日上限限制
+         * 到期的重学卡片（忘了之后 10 分钟再来）总是包含在内，不占复习上限
+         * 新卡片先按类型再按加入顺序排列，同一个词的几张卡片不会紧挨着出现
+         * 返回 { items: [{ card, entry }], counts: { due, new, relearning, dueTotal, newTotal }, today, limits }
+         */
+        async getSession() {
+            const [{ entries, cards }, today] = await Promise.all([this.sync(), this.getTodayCounts()]);
+            const limits = this.getLimits();
+            const now = this.scheduler.now();
+
+            const due = cards
+                .filter(card => this.scheduler.isDue(card, now))
+                .sort((a, b) => a.due - b.due || a.id.localeCompare(b.id));
+            const typeOrder = (card) => ReviewQueue.CARD_TYPES.indexOf(card.type);
+            const fresh = cards
+                .filter(card => card.state === 'new')
+                .sort((a, b) => typeOrder(a) - typeOrder(b) || a.createdAt - b.createdAt || a.id.localeCompare(b.id));
+
+            // 保持到期顺序，只有复习卡片计入上限
+            let reviewsLeft = Math.max(0, limits.reviewsPerDay - today.reviews);
+            const dueToday = due.filter(card => card.state === 'learning' || reviewsLeft-- > 0);
+            const newToday = fresh.slice(0, Math.max(0, limits.newPerDay - today.new));
+
+            return {
+                items: [...dueToday, ...newToday].map(card => ({ card, entry: entries.get(card.vocabularyId) })),
+                counts: {
+                    due: dueToday.length,
+                    new: newToday.length,
+                    relearning: dueToday.filter(card => card.state === 'learning').length,
+                    dueTotal: due.length,
+                    newTotal: fresh.length
+                },
+                today,
+                limits
+            };
+        }
+
+        async getCounts() {
+            return (await this.getSession()).counts;
+        }
+
+        /**
+         * 📊 今天已复习的数量：{ new: 首次学习的卡片, reviews: 复习次数, relearning: 忘了之后的重学次数 }
+         * 重学不计入 reviews，否则同一张卡片忘几次就会占掉几次每日复习上限
+         */
+        async getTodayCounts() {
+            const logs = await this.db.getAll(ReviewQueue.LOG_STORE, {
+                index: 'reviewedAt',
+                query: IDBKeyRange.lowerBound(this.scheduler.startOfDay())
+            });
+
+            const counts = { new: 0, reviews: 0, relearning: 0 };
+            for (const log of logs) {
+                if (log.previousState === 'new') {
+                    counts.new++;
+                } else if (log.previousState === 'learning') {
+                    counts.relearning++;
+                } else {
+                    counts.reviews++;
+                }
+            }
+            return counts;
+        }
+
+        /**
+         * ✅ 记录一次回答：更新卡片调度并写入复习记录，返回更新后的卡片
+         */
+        async answer(card, grade) {
+            const next = this.scheduler.schedule(card, grade);
+
+            await this.db.put(ReviewQueue.CARD_STORE, next);
+            await this.db.put(ReviewQueue.LOG_STORE, {
+                cardId: card.id,
+                vocabularyId: card.vocabularyId,
+                type: card.type,
+                grade,
+                previousState: card.state,
+                previousInterval: card.interval,
+                interval: next.interval,
+                easeFactor: next.easeFactor,
+                due: next.due,
+                reviewedAt: next.reviewedAt
+            });
+
+            return next;
+        }
+
+        /**
+         * 🕘 某张卡片的复习记录，按时间先后
+         */
+        async getHistory(cardId) {
+            const logs = await this.db.getAll(ReviewQueue.LOG_STORE, { index: 'cardId', query: cardId });
+            return logs.sort((a, b) => a.reviewedAt - b.reviewedAt);
+        }
+    }
+
+    // 🌐 全局注册
+    window.EnglishSite = window.EnglishSite || {};
+    window.EnglishSite.ReviewQueue = ReviewQueue;
+
+    // 共享实例
+    window.EnglishSite.AppReview = window.EnglishSite.AppReview || new ReviewQueue();
+
+    console.log('🗂️ ReviewQueue 已加载');
+
+})();
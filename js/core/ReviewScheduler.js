@@ -0,0 +1,183 @@
+// js/core/ReviewScheduler.js - 间隔重复调度（SM-2）
+// 🎯 目标：根据每次回忆的评分计算下次复习时间，记得越牢间隔越长
+// 🧪 可测试：不读写存储、不含随机数，当前时间由 options.now 注入，同样的输入总是得到同样的结果
+
+(function() {
+    'use strict';
+
+    /**
+     * 🧠 SM-2 调度器
+     * 规则（SuperMemo SM-2）：
+     * - 评分 quality 0~5，低于 3 视为遗忘：重新开始，短时间后再次出现，难度系数不变
+     * - 记住时：第 1 次间隔 1 天，第 2 次 6 天，之后为上次间隔 × 难度系数
+     * - 难度系数 EF' = EF + 0.1 - (5 - q) × (0.08 + (5 - q) × 0.02)，不低于 1.3
+     * 间隔按天计算，到期时间为本地当天零点起算的第 N 天
+     */
+    class ReviewScheduler {
+        static MINUTE = 60 * 1000;
+        static DAY = 24 * 60 * 60 * 1000;
+
+        static INITIAL_EASE = 2.5;
+        static MIN_EASE = 1.3;
+
+        // 复习界面的四个按钮对应的 SM-2 评分
+        static GRADES = {
+            again: { quality: 1, label: '忘了' },
+            hard: { quality: 3, label: '模糊' },
+            good: { quality: 4, label: '记得' },
+            easy: { quality: 5, label: '简单' }
+        };
+
+        constructor(options = {}) {
+            this.options = {
+                now: () => Date.now(),
+                relearnMinutes: 10,     // 遗忘后多久再次出现
+                ...options
+            };
+        }
+
+        now() {
+            return this.options.now();
+        }
+
+        // 📅 本地时间当天零点
+        startOfDay(time = this.now()) {
+            const date = new Date(time);
+            date.setHours(0, 0, 0, 0);
+            return date.getTime();
+        }
+
+        // 📅 N 天后的本地零点（按日历加天数，夏令时切换的日子不是 24 小时）
+        addDays(time, days) {
+            const date = new Date(this.startOfDay(time));
+            date.setDate(date.getDate() + days);
+            return date.getTime();
+        }
+
+        /**
+         * 🆕 新卡片的调度状态
+         */
+        createCard(fields = {}) {
+            const now = this.now();
+            return {
+                state: 'new',           // new → review；遗忘后为 learning，再次记住后回到 review
+                repetitions: 0,
+                interval: 0,            // 天
+                easeFactor: ReviewScheduler.INITIAL_EASE,
+                lapses: 0,
+                due: now,
+                reviewedAt: null,
+                createdAt: now,
+                ...fields
+            };
+        }
+
+        /**
+         * 📝 按评分计算下一次复习，返回新的卡片（不修改传入的卡片）
+         * @param {object} card - 卡片
+         * @param {string} grade - again / hard / good / easy
+         */
+        schedule(card, grade) {
+            const quality = ReviewScheduler.GRADES[grade]?.quality;
+            if (quality === undefined) {
+                throw new Error(`未知的评分: ${grade}`);
+            }
+
+            const now = this.now();
+            const previousEase = card.easeFactor || ReviewScheduler.INITIAL_EASE;
+
+            if (quality < 3) {
+                return {
+                    ...card,
+                    state: 'learning',
+                    repetitions: 0,
+                    interval: 0,
+                    easeFactor: previousEase,
+                    lapses: (card.lapses || 0) + (card.state === 'review' ? 1 : 0),
+                    due: now + this.options.relearnMinutes * ReviewScheduler.MINUTE,
+                    reviewedAt: now
+                };
+            }
+
+            const repetitions = (card.repetitions || 0) + 1;
+            let interval;
+            if (repetitions === 1) {
+                interval = 1;
+            } else if (repetitions === 2) {
+                interval = 6;
+            } else {
+                interval = Math.max(1, Math.round((card.interval || 1) * previousEase));
+            }
+
+            const easeFactor = Math.max(
+                ReviewScheduler.MIN_EASE,
+                previousEase + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)
+            );
+
+            return {
+                ...card,
+                state: 'review',
+                repetitions,
+                interval,
+                easeFactor: Math.round(easeFactor * 1000) / 1000,
+                due: this.addDays(now, interval),
+                reviewedAt: now
+            };
+        }
+
+        /**
+         * 👀 各评分对应的下次复习时间（按钮上显示），{ again: ms, hard: ms, ... }
+         */
+        preview(card) {
+            const now = this.now();
+            return Object.fromEntries(Object.keys(ReviewScheduler.GRADES).map(grade => [
+                grade,
+                this.schedule(card, grade).due - now
+            ]));
+        }
+
+        /**
+         * 🏷️ 评分按钮上的说明：{ again: '10 分钟', good: '1 天', ... }
+         * 记住时按间隔天数显示（到期时间对齐到零点，晚上复习时离到期只剩几小时），重学按剩余时间显示
+         */
+        previewLabels(card) {
+            const now = this.now();
+            return Object.fromEntries(Object.keys(ReviewScheduler.GRADES).map(grade => {
+                const next = this.schedule(card, grade);
+                return [
+                    grade,
+                    next.interval ? ReviewScheduler.formatDays(next.interval) : ReviewScheduler.formatInterval(next.due - now)
+                ];
+            }));
+        }
+
+        isDue(card, time = this.now()) {
+            return card.state !== 'new' && card.due <= time;
+        }
+
+        // ⏱️ 时长的简短说明：10 分钟、3 小时、2 天（半天以上按天显示）
+        static formatInterval(ms) {
+            const minutes = Math.max(1, Math.round(ms / ReviewScheduler.MINUTE));
+            if (minutes < 60) return `${minutes} 分钟`;
+
+            const hours = Math.round(minutes / 60);
+            if (hours < 12) return `${hours} 小时`;
+
+            return ReviewScheduler.formatDays(Math.max(1, Math.round(ms / ReviewScheduler.DAY)));
+        }
+
+        // 📅 天数的简短说明：1 天、3 个月、1.5 年
+        static formatDays(days) {
+            if (days < 30) return `${days} 天`;
+            if (days < 365) return `${Math.round(days / 30)} 个月`;
+            return `${Math.round(days / 365 * 10) / 10} 年`;
+        }
+    }
+
+    // 🌐 全局注册
+    window.EnglishSite = window.EnglishSite || {};
+    window.EnglishSite.ReviewScheduler = ReviewScheduler;
+
+    console.log('🧠 ReviewScheduler 已加载');
+
+})();
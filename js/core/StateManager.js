@@ -806,6 +806,9 @@
     // 🌐 全局注册
     window.EnglishSite = window.EnglishSite || {};
     window.EnglishSite.StateManager = StateManager;
+
+    // 共享实例：供各模块读写偏好等持久化状态
+    window.EnglishSite.AppState = window.EnglishSite.AppState || new StateManager();
     
     console.log('🏗️ StateManager 核心类已加载');
     
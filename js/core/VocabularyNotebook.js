@@ -0,0 +1,182 @@
+// js/core/VocabularyNotebook.js - 个人生词本
+// 🎯 目标：保存学习者在词汇弹窗中查过的词：当时显示的释义、所在章节、原句及其音频时间
+// 🛡️ 隐私：数据只写入本机 IndexedDB，可导出为 JSON / CSV 自行备份
+
+(function() {
+    'use strict';
+
+    /**
+     * 📒 生词本
+     * 特点：同一章节同一句中的同一个词只保存一条，再次保存时更新释义，保留标签和笔记
+     */
+    class VocabularyNotebook {
+        static STORE = 'vocabulary';
+
+        // 导出 CSV 的列
+        static CSV_COLUMNS = ['word', 'partOfSpeech', 'definition', 'sentence', 'chapterId', 'chapterTitle', 'time', 'tags', 'note', 'createdAt'];
+
+        constructor(db = window.EnglishSite.AppDB) {
+            this.db = db;
+        }
+
+        isSupported() {
+            return !!this.db?.isSupported();
+        }
+
+        static createId({ word, chapterId = null, cueId = null }) {
+            return [String(word || '').toLowerCase(), chapterId ?? '', cueId ?? ''].join(':');
+        }
+
+        // 🏷️ 标签可以是数组，也可以是逗号分隔的字符串
+        static normalizeTags(tags) {
+            const list = Array.isArray(tags) ? tags : String(tags || '').split(/[,，]/);
+            return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+        }
+
+        /**
+         * 🔍 按关键词（单词、释义、原句、笔记、章节）和标签筛选
+         */
+        static filter(entries, options = {}) {
+            const query = String(options.query || '').trim().toLowerCase();
+            const { tag = null } = options;
+
+            return entries.filter(entry => {
+                if (tag && !entry.tags.includes(tag)) return false;
+                if (!query) return true;
+
+                return [entry.word, entry.sense?.definition, entry.sentence, entry.note, entry.chapterTitle, ...entry.tags]
+                    .some(text => String(text || '').toLowerCase().includes(query));
+            });
+        }
+
+        /**
+         * 🏷️ 全部标签及使用次数，按次数排序
+         */
+        static getTags(entries) {
+            const counts = new Map();
+            for (const entry of entries) {
+                for (const tag of entry.tags) {
+                    counts.set(tag, (counts.get(tag) || 0) + 1);
+                }
+            }
+            return [...counts.entries()]
+                .map(([tag, count]) => ({ tag, count }))
+                .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+        }
+
+        /**
+         * 💾 保存生词：{ word, sense, chapterId, chapterTitle, cueId, time, sentence }
+         */
+        async save(entry) {
+            const id = VocabularyNotebook.createId(entry);
+            const existing = await this.db.get(VocabularyNotebook.STORE, id);
+            const now = Date.now();
+
+            const record = {
+                ...existing,
+                ...entry,
+                id,
+                tags: existing?.tags || [],
+                note: existing?.note || '',
+                createdAt: existing?.createdAt || now,
+                updatedAt: now
+            };
+
+            await this.db.put(VocabularyNotebook.STORE, record);
+            return record;
+        }
+
+        get(id) {
+            return this.db.get(VocabularyNotebook.STORE, id);
+        }
+
+        /**
+         * 📚 全部生词，最近保存的在前
+         */
+        async getAll() {
+            const entries = await this.db.getAll(VocabularyNotebook.STORE);
+            return entries
+                .map(entry => ({ ...entry, tags: entry.tags || [], note: entry.note || '' }))
+                .sort((a, b) => b.createdAt - a.createdAt);
+        }
+
+        async search(options = {}) {
+            return VocabularyNotebook.filter(await this.getAll(), options);
+        }
+
+        /**
+         * ✏️ 修改标签和笔记
+         */
+        async update(id, changes = {}) {
+            const existing = await this.get(id);
+            if (!existing) {
+                throw new Error(`生词不存在: ${id}`);
+            }
+
+            const record = { ...existing, updatedAt: Date.now() };
+            if ('tags' in changes) record.tags = VocabularyNotebook.normalizeTags(changes.tags);
+            if ('note' in changes) record.note = String(changes.note || '');
+
+            await this.db.put(VocabularyNotebook.STORE, record);
+            return record;
+        }
+
+        remove(id) {
+            return this.db.delete(VocabularyNotebook.STORE, id);
+        }
+
+        /**
+         * 📤 导出：{ filename, mimeType, content }，format 为 'json' 或 'csv'
+         */
+        async export(format = 'json') {
+            const entries = await this.getAll();
+            const date = new Date().toISOString().slice(0, 10);
+
+            if (format === 'csv') {
+                const rows = entries.map(entry => VocabularyNotebook.CSV_COLUMNS.map(column => {
+                    switch (column) {
+                        case 'partOfSpeech':
+                        case 'definition':
+                            return entry.sense?.[column];
+                        case 'tags':
+                            return entry.tags.join(', ');
+                        case 'createdAt':
+                            return new Date(entry.createdAt).toISOString();
+                        default:
+                            return entry[column];
+                    }
+                }));
+
+                return {
+                    filename: `vocabulary-${date}.csv`,
+                    mimeType: 'text/csv;charset=utf-8',
+                    // BOM 让 Excel 按 UTF-8 打开中文
+                    content: '\uFEFF' + [VocabularyNotebook.CSV_COLUMNS, ...rows]
+                        .map(row => row.map(value => this.#escapeCsv(value)).join(','))
+                        .join('\r\n')
+                };
+            }
+
+            return {
+                filename: `vocabulary-${date}.json`,
+                mimeType: 'application/json',
+                content: JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), entries }, null, 2)
+            };
+        }
+
+        #escapeCsv(value) {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }
+    }
+
+    // 🌐 全局注册
+    window.EnglishSite = window.EnglishSite || {};
+    window.EnglishSite.VocabularyNotebook = VocabularyNotebook;
+
+    // 共享实例
+    window.EnglishSite.AppVocabulary = window.EnglishSite.AppVocabulary || new VocabularyNotebook();
+
+    console.log('📒 VocabularyNotebook 已加载');
+
+})();
@@ -0,0 +1,378 @@
+/**
+ * ✍️ 听写练习
+ *
+ * 特性：
+ * - 逐句播放字幕cue，听写期间隐藏正文
+ * - 与正文中 [data-sentence-id] 句子逐词比对
+ * - 重听、慢速、逐词提示
+ * - 每章正确率保存在 StateManager 的 modules.dictation 中
+ *
+ * @version 1.0.0
+ */
+
+window.EnglishSite = window.EnglishSite || {};
+
+class Dictation {
+    static STATE_PATH = 'modules.dictation';
+
+    constructor(audioSync, container, options = {}) {
+        this.audioSync = audioSync;
+        this.container = container;
+        this.options = {
+            slowRate: 0.75,
+            ...options
+        };
+
+        this.state = {
+            isOpen: false,
+            cueIndex: 0,
+            slow: false,
+            hints: 0,
+            result: null,       // 当前句的比对结果
+            originalRate: 1
+        };
+
+        this.handlers = {
+            click: (e) => this.handleClick(e),
+            keydown: (e) => this.handleKeydown(e)
+        };
+
+        this.createElements();
+    }
+
+    // 🏗️ 按钮和练习面板
+    createElements() {
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'player-tool-btn';
+        this.button.dataset.dictation = 'toggle';
+        this.button.title = '听写练习';
+        this.button.setAttribute('aria-expanded', 'false');
+        this.button.textContent = '✍️';
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'dictation-overlay';
+        this.overlay.hidden = true;
+        this.overlay.setAttribute('role', 'dialog');
+        this.overlay.setAttribute('aria-label', '听写练习');
+        this.overlay.innerHTML = `
+            <div class="dictation-dialog">
+                <div class="dictation-header">
+                    <h3>✍️ 听写 <span class="dictation-progress"></span></h3>
+                    <button type="button" class="dictation-close" data-dictation="close" aria-label="关闭">×</button>
+                </div>
+                <div class="dictation-controls">
+                    <button type="button" data-dictation="play">🔊 播放</button>
+                    <button type="button" data-dictation="slow" aria-pressed="false">🐢 慢速</button>
+                    <button type="button" data-dictation="hint">💡 提示</button>
+                </div>
+                <p class="dictation-hint"></p>
+                <textarea class="dictation-input" rows="3" placeholder="输入听到的句子，Enter 检查" spellcheck="false"></textarea>
+                <div class="dictation-result" aria-live="polite"></div>
+                <div class="dictation-footer">
+                    <span class="dictation-score"></span>
+                    <div>
+                        <button type="button" data-dictation="prev">上一句</button>
+                        <button type="button" class="dictation-primary" data-dictation="check">检查</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.elements = {
+            progress: this.overlay.querySelector('.dictation-progress'),
+            slow: this.overlay.querySelector('[data-dictation="slow"]'),
+            hint: this.overlay.querySelector('.dictation-hint'),
+            input: this.overlay.querySelector('.dictation-input'),
+            result: this.overlay.querySelector('.dictation-result'),
+            score: this.overlay.querySelector('.dictation-score'),
+            primary: this.overlay.querySelector('.dictation-primary')
+        };
+
+        this.container.appendChild(this.button);
+        document.body.appendChild(this.overlay);
+
+        this.button.addEventListener('click', this.handlers.click);
+        this.overlay.addEventListener('click', this.handlers.click);
+        this.overlay.addEventListener('keydown', this.handlers.keydown);
+    }
+
+    handleClick(event) {
+        const action = event.target.closest('[data-dictation]');
+        if (!action) return;
+
+        switch (action.dataset.dictation) {
+            case 'toggle':
+                this.toggle();
+                break;
+            case 'close':
+                this.toggle(false);
+                break;
+            case 'play':
+                this.playCurrent();
+                break;
+            case 'slow':
+                this.state.slow = !this.state.slow;
+                this.elements.slow.setAttribute('aria-pressed', String(this.state.slow));
+                this.playCurrent();
+                break;
+            case 'hint':
+                this.showHint();
+                break;
+            case 'check':
+                this.check();
+                break;
+            case 'next':
+                this.goTo(this.state.cueIndex + 1);
+                break;
+            case 'prev':
+                this.goTo(this.state.cueIndex - 1);
+                break;
+        }
+    }
+
+    // ⌨️ Enter 检查 / 下一句，Shift+Enter 换行，Esc 关闭
+    handleKeydown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.toggle(false);
+            return;
+        }
+
+        if (event.key === 'Enter' && !event.shiftKey && event.target === this.elements.input) {
+            event.preventDefault();
+            if (this.state.result) {
+                this.goTo(this.state.cueIndex + 1);
+            } else {
+                this.check();
+            }
+        }
+    }
+
+    toggle(open) {
+        this.state.isOpen = typeof open === 'boolean' ? open : !this.state.isOpen;
+        this.overlay.hidden = !this.state.isOpen;
+        this.button.setAttribute('aria-expanded', String(this.state.isOpen));
+        this.audioSync.contentArea?.classList.toggle('dictation-active', this.state.isOpen);
+
+        if (this.state.isOpen) {
+            this.state.originalRate = this.audioSync.getPlaybackRate();
+            this.goTo(this.getStartIndex(), false);
+        } else {
+            this.audioSync.clearCueStop();
+            this.audioSync.pause();
+            this.audioSync.setPlaybackRate(this.state.originalRate);
+        }
+    }
+
+    // 从第一句未练习的句子开始
+    getStartIndex() {
+        const cues = this.audioSync.getCues();
+        const attempts = this.loadRecord().attempts;
+        const index = cues.findIndex(cue => !(cue.id in attempts));
+        return index !== -1 ? index : 0;
+    }
+
+    goTo(index, autoplay = true) {
+        const cues = this.audioSync.getCues();
+        if (!cues.length) {
+            this.elements.hint.textContent = '本章没有可听写的句子';
+            return;
+        }
+
+        this.state.cueIndex = Math.max(0, Math.min(cues.length - 1, index));
+        this.state.hints = 0;
+        this.state.result = null;
+        this.elements.input.value = '';
+        this.render();
+        this.elements.input.focus();
+
+        if (autoplay) {
+            this.playCurrent();
+        }
+    }
+
+    playCurrent() {
+        this.audioSync.setPlaybackRate(this.state.slow ? this.options.slowRate : this.state.originalRate);
+        this.audioSync.playCue(this.state.cueIndex);
+        this.elements.input.focus();
+    }
+
+    // 📖 参考答案以正文中的句子为准，找不到时退回字幕文本
+    getReferenceText() {
+        const cue = this.audioSync.getCues()[this.state.cueIndex];
+        if (!cue) return '';
+
+        const element = this.audioSync.findElement(cue.id);
+        const text = element ? element.textContent : cue.text;
+        return (text || '').replace(/\s+/g, ' ').trim();
+    }
+
+    // 💡 提示：每次多显示一个单词，其余单词只显示首字母
+    showHint() {
+        const words = this.getReferenceText().split(' ').filter(Boolean);
+        if (!words.length) return;
+
+        this.state.hints = Math.min(words.length, this.state.hints + 1);
+        this.elements.hint.textContent = words.map((word, i) => (
+            i < this.state.hints ? word : word.replace(/[A-Za-z]/g, (ch, offset) => offset === 0 ? ch : '_')
+        )).join(' ');
+    }
+
+    // ✅ 检查答案
+    check() {
+        const reference = this.getReferenceText();
+        const answer = this.elements.input.value;
+        if (!reference || !answer.trim()) return;
+
+        const ops = this.diffWords(reference, answer);
+        const total = ops.filter(op => op.type !== 'extra').length;
+        const correct = ops.filter(op => op.type === 'equal').length;
+        const score = total ? correct / total : 0;
+
+        this.state.result = { ops, score };
+        this.saveAttempt(score);
+        this.render();
+    }
+
+    // 🔍 逐词比对（LCS），相邻的漏写和多写合并为写错
+    diffWords(reference, answer) {
+        const refWords = reference.split(/\s+/).filter(Boolean);
+        const ansWords = answer.split(/\s+/).filter(Boolean);
+        const refKeys = refWords.map(word => this.normalizeWord(word));
+        const ansKeys = ansWords.map(word => this.normalizeWord(word));
+
+        const rows = refKeys.length;
+        const cols = ansKeys.length;
+        const lcs = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+
+        for (let i = rows - 1; i >= 0; i--) {
+            for (let j = cols - 1; j >= 0; j--) {
+                lcs[i][j] = refKeys[i] === ansKeys[j] ?
+                    lcs[i + 1][j + 1] + 1 :
+                    Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const ops = [];
+        let i = 0;
+        let j = 0;
+        while (i < rows || j < cols) {
+            if (i < rows && j < cols && refKeys[i] === ansKeys[j]) {
+                ops.push({ type: 'equal', expected: refWords[i++], actual: ansWords[j++] });
+            } else if (i < rows && (j === cols || lcs[i + 1][j] >= lcs[i][j + 1])) {
+                ops.push({ type: 'missing', expected: refWords[i++] });
+            } else {
+                ops.push({ type: 'extra', actual: ansWords[j++] });
+            }
+        }
+
+        // 多写紧跟漏写（或反之）视为同一个词写错
+        const merged = [];
+        for (const op of ops) {
+            const last = merged[merged.length - 1];
+            if (last && ((last.type === 'extra' && op.type === 'missing') || (last.type === 'missing' && op.type === 'extra'))) {
+                merged[merged.length - 1] = {
+                    type: 'wrong',
+                    expected: last.expected || op.expected,
+                    actual: last.actual || op.actual
+                };
+            } else {
+                merged.push(op);
+            }
+        }
+
+        return merged;
+    }
+
+    // 忽略大小写、标点和弯引号差异
+    normalizeWord(word) {
+        return word.toLowerCase()
+            .replace(/[‘’]/g, "'")
+            .replace(/[^a-z0-9']/g, '')
+            .replace(/^'+|'+$/g, '');
+    }
+
+    // 💾 记录：{ attempts: { cueId: { score, hints } }, accuracy, updatedAt }
+    getRecordPath() {
+        return `${Dictation.STATE_PATH}.${this.audioSync.config.chapterId}`;
+    }
+
+    loadRecord() {
+        const saved = window.EnglishSite.AppState?.get(this.getRecordPath(), null);
+        return saved && saved.attempts ? saved : { attempts: {}, accuracy: 0, updatedAt: 0 };
+    }
+
+    saveAttempt(score) {
+        try {
+            const cue = this.audioSync.getCues()[this.state.cueIndex];
+            if (!cue || !this.audioSync.config.chapterId) return;
+
+            const record = this.loadRecord();
+            const attempts = { ...record.attempts, [cue.id]: { score: Math.round(score * 100) / 100, hints: this.state.hints } };
+            const scores = Object.values(attempts).map(attempt => attempt.score);
+
+            window.EnglishSite.AppState?.set(this.getRecordPath(), {
+                attempts,
+                accuracy: Math.round(scores.reduce((sum, value) => sum + value, 0) / scores.length * 100) / 100,
+                updatedAt: Date.now()
+            }, { source: 'dictation' });
+        } catch (error) {
+            console.warn('[Dictation] ⚠️ 听写成绩保存失败:', error);
+        }
+    }
+
+    getAccuracy() {
+        return this.loadRecord().accuracy;
+    }
+
+    // 🎨 更新显示
+    render() {
+        const cues = this.audioSync.getCues();
+        const record = this.loadRecord();
+        const attempted = Object.keys(record.attempts).length;
+
+        this.elements.progress.textContent = `第 ${this.state.cueIndex + 1} / ${cues.length} 句`;
+        this.elements.score.textContent = attempted ?
+            `本章正确率 ${Math.round(record.accuracy * 100)}%（已练 ${attempted} 句）` : '';
+
+        if (!this.state.hints) {
+            this.elements.hint.textContent = '';
+        }
+
+        const result = this.state.result;
+        this.elements.result.innerHTML = '';
+        this.elements.primary.dataset.dictation = result ? 'next' : 'check';
+        this.elements.primary.textContent = result ? '下一句' : '检查';
+
+        if (!result) return;
+
+        const fragment = document.createDocumentFragment();
+        for (const op of result.ops) {
+            const span = document.createElement('span');
+            span.className = `dictation-word dictation-${op.type}`;
+            span.textContent = op.type === 'extra' ? op.actual : op.expected;
+            if (op.type === 'wrong') span.title = `你写的是：${op.actual}`;
+            fragment.appendChild(span);
+            fragment.appendChild(document.createTextNode(' '));
+        }
+
+        const summary = document.createElement('div');
+        summary.className = 'dictation-summary';
+        summary.textContent = `本句 ${Math.round(result.score * 100)}%${this.state.hints ? `（使用提示 ${this.state.hints} 次）` : ''}`;
+
+        this.elements.result.appendChild(fragment);
+        this.elements.result.appendChild(summary);
+    }
+
+    destroy() {
+        if (this.state.isOpen) {
+            this.toggle(false);
+        }
+        this.button.remove();
+        this.overlay.remove();
+    }
+}
+
+// 注册到全局命名空间
+window.EnglishSite.Dictation = Dictation;
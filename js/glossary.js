@@ -12,9 +12,32 @@ class Glossary {
         VISIBLE: 'glossary-visible',
         HIDDEN: 'glossary-hidden',
         ELEMENT_VISIBLE: 'element-visible',
-        ELEMENT_HIDDEN: 'element-hidden'
+        ELEMENT_HIDDEN: 'element-hidden',
+        WORD_LOOKUP: 'word-lookup-active'
     };
 
+    // 🔍 点词查询：开启后点击正文任意单词查看释义（不再点击句子跳转音频）
+    static WORD_LOOKUP_PATH = 'preferences.wordLookup';
+    static WORD_PATTERN = /[A-Za-z'’-]/;
+    static #stemmer = null;
+
+    static isWordLookupEnabled() {
+        return !!window.EnglishSite.AppState?.get(Glossary.WORD_LOOKUP_PATH, false);
+    }
+
+    static setWordLookup(enabled) {
+        window.EnglishSite.AppState?.set(Glossary.WORD_LOOKUP_PATH, !!enabled, { source: 'glossary' });
+    }
+
+    // 与词频统计相同的词干（WordStemmer 不可用时只转小写）
+    static getStem(word) {
+        const Stemmer = window.EnglishSite.SimplifiedWordStemmer;
+        if (!Glossary.#stemmer && Stemmer) {
+            Glossary.#stemmer = new Stemmer();
+        }
+        return Glossary.#stemmer ? Glossary.#stemmer.getStem(word) : word.toLowerCase();
+    }
+
     // 🚀 新增：对象池化系统
     static #objectPool = {
         fragments: [],
@@ -48,12 +71,17 @@ class Glossary {
         this.contentArea = contentArea;
         this.chapterId = chapterId;
         this.popup = document.getElementById(Glossary.CSS.POPUP);
+        this.wordLookupToggle = null;   // 点词查询开关（页面浮动按钮）
         
         // 🚀 优化：简化状态管理
         this.state = {
             elements: {},
             glossaryData: {},
             activeElement: null,
+            activeWord: null,
+            activeSentence: null, // 词所在的句子（保存生词时记录原句）
+            senses: [],         // 当前词的释义，语境释义在前
+            senseIndex: 0,
             isVisible: false,
             wasAudioPlaying: false,
             lastPopupPosition: { top: 0, left: 0 },
@@ -125,6 +153,7 @@ class Glossary {
                 ]);
                 
                 this.#addOptimizedEventListeners();
+                this.#createWordLookupToggle();
                 
                 window.EnglishSite.PerformanceMonitor?.endMeasure(perfId);
                 
@@ -192,7 +221,11 @@ class Glossary {
                 definition: '.glossary-main-definition-container',
                 contextContainer: '.glossary-contextual-meaning-container',
                 exampleContainer: '.glossary-example-container',
+                frequency: '.glossary-frequency',
                 detailsList: '.glossary-details-list',
+                sensePager: '.glossary-sense-pager',
+                senseLabel: '.glossary-sense-label',
+                saveButton: '.glossary-save-btn',
                 contentArea: '.glossary-popup-content'
             };
             
@@ -251,25 +284,11 @@ class Glossary {
                 return;
             }
 
-            // 🚀 优化2：网络请求优化
+            // 🚀 优化2：全站词汇表 + 章节词汇表（章节词条覆盖或补充全站词条）
             const networkPerfId = window.EnglishSite.PerformanceMonitor?.startMeasure('glossaryNetwork', 'glossary');
             
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), this.performanceOpts.networkTimeout || 10000);
-            
             try {
-                const response = await fetch(`data/terms_${this.chapterId}.json`, {
-                    signal: controller.signal,
-                    cache: 'default' // 利用浏览器缓存
-                });
-                
-                clearTimeout(timeoutId);
-                
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: 词汇表数据加载失败`);
-                }
-                
-                this.state.glossaryData = await response.json();
+                this.state.glossaryData = await window.EnglishSite.AppGlossary.getChapterTerms(this.chapterId);
                 
                 // 🚀 批量缓存
                 this.#batchCacheData(this.state.glossaryData);
@@ -281,7 +300,7 @@ class Glossary {
                 window.EnglishSite.PerformanceMonitor?.recordMetric('termsLoaded', termsCount, 'glossary');
                 
             } catch (error) {
-                clearTimeout(timeoutId);
+                window.EnglishSite.PerformanceMonitor?.endMeasure(networkPerfId);
                 throw error;
             }
             
@@ -323,12 +342,24 @@ class Glossary {
         this.cache.set(this.chapterId, data);
     }
 
+    // 🔍 点词查询开关：每个章节都有词汇表，开关随词汇表创建，不依赖音频播放器
+    #createWordLookupToggle() {
+        const WordLookupToggle = window.EnglishSite.WordLookupToggle;
+        if (!WordLookupToggle) {
+            this.contentArea.classList.toggle(Glossary.CSS.WORD_LOOKUP, Glossary.isWordLookupEnabled());
+            return;
+        }
+        this.wordLookupToggle = new WordLookupToggle(this.contentArea);
+    }
+
     // 🚀 优化：高效事件监听
     #addOptimizedEventListeners() {
         return window.EnglishSite.UltraSimpleError?.safeSync(() => {
             // 🚀 主要改进：事件委托 + 节流
             this.contentArea.addEventListener('click', (e) => this.#handleTermClickOptimized(e), { passive: true });
             this.popup.addEventListener('click', (e) => e.stopPropagation(), { passive: true });
+            this.popup.addEventListener('click', (e) => this.#handleSensePagerClick(e), { passive: true });
+            this.popup.addEventListener('click', (e) => this.#handleSaveClick(e), { passive: true });
             document.addEventListener('click', (e) => this.#handleDocumentClickOptimized(e), { passive: true });
             
             // 🚀 优化：节流事件处理
@@ -342,7 +373,10 @@ class Glossary {
     #handleTermClickOptimized(event) {
         return window.EnglishSite.UltraSimpleError?.safeAsync(async () => {
             const termElement = event.target.closest(`.${Glossary.CSS.TERM}`);
-            if (!termElement) return;
+            if (!termElement) {
+                await this.#handleWordLookup(event);
+                return;
+            }
 
             event.stopPropagation();
             
@@ -356,25 +390,34 @@ class Glossary {
                 return;
             }
             
-            // 🚀 优化：快速数据查找
-            const termData = this.state.glossaryData[word];
+            // 🚀 优化：快速数据查找；本章没有时按词形在全站和其他章节中查找
+            let termData = this.state.glossaryData[word];
+            if (!termData) {
+                const match = await window.EnglishSite.AppGlossary.lookup(word, { chapterId: this.chapterId, context });
+                termData = match?.termData;
+            }
             if (!termData) { 
                 window.EnglishSite.PerformanceMonitor?.recordMetric('termNotFound', 1, 'glossary');
                 this.#hidePopupOptimized(); 
                 return; 
             }
 
-            const displayEntry = termData.contexts?.[context]?.[0] || termData.contexts?.["default"]?.[0];
-            if (!displayEntry) { 
+            const senses = window.EnglishSite.GlossaryStore.resolveSenses(termData, context);
+            if (!senses.length) { 
                 window.EnglishSite.PerformanceMonitor?.recordMetric('contextNotFound', 1, 'glossary');
                 this.#hidePopupOptimized(); 
                 return; 
             }
 
             this.state.activeElement = termElement;
+            this.state.activeWord = word;
+            this.state.activeSentence = termElement.closest('[data-sentence-id]');
+            this.state.senses = senses;
+            this.state.senseIndex = 0;
             
             // 🚀 优化：批量更新内容
-            await this.#populatePopupOptimized(word, displayEntry);
+            await this.#populatePopupOptimized(word, senses[0]);
+            this.#renderFrequency(word);
             this.#showPopupOptimized();
             
             window.EnglishSite.PerformanceMonitor?.endMeasure(clickPerfId);
@@ -383,6 +426,98 @@ class Glossary {
         }, null, 'glossary.handleTermClick');
     }
 
+    // 🔍 点词查询：词汇表（词形还原、词干）→ 离线词典
+    async #handleWordLookup(event) {
+        if (!Glossary.isWordLookupEnabled()) return;
+        if (event.target.closest('a, button, input, textarea, select')) return;
+
+        // 听力模式下隐藏的句子不查词，以免泄露原文
+        const sentence = event.target.closest('[data-sentence-id]');
+        if (sentence && this.config.audioManager?.isSentenceHidden?.(sentence)) return;
+
+        const range = this.#getWordRangeAtPoint(event.clientX, event.clientY);
+        if (!range) return;
+
+        // 在等待查询前阻止冒泡，避免文档点击立即关闭弹窗
+        event.stopPropagation();
+
+        const word = range.toString();
+        const match = await window.EnglishSite.AppGlossary.define(word, {
+            chapterId: this.chapterId,
+            forms: [Glossary.getStem(word)]
+        });
+        window.EnglishSite.PerformanceMonitor?.recordMetric(match ? `wordLookup-${match.source}` : 'wordLookupMissed', 1, 'glossary');
+
+        // 弹窗按单词位置定位（Range 同样提供 getBoundingClientRect）
+        this.state.activeElement = range;
+        this.state.activeWord = word;
+        this.state.activeSentence = sentence;
+        this.state.senses = match?.senses.length ? match.senses : [{
+            title: word,
+            definition: '词汇表和离线词典中都没有这个词',
+            notFound: true
+        }];
+        this.state.senseIndex = 0;
+
+        await this.#populatePopupOptimized(word, this.state.senses[0]);
+        this.#renderFrequency(word);
+        this.#showPopupOptimized();
+    }
+
+    // 取点击位置所在的英文单词
+    #getWordRangeAtPoint(x, y) {
+        let node = null;
+        let offset = 0;
+
+        if (document.caretPositionFromPoint) {
+            const position = document.caretPositionFromPoint(x, y);
+            node = position?.offsetNode;
+            offset = position?.offset ?? 0;
+        } else if (document.caretRangeFromPoint) {
+            const caret = document.caretRangeFromPoint(x, y);
+            node = caret?.startContainer;
+            offset = caret?.startOffset ?? 0;
+        }
+
+        if (!node || node.nodeType !== Node.TEXT_NODE || !this.contentArea.contains(node)) return null;
+
+        const text = node.textContent;
+        let start = offset;
+        let end = offset;
+        while (start > 0 && Glossary.WORD_PATTERN.test(text[start - 1])) start--;
+        while (end < text.length && Glossary.WORD_PATTERN.test(text[end])) end++;
+
+        // 去掉两端的引号和连字符
+        while (start < end && /['’-]/.test(text[start])) start++;
+        while (end > start && /['’-]/.test(text[end - 1])) end--;
+        if (!/[A-Za-z]/.test(text.slice(start, end))) return null;
+
+        const range = document.createRange();
+        range.setStart(node, start);
+        range.setEnd(node, end);
+        return range;
+    }
+
+    // 📊 全站词频（词频分析完成后才显示）
+    #renderFrequency(word) {
+        const element = this.state.elements.frequency;
+        if (!element) return;
+
+        const manager = window.app?.wordFreqManager || window.wordFreqManager;
+        let text = '';
+
+        if (manager?.isInitialized) {
+            const details = manager.getWordDetails(Glossary.getStem(word)) || manager.getWordDetails(word);
+            if (details) {
+                text = `📊 全站出现 ${details.totalCount} 次，见于 ${details.articleCount} 篇文章`;
+            }
+        } else if (manager) {
+            text = '📊 词频统计中…';
+        }
+
+        this.#updateElementOptimized(element, text, '', true);
+    }
+
     // 🚀 重大优化：批量弹窗内容填充
     async #populatePopupOptimized(word, entry) {
         return window.EnglishSite.UltraSimpleError?.safeAsync(async () => {
@@ -424,6 +559,118 @@ class Glossary {
         // 特殊处理
         this.#updateElementWithExampleOptimized(this.state.elements.exampleContainer, entry.exampleSentence, word);
         this.#populateDetailsListOptimized(entry);
+        this.#renderSensePager();
+        this.#renderSaveButton();
+    }
+
+    // 📖 其他释义翻页
+    #renderSensePager() {
+        const { sensePager, senseLabel } = this.state.elements;
+        if (!sensePager) return;
+
+        const total = this.state.senses.length;
+        sensePager.hidden = total < 2;
+        if (total < 2) return;
+
+        const index = this.state.senseIndex;
+        const entry = this.state.senses[index];
+        senseLabel.textContent = `${index === 0 ? '语境释义' : '其他释义'} ${index + 1}/${total}`;
+        senseLabel.title = entry.label || '';
+
+        sensePager.querySelector('[data-sense-step="-1"]').disabled = index === 0;
+        sensePager.querySelector('[data-sense-step="1"]').disabled = index === total - 1;
+    }
+
+    #handleSensePagerClick(event) {
+        window.EnglishSite.UltraSimpleError?.safeSync(() => {
+            const button = event.target.closest('[data-sense-step]');
+            if (!button || !this.state.isVisible) return;
+
+            const index = this.state.senseIndex + Number(button.dataset.senseStep);
+            if (index < 0 || index >= this.state.senses.length) return;
+
+            this.state.senseIndex = index;
+            this.#batchUpdateElements(this.state.activeWord, this.state.senses[index]);
+            this.#positionPopupOptimized();
+        }, null, 'glossary.handleSensePager');
+    }
+
+    // ⭐ 收入生词本：保存当前显示的释义和原句
+    #handleSaveClick(event) {
+        return window.EnglishSite.UltraSimpleError?.safeAsync(async () => {
+            const button = event.target.closest('[data-glossary-action="save"]');
+            if (!button || !this.state.isVisible) return;
+
+            const entry = this.#getVocabularyEntry();
+            if (!entry) return;
+
+            button.disabled = true;
+            try {
+                await window.EnglishSite.AppVocabulary.save(entry);
+                this.#setSaveButtonState(entry, 'saved');
+            } catch (error) {
+                console.warn('[Glossary] ⚠️ 生词保存失败:', error);
+                this.#setSaveButtonState(entry, 'error');
+            }
+        }, null, 'glossary.handleSaveClick');
+    }
+
+    #getVocabularyEntry() {
+        const sense = this.state.senses[this.state.senseIndex];
+        if (!this.state.activeWord || !sense || sense.notFound) return null;
+
+        const sentence = this.state.activeSentence;
+        const cueId = sentence?.dataset.sentenceId ?? null;
+        const audioManager = this.config.audioManager;
+        const cue = cueId !== null && audioManager?.getCueIndexById ?
+            audioManager.state.srtData[audioManager.getCueIndexById(cueId)] : null;
+
+        return {
+            word: (sense.title || this.state.activeWord).toLowerCase(),
+            sense: { ...sense },
+            chapterId: this.chapterId,
+            chapterTitle: window.app?.navigation?.state?.chaptersMap?.get(this.chapterId)?.title || this.chapterId,
+            cueId,
+            time: cue ? cue.startTime : null,
+            sentence: sentence ? sentence.textContent.replace(/\s+/g, ' ').trim() : ''
+        };
+    }
+
+    // 已保存过的词显示为已收入，再次点击以当前释义更新
+    async #renderSaveButton() {
+        const button = this.state.elements.saveButton;
+        if (!button) return;
+
+        const notebook = window.EnglishSite.AppVocabulary;
+        const entry = notebook?.isSupported() ? this.#getVocabularyEntry() : null;
+        button.hidden = !entry;
+        if (!entry) return;
+
+        this.#setSaveButtonState(entry, 'idle');
+        try {
+            const saved = await notebook.get(window.EnglishSite.VocabularyNotebook.createId(entry));
+            if (saved) this.#setSaveButtonState(entry, 'saved');
+        } catch (error) {
+            console.warn('[Glossary] ⚠️ 生词本读取失败:', error);
+        }
+    }
+
+    #setSaveButtonState(entry, status) {
+        const button = this.state.elements.saveButton;
+        const VocabularyNotebook = window.EnglishSite.VocabularyNotebook;
+
+        // 等待期间弹窗可能已切换到其他词
+        const current = this.#getVocabularyEntry();
+        if (!button || !current || VocabularyNotebook.createId(current) !== VocabularyNotebook.createId(entry)) return;
+
+        const labels = {
+            idle: ['⭐ 收入生词本', '保存这个释义和所在的句子'],
+            saved: ['✅ 已收入生词本', '再次点击以当前释义更新'],
+            error: ['⚠️ 保存失败', '浏览器无法写入本地数据库']
+        };
+        [button.textContent, button.title] = labels[status];
+        button.classList.toggle('saved', status === 'saved');
+        button.disabled = false;
     }
 
     // 🚀 优化：高效元素更新
@@ -655,6 +902,10 @@ class Glossary {
             }, this.performanceOpts.cleanupDelay);
             
             this.state.activeElement = null;
+            this.state.activeWord = null;
+            this.state.activeSentence = null;
+            this.state.senses = [];
+            this.state.senseIndex = 0;
             
             // 恢复音频
             if (this.config.audioManager && this.state.wasAudioPlaying) {
@@ -859,6 +1110,10 @@ class Glossary {
         return window.EnglishSite.UltraSimpleError?.safeSync(() => {
             this.#removeEventListenersOptimized();
             this.#hidePopupOptimized();
+
+            this.wordLookupToggle?.destroy();
+            this.wordLookupToggle = null;
+            this.contentArea?.classList.remove(Glossary.CSS.WORD_LOOKUP);
             
             // 清理缓存
             this.cache.clear();
@@ -20,6 +20,10 @@ class App {
         this.navigation = null;
         this.glossaryManager = null;
         this.audioSyncManager = null;
+        this.playerTools = [];
+        this.audioChapter = null;   // { chapterId, chapterData }，切换音频版本时使用
+        this.vocabularyView = null;
+        this.reviewView = null;
 
         // 🔧 修复：统一词频管理器实例管理
         this.wordFreqManager = null;
@@ -40,7 +44,11 @@ class App {
         this.chapterNavState = {
             isVisible: false,
             navElement: null,
-            scrollThreshold: 0.85
+            scrollHandler: null,
+            scrollThreshold: 0.85,
+            prevChapterId: null,
+            nextChapterId: null,
+            autoplayChapterId: null     // 自动播放下一集：该章加载完成后开始播放
         };
 
         // 🚀 优化：性能监控（可选）
@@ -506,6 +514,14 @@ class App {
                 name: 'chapterLoaded',
                 handler: (e) => this.#onChapterLoaded(e)
             },
+            {
+                name: 'audioVariantRequested',
+                handler: (e) => this.#onAudioVariantRequested(e)
+            },
+            {
+                name: 'deepLinkRequested',
+                handler: (e) => this.#onDeepLinkRequested(e)
+            },
             {
                 name: 'navigationUpdated',
                 handler: (e) => this.#onNavigationUpdated(e)
@@ -514,6 +530,14 @@ class App {
             {
                 name: 'wordFrequencyRequested',
                 handler: (e) => this.#onWordFrequencyRequested(e)
+            },
+            {
+                name: 'vocabularyRequested',
+                handler: () => this.#onVocabularyRequested()
+            },
+            {
+                name: 'reviewRequested',
+                handler: () => this.#onReviewRequested()
             }
         ];
 
@@ -1142,12 +1166,18 @@ class App {
     #onChapterLoaded(e) {
         const {
             chapterId,
-            hasAudio
+            hasAudio,
+            chapterData = {},
+            deepLink = null
         } = e.detail;
         this.#cleanupModules();
 
+        // 自动播放标记只对紧接着加载的这一章有效（该章没有音频时也要清除，以免之后手动打开时自动播放）
+        const autoplay = this.chapterNavState.autoplayChapterId === chapterId;
+        this.chapterNavState.autoplayChapterId = null;
+
         if (!hasAudio) {
-            this.#initializeGlossaryOnly(chapterId);
+            this.#initializeGlossaryOnly(chapterId).then(() => this.#applyTextDeepLink(deepLink));
             return;
         }
 
@@ -1155,12 +1185,160 @@ class App {
             this.elements.playerSection.style.display = 'block';
         }
 
+        const variant = this.#getAudioVariant(chapterId, chapterData);
+
         if (this.elements.audioPlayer) {
-            this.elements.audioPlayer.src = `audio/${chapterId}.mp3`;
+            this.elements.audioPlayer.src = variant.file;
             this.elements.audioPlayer.load();
         }
 
-        this.#initializeAudioChapter(chapterId);
+        this.#initializeAudioChapter(chapterId, chapterData, variant, deepLink, { autoplay });
+    }
+
+    // 📒 生词本页面：点击原句回到章节中的这一句
+    #onVocabularyRequested() {
+        this.#cleanupModules();
+
+        const VocabularyNotebookView = window.EnglishSite.VocabularyNotebookView;
+        if (!VocabularyNotebookView || !this.elements.content) {
+            console.warn('[App] ⚠️ 生词本不可用');
+            return;
+        }
+
+        this.vocabularyView = new VocabularyNotebookView(this.elements.content, {
+            openEntry: (entry) => this.navigation?.openDeepLink({
+                chapterId: entry.chapterId,
+                cueId: entry.cueId,
+                time: entry.cueId === null ? entry.time : null,
+                word: entry.word
+            })
+        });
+        this.#updatePageTitle('生词本');
+    }
+
+    // 🧠 生词复习页面
+    #onReviewRequested() {
+        this.#cleanupModules();
+
+        const ReviewSessionView = window.EnglishSite.ReviewSessionView;
+        if (!ReviewSessionView || !this.elements.content) {
+            console.warn('[App] ⚠️ 生词复习不可用');
+            return;
+        }
+
+        this.reviewView = new ReviewSessionView(this.elements.content, {
+            createAudio: (entry, contentArea) => this.#createReviewAudio(entry, contentArea)
+        });
+        this.#updatePageTitle('生词复习');
+    }
+
+    // 🔊 复习时播放原句：独立的 audio 元素和 AudioSync，不记录播放位置和收听统计
+    async #createReviewAudio(entry, contentArea) {
+        const chapterData = this.navigation?.state?.chaptersMap?.get(entry.chapterId);
+        const AudioSync = window.EnglishSite.AudioSync;
+        if (!chapterData || !AudioSync) return null;
+
+        const hasAudio = chapterData.audio === true || !!chapterData.audioFile || !!chapterData.audio || !!chapterData.srtFile;
+        if (!hasAudio) return null;
+
+        const variantData = {
+            ...chapterData,
+            audioVariants: this.navigation.normalizeAudioVariants(chapterData, entry.chapterId)
+        };
+        const variant = this.#getAudioVariant(entry.chapterId, variantData);
+        const transcript = await this.#loadTranscript(entry.chapterId, this.#getVariantChapterData(variantData, variant));
+
+        const audioPlayer = document.createElement('audio');
+        audioPlayer.preload = 'auto';
+        audioPlayer.src = variant.file;
+
+        const audioSync = new AudioSync(contentArea, transcript.text, audioPlayer,
+            window.EnglishSite.ConfigManager.createModuleConfig('audioSync', {
+                debug: this.config.debug,
+                chapterId: entry.chapterId,
+                audioVariant: this.#getVariantKey(variantData, variant),
+                timingAnchors: chapterData.timingAnchors,
+                transcriptFormat: transcript.format,
+                autoscroll: false,
+                karaoke: false,
+                recordProgress: false
+            }));
+
+        await audioSync.waitForInitialization();
+        return audioSync;
+    }
+
+    // 🔗 当前章节内的分享链接（hash 变化）
+    #onDeepLinkRequested(e) {
+        const link = e.detail || {};
+
+        if (this.audioSyncManager?.isInitialized) {
+            this.audioSyncManager.applyDeepLink(link);
+        } else {
+            this.#applyTextDeepLink(link);
+        }
+    }
+
+    // 无音频章节：只滚动到句子并闪烁提示
+    #applyTextDeepLink(link) {
+        if (!link?.cueId || !this.elements.content) return;
+
+        const element = this.elements.content.querySelector(`[data-sentence-id="${CSS.escape(link.cueId)}"]`);
+        if (!element) return;
+
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.classList.add('deep-link-target');
+        setTimeout(() => element.classList.remove('deep-link-target'), 3000);
+    }
+
+    // 🎧 章节音频版本：默认使用上次选择的版本，找不到时用第一个
+    #getAudioVariant(chapterId, chapterData = {}, variantId = window.EnglishSite.AppState?.get(`preferences.audioVariant.${chapterId}`, null)) {
+        const variants = chapterData.audioVariants?.length ?
+            chapterData.audioVariants :
+            [{ id: 'default', label: '原音', file: chapterData.audioFile || `audio/${chapterId}.mp3`, transcript: null }];
+
+        return variants.find(variant => variant.id === variantId) || variants[0];
+    }
+
+    // 🔀 切换音频版本：加载该版本字幕，由 AudioSync 按句子 id 定位到新音频的同一句
+    async #onAudioVariantRequested(e) {
+        const { variantId } = e.detail || {};
+        if (!this.audioSyncManager || !this.audioChapter) return;
+
+        const { chapterId, chapterData } = this.audioChapter;
+
+        try {
+            const variant = this.#getAudioVariant(chapterId, chapterData, variantId);
+            if (variant.id !== variantId) {
+                throw new Error(`Unknown audio variant: ${variantId}`);
+            }
+
+            const transcript = await this.#loadTranscript(chapterId, this.#getVariantChapterData(chapterData, variant));
+
+            await this.audioSyncManager.switchSource({
+                audioSrc: variant.file,
+                srtText: transcript.text,
+                transcriptFormat: transcript.format,
+                audioVariant: this.#getVariantKey(chapterData, variant)
+            });
+
+            window.EnglishSite.AppState?.set(`preferences.audioVariant.${chapterId}`, variant.id, { source: 'app' });
+        } catch (error) {
+            this.#handleError('switch-audio-variant', error);
+            window.EnglishSite.UltraSimpleError?.showError('音频版本切换失败');
+            document.dispatchEvent(new CustomEvent('audioVariantFailed', { detail: { chapterId, variantId } }));
+        }
+    }
+
+    // 版本字幕优先，未声明时沿用章节字幕
+    #getVariantChapterData(chapterData, variant) {
+        return variant.transcript ? { ...chapterData, transcript: variant.transcript } : chapterData;
+    }
+
+    // 第一个版本沿用章节级的时间校正，其余版本各自保存（偏移、锚点、手动修正）
+    #getVariantKey(chapterData, variant) {
+        const first = chapterData.audioVariants?.[0];
+        return !first || first.id === variant.id ? null : variant.id;
     }
 
     // 🚀 优化：初始化词汇表（减少错误处理）
@@ -1202,13 +1380,15 @@ class App {
     }
 
     // 🚀 优化：音频章节初始化（并行处理）
-    async #initializeAudioChapter(chapterId) {
+    async #initializeAudioChapter(chapterId, chapterData = {}, variant = this.#getAudioVariant(chapterId, chapterData), deepLink = null, { autoplay = false } = {}) {
         this.#showLoadingIndicator('正在加载音频同步...');
+        this.audioChapter = { chapterId, chapterData };
 
         try {
-            // 1. 并行加载SRT和初始化AudioSync
-            const [srtText] = await Promise.all([
-                this.#loadSRTFile(chapterId)
+            // 1. 并行加载字幕和可选的逐词对齐文件
+            const [transcript, wordAlignment] = await Promise.all([
+                this.#loadTranscript(chapterId, this.#getVariantChapterData(chapterData, variant)),
+                this.#loadWordAlignment(chapterData.wordTimings)
             ]);
 
             // 2. 初始化AudioSync
@@ -1217,12 +1397,20 @@ class App {
             }
 
             const audioSyncConfig = window.EnglishSite.ConfigManager.createModuleConfig('audioSync', {
-                debug: this.config.debug
+                debug: this.config.debug,
+                chapterId,
+                audioVariant: this.#getVariantKey(chapterData, variant),
+                audioVariants: chapterData.audioVariants || [variant],
+                deepLink,
+                wordAlignment,
+                timingAnchors: chapterData.timingAnchors,
+                transcriptFormat: transcript.format,
+                mediaMetadata: this.#getMediaMetadata(chapterId, chapterData)
             });
 
             this.audioSyncManager = new window.EnglishSite.AudioSync(
                 this.elements.content,
-                srtText,
+                transcript.text,
                 this.elements.audioPlayer,
                 audioSyncConfig
             );
@@ -1239,12 +1427,24 @@ class App {
             this.#setLoadingState('audioSync', true);
             this.#setLoadingState('glossary', true);
 
+            // 5. 播放器工具（依赖已初始化的AudioSync）
+            this.#initializePlayerTools();
+
+            // 6. 由上一集自动跳转而来时直接开始播放
+            // 浏览器不允许无手势播放时（如 iOS Safari）保持暂停，等用户点击播放
+            if (autoplay) {
+                this.audioSyncManager.play().catch(error => {
+                    console.warn('[App] ⚠️ 自动播放被浏览器阻止，等待手动播放:', error);
+                });
+            }
+
         } catch (error) {
             this.#handleError('init-audio-chapter', error);
 
             // 降级：尝试仅初始化词汇表
             try {
                 await this.#initializeGlossaryOnly(chapterId);
+                this.#applyTextDeepLink(deepLink);
                 window.EnglishSite.UltraSimpleError?.showError('音频同步功能不可用，仅加载词汇表');
             } catch (fallbackError) {
                 this.#handleChapterLoadError(chapterId, fallbackError);
@@ -1254,6 +1454,95 @@ class App {
         }
     }
 
+    // 📱 锁屏/通知栏信息：章节标题、系列和缩略图（章节未设置时用系列缩略图）
+    #getMediaMetadata(chapterId, chapterData = {}) {
+        const thumbnail = chapterData.thumbnail || chapterData.parentNode?.thumbnail;
+
+        return {
+            title: chapterData.title || chapterId,
+            artist: chapterData.seriesTitle || '',
+            album: this.config.siteTitle || '',
+            artwork: thumbnail ? [{ src: thumbnail }] : []
+        };
+    }
+
+    // 🎛️ 播放器工具栏：各工具实例需提供 destroy()
+    #initializePlayerTools() {
+        const toolbar = this.#getPlayerToolbar();
+        if (!toolbar || !this.audioSyncManager) return;
+
+        // 需要章节导航的工具（如自动播放下一集）通过这些回调访问
+        const toolOptions = {
+            getNextChapter: () => this.#getNextChapter(),
+            playChapter: (chapterId) => this.#playChapter(chapterId)
+        };
+
+        const toolClasses = [
+            window.EnglishSite.AudioResumePrompt,
+            window.EnglishSite.AudioKeyboard,
+            window.EnglishSite.AudioListeningMode,
+            window.EnglishSite.AudioSpeakers,
+            window.EnglishSite.AudioVariantSwitcher,
+            window.EnglishSite.AudioAutoplay,
+            window.EnglishSite.AudioCalibration,
+            window.EnglishSite.AudioTimeline,
+            window.EnglishSite.PronunciationRecorder,
+            window.EnglishSite.SentenceLinks,
+            window.EnglishSite.AudioStatsPanel,
+            window.EnglishSite.Dictation
+        ];
+
+        for (const ToolClass of toolClasses) {
+            if (!ToolClass) continue;
+
+            try {
+                this.playerTools.push(new ToolClass(this.audioSyncManager, toolbar, toolOptions));
+            } catch (error) {
+                this.#handleError('init-player-tool', error);
+            }
+        }
+    }
+
+    // ⏭️ 下一集：与章节末尾导航相同，取自 navigationUpdated
+    #getNextChapter() {
+        const chapterId = this.chapterNavState.nextChapterId;
+        if (!chapterId) return null;
+
+        const chapterData = this.navigation?.state.chaptersMap.get(chapterId);
+        return {
+            id: chapterId,
+            title: chapterData?.title || chapterId
+        };
+    }
+
+    #playChapter(chapterId) {
+        if (!this.navigation || !chapterId) return;
+
+        this.chapterNavState.autoplayChapterId = chapterId;
+        this.navigation.navigateToChapter(chapterId);
+    }
+
+    #getPlayerToolbar() {
+        if (!this.elements.playerToolbar && this.elements.playerSection) {
+            const toolbar = document.createElement('div');
+            toolbar.className = 'player-tools';
+            this.elements.playerSection.appendChild(toolbar);
+            this.elements.playerToolbar = toolbar;
+        }
+        return this.elements.playerToolbar;
+    }
+
+    #cleanupPlayerTools() {
+        for (const tool of this.playerTools) {
+            try {
+                tool.destroy();
+            } catch (error) {
+                console.warn('[App] Player tool cleanup error:', error);
+            }
+        }
+        this.playerTools = [];
+    }
+
     // 🚀 新增：音频模式下的词汇表初始化
     async #initializeGlossaryForAudio(chapterId) {
         if (!window.EnglishSite.Glossary) return;
@@ -1274,30 +1563,38 @@ class App {
         }
     }
 
-    // 🚀 优化：SRT文件加载（缓存优化）
-    async #loadSRTFile(chapterId) {
+    // 🚀 优化：字幕文件加载（缓存优化）
+    // 章节数据可声明 transcript: "srt/x.vtt" 或 { file, format }，未声明时沿用 srt/${chapterId}.srt
+    async #loadTranscript(chapterId, chapterData = {}) {
         const perfId = window.EnglishSite.PerformanceMonitor?.startMeasure('load-srt', 'network');
 
         try {
+            const transcript = typeof chapterData.transcript === 'string' ?
+                { file: chapterData.transcript } : (chapterData.transcript || {});
+            const file = transcript.file || chapterData.srtFile || `srt/${chapterId}.srt`;
+
             // 先检查缓存
             const cache = window.EnglishSite.CacheManager?.getCache('srt');
-            const cachedSrt = cache?.get(chapterId);
+            const cached = cache?.get(file);
 
-            if (cachedSrt) {
+            if (cached) {
                 window.EnglishSite.PerformanceMonitor?.endMeasure(perfId);
-                return cachedSrt;
+                return cached;
             }
 
-            const response = await fetch(`srt/${chapterId}.srt`);
+            const response = await fetch(file);
             if (!response.ok) {
-                throw new Error(`SRT file not found: ${response.statusText}`);
+                throw new Error(`Transcript file not found: ${response.statusText}`);
             }
 
-            const srtText = await response.text();
-            cache?.set(chapterId, srtText);
+            const text = await response.text();
+            const format = transcript.format ||
+                window.EnglishSite.SubtitleParser?.detectFormat(text, file) || 'srt';
+            const result = { text, format };
+            cache?.set(file, result);
 
             window.EnglishSite.PerformanceMonitor?.endMeasure(perfId);
-            return srtText;
+            return result;
 
         } catch (error) {
             window.EnglishSite.PerformanceMonitor?.endMeasure(perfId);
@@ -1305,6 +1602,22 @@ class App {
         }
     }
 
+    // 🎤 逐词对齐文件（章节数据 wordTimings 字段声明，可选；失败时降级为按字符长度插值）
+    async #loadWordAlignment(url) {
+        if (!url) return null;
+
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Word timings not found: ${response.statusText}`);
+            }
+            return await response.json();
+        } catch (error) {
+            this.#handleError('load-word-alignment', error);
+            return null;
+        }
+    }
+
     // 🚀 保留原有方法（简化处理）
     #handleChapterLoadError(chapterId, error) {
         const errorMessage = `
@@ -1333,6 +1646,10 @@ class App {
 
         this.#cleanupChapterNavigation();
 
+        // 播放结束自动播放下一集时沿用同一结果
+        this.chapterNavState.prevChapterId = prevChapterId || null;
+        this.chapterNavState.nextChapterId = nextChapterId || null;
+
         if (!prevChapterId && !nextChapterId) return;
 
         this.#createContentEndNavigation(prevChapterId, nextChapterId);
@@ -1355,6 +1672,12 @@ class App {
             this.elements.chapterNavContainer.innerHTML = '';
         }
 
+        // 移除上一章的滚动监听，避免与音频跟随模式的滚动检测叠加
+        if (this.chapterNavState.scrollHandler) {
+            this.elements.content.removeEventListener('scroll', this.chapterNavState.scrollHandler);
+            this.chapterNavState.scrollHandler = null;
+        }
+
         this.chapterNavState.isVisible = false;
         this.chapterNavState.navElement = null;
     }
@@ -1492,7 +1815,10 @@ class App {
             }
         }, 100);
 
-        contentArea.addEventListener('scroll', handleScroll);
+        // 被动监听：音频跟随模式只响应滚轮/触摸等用户操作，
+        // 自动滚动到章节末尾时导航同样会正常出现
+        contentArea.addEventListener('scroll', handleScroll, { passive: true });
+        this.chapterNavState.scrollHandler = handleScroll;
 
         // 立即检查（处理短内容）
         setTimeout(() => {
@@ -1554,6 +1880,17 @@ class App {
 
         // 🔧 新增：清理词频UI实例
         this.#cleanupWordFrequencyModule();
+        this.#cleanupPlayerTools();
+
+        if (this.vocabularyView) {
+            this.vocabularyView.destroy();
+            this.vocabularyView = null;
+        }
+
+        if (this.reviewView) {
+            this.reviewView.destroy();
+            this.reviewView = null;
+        }
 
         // 🚀 优化：并行清理
         const cleanupPromises = [];
@@ -1573,6 +1910,7 @@ class App {
         // 重置状态
         this.audioSyncManager = null;
         this.glossaryManager = null;
+        this.audioChapter = null;
         this.#setLoadingState('audioSync', false);
         this.#setLoadingState('glossary', false);
 
@@ -1713,6 +2051,19 @@ class App {
         seriesInfo.appendChild(seriesIcon);
         seriesInfo.appendChild(seriesText);
 
+        // ✅ 已听完标记
+        if (window.EnglishSite.AppState?.get(`modules.audioSync.listened.${chapter.id}`)) {
+            const listenedBadge = document.createElement('span');
+            listenedBadge.className = 'chapter-listened-badge';
+            listenedBadge.textContent = '✓ 已听完';
+            listenedBadge.style.cssText = `
+                color: #28a745 !important;
+                margin-left: auto !important;
+            `;
+            seriesInfo.appendChild(listenedBadge);
+            wrapper.classList.add('listened');
+        }
+
         // 🎨 标题
         const title = document.createElement('h2');
         title.style.cssText = `
@@ -41,7 +41,9 @@ class Navigation {
             // 基础状态
             activeLink: null,
             hasInitialContent: false,
-            isMainPage: false
+            isMainPage: false,
+            currentChapterId: null,
+            pendingDeepLink: null   // 等待章节加载后交给 chapterLoaded 的深链接
         };
 
         // 🎯 优化：性能配置
@@ -87,7 +89,8 @@ class Navigation {
         return {
             handleGlobalClick: this.handleGlobalClick.bind(this),
             handleResize: this.handleResize.bind(this),
-            handleKeydown: this.handleKeydown.bind(this)
+            handleKeydown: this.handleKeydown.bind(this),
+            handleHashChange: this.handleHashChange.bind(this)
         };
     }
 
@@ -453,6 +456,7 @@ class Navigation {
         document.addEventListener('click', this.boundHandlers.handleGlobalClick);
         window.addEventListener('resize', this.throttledHandlers.handleResize);
         window.addEventListener('keydown', this.boundHandlers.handleKeydown);
+        window.addEventListener('hashchange', this.boundHandlers.handleHashChange);
         
         console.log('[Navigation] ✅ 优化事件监听器已设置');
     }
@@ -579,6 +583,12 @@ class Navigation {
         this.close(); // 🔧 修复：确保导航关闭
         this.state.isMainPage = false;
 
+        // 离开章节页面后，打开链接需要重新加载章节
+        if (node.type !== 'chapter') {
+            this.state.currentChapterId = null;
+            this.syncLocationHash(null);
+        }
+
         switch (node.type) {
             case 'external':
                 this.handleExternalNavigation(node);
@@ -1005,7 +1015,10 @@ class Navigation {
             element.setAttribute('data-action', 'navigate-chapter');
 
             const iconHtml = chapter.icon ? `<span class="nav-icon">${chapter.icon}</span>` : '';
-            element.innerHTML = `${iconHtml}<span class="nav-title">${chapter.title}</span>`;
+            const listened = window.EnglishSite.AppState?.get(`modules.audioSync.listened.${chapter.id}`);
+            const listenedHtml = listened ? '<span class="nav-listened" title="已听完">✓</span>' : '';
+            if (listened) element.classList.add('listened');
+            element.innerHTML = `${iconHtml}<span class="nav-title">${chapter.title}</span>${listenedHtml}`;
 
             fragment.appendChild(element);
         }
@@ -1242,6 +1255,13 @@ class Navigation {
         if (this.state.hasInitialContent) return;
 
         try {
+            const deepLink = Navigation.parseDeepLink(window.location.hash);
+            if (deepLink && this.state.chaptersMap.has(deepLink.chapterId)) {
+                this.openDeepLink(deepLink);
+                this.state.hasInitialContent = true;
+                return;
+            }
+
             const urlParams = new URLSearchParams(window.location.search);
             const chapterId = urlParams.get('chapter');
             const seriesId = urlParams.get('series');
@@ -1386,18 +1406,26 @@ class Navigation {
         this.contentArea.innerHTML = content;
         this.updateTitle(chapterData.title);
         this.setActiveLink(chapterData.id);
+        this.state.currentChapterId = chapterId;
+
+        const deepLink = this.state.pendingDeepLink?.chapterId === chapterId ? this.state.pendingDeepLink : null;
+        this.state.pendingDeepLink = null;
+        this.syncLocationHash(deepLink || { chapterId });
 
         const hasAudio = chapterData.audio === true ||
             !!chapterData.audioFile ||
             !!chapterData.audio ||
             !!chapterData.srtFile;
+        const audioVariants = this.normalizeAudioVariants(chapterData, chapterId);
 
         this.dispatchEvent('chapterLoaded', {
             chapterId,
             hasAudio: hasAudio,
+            deepLink,
             chapterData: {
                 ...chapterData,
-                audioFile: chapterData.audioFile || chapterData.audio || `audio/${chapterId}.mp3`,
+                audioFile: audioVariants[0].file,
+                audioVariants,
                 srtFile: chapterData.srtFile || `srt/${chapterId}.srt`,
                 duration: chapterData.duration,
                 difficulty: chapterData.difficulty,
@@ -1415,6 +1443,36 @@ class Navigation {
         });
     }
 
+    // 🎧 audio 可为单个文件或版本列表（原速、慢速、其他口音），统一为 [{ id, label, file, transcript }]
+    // 列表项可写成 "audio/x.mp3" 或 { id, label, file, transcript }，transcript 缺省时沿用章节字幕
+    normalizeAudioVariants(chapterData, chapterId) {
+        const fallbackFile = chapterData.audioFile ||
+            (typeof chapterData.audio === 'string' ? chapterData.audio : `audio/${chapterId}.mp3`);
+
+        if (!Array.isArray(chapterData.audio)) {
+            return [{ id: 'default', label: '原音', file: fallbackFile, transcript: null }];
+        }
+
+        const variants = chapterData.audio
+            .map((entry, index) => {
+                const variant = typeof entry === 'string' ? { file: entry } : (entry || {});
+                if (!variant.file) return null;
+
+                return {
+                    // id 用作偏好路径的一段，不能含 "."
+                    id: String(variant.id || `v${index + 1}`).replace(/[.~]/g, '-'),
+                    label: variant.label || variant.id || `版本 ${index + 1}`,
+                    file: variant.file,
+                    transcript: variant.transcript || null
+                };
+            })
+            .filter(Boolean);
+
+        return variants.length ?
+            variants :
+            [{ id: 'default', label: '原音', file: fallbackFile, transcript: null }];
+    }
+
     setActiveLink(id) {
         this.state.linksMap.forEach(link => link.classList.remove('active'));
 
@@ -1429,6 +1487,74 @@ class Navigation {
         this.setActiveLink(itemId);
     }
 
+    // 🔗 深链接：#chap1、#chap1/s42、#chap1?t=73.5、#chap1/s42?w=noodle
+    // s42 为句子 id（data-sentence-id），t 为音频时间（秒），w 为句中要标出的单词
+    static parseDeepLink(hash) {
+        const match = String(hash || '').replace(/^#/, '').match(/^([^/?]+)(?:\/([^?]+))?(?:\?(.*))?$/);
+        if (!match) return null;
+
+        const params = new URLSearchParams(match[3] || '');
+        const sentence = match[2] ? decodeURIComponent(match[2]) : null;
+        const time = parseFloat(params.get('t'));
+
+        return {
+            chapterId: decodeURIComponent(match[1]),
+            cueId: sentence ? sentence.replace(/^s(?=\d+$)/, '') : null,
+            time: isFinite(time) && time >= 0 ? time : null,
+            word: params.get('w') || null
+        };
+    }
+
+    static buildDeepLink({ chapterId, cueId = null, time = null, word = null }) {
+        let hash = `#${encodeURIComponent(chapterId)}`;
+        if (cueId !== null && cueId !== undefined) {
+            hash += `/${/^\d+$/.test(cueId) ? `s${cueId}` : encodeURIComponent(cueId)}`;
+        }
+
+        const params = new URLSearchParams();
+        if (typeof time === 'number') params.set('t', String(Math.round(time * 10) / 10));
+        if (word) params.set('w', word);
+
+        const query = params.toString();
+        return query ? `${hash}?${query}` : hash;
+    }
+
+    // 当前章节内直接定位，其他章节先加载再由 chapterLoaded 带上链接
+    openDeepLink(link) {
+        if (link.chapterId === this.state.currentChapterId) {
+            this.dispatchEvent('deepLinkRequested', link);
+            return;
+        }
+
+        this.state.pendingDeepLink = link;
+        this.navigateToChapter(link.chapterId);
+    }
+
+    // 地址栏 hash 始终对应当前章节（不在章节页面时清空）：站内切换后再打开之前的分享链接，hash 有变化才会触发 hashchange
+    // 用 replaceState 修改，不新增历史记录，也不触发 hashchange
+    syncLocationHash(link) {
+        try {
+            const current = Navigation.parseDeepLink(window.location.hash);
+            const hash = link ? Navigation.buildDeepLink(link) : '';
+            if (current ? Navigation.buildDeepLink(current) === hash : !hash) return;
+
+            history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}${hash}`);
+        } catch (error) {
+            console.warn('[Navigation] ⚠️ 地址栏更新失败:', error);
+        }
+    }
+
+    handleHashChange() {
+        try {
+            const link = Navigation.parseDeepLink(window.location.hash);
+            if (!link || !this.state.chaptersMap.has(link.chapterId)) return;
+
+            this.openDeepLink(link);
+        } catch (error) {
+            console.warn('[Navigation] ⚠️ 链接解析失败:', error);
+        }
+    }
+
     getChapterNav(chapterId) {
         const chapterData = this.state.chaptersMap.get(chapterId);
         if (!chapterData) return { prevChapterId: null, nextChapterId: null };
@@ -1617,6 +1743,7 @@ class Navigation {
         document.removeEventListener('click', this.boundHandlers.handleGlobalClick);
         window.removeEventListener('resize', this.throttledHandlers.handleResize);
         window.removeEventListener('keydown', this.boundHandlers.handleKeydown);
+        window.removeEventListener('hashchange', this.boundHandlers.handleHashChange);
 
         // 清理DOM
         const elementsToRemove = ['container', 'overlay'];
@@ -0,0 +1,493 @@
+/**
+ * 🎙️ 跟读录音与对比
+ *
+ * 特性：
+ * - 当前句旁的录音按钮，MediaRecorder 录制跟读
+ * - 先播原句、紧接着播放录音，A/B 对比
+ * - 原音和录音波形并排显示
+ * - 录音按 章节 + 句子 保存在 IndexedDB，可在列表中回听和删除
+ *
+ * @version 1.0.0
+ */
+
+window.EnglishSite = window.EnglishSite || {};
+
+class PronunciationRecorder {
+    static STORE = 'recordings';
+
+    constructor(audioSync, container, options = {}) {
+        this.audioSync = audioSync;
+        this.container = container;
+        this.options = {
+            minRecordSeconds: 3,
+            recordFactor: 2,        // 最长录音 = 原句时长 × 2 + 2 秒
+            ...options
+        };
+
+        this.state = {
+            isOpen: false,
+            recordings: [],
+            recording: null,        // { recorder, stream, cue, timer }
+            selectedId: null,
+            pendingCompareId: null  // 原句播完后要播放的录音
+        };
+
+        this.audioContext = null;   // 仅用于解码录音
+        this.playback = null;       // { audio, url }
+
+        this.handlers = {
+            click: (e) => this.handleClick(e),
+            cueChanged: () => this.placeSentenceButton(),
+            cueEnded: (e) => this.handleCueEnded(e)
+        };
+
+        this.createElements();
+        document.addEventListener('audioCueChanged', this.handlers.cueChanged);
+        document.addEventListener('audioCueEnded', this.handlers.cueEnded);
+
+        this.loadRecordings();
+    }
+
+    // 🏗️ 工具栏按钮、录音列表面板和句子旁的录音按钮
+    createElements() {
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'player-tool-btn';
+        this.button.dataset.recorder = 'toggle';
+        this.button.title = '我的录音';
+        this.button.setAttribute('aria-expanded', 'false');
+        this.button.textContent = '🎧';
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'player-panel recorder-panel';
+        this.panel.hidden = true;
+        this.panel.innerHTML = `
+            <div class="recorder-compare" hidden>
+                <p class="recorder-compare-text"></p>
+                <div class="recorder-waveforms">
+                    <figure>
+                        <canvas class="recorder-wave recorder-wave-original" width="240" height="48"></canvas>
+                        <figcaption>原音</figcaption>
+                    </figure>
+                    <figure>
+                        <canvas class="recorder-wave recorder-wave-mine" width="240" height="48"></canvas>
+                        <figcaption>我的录音</figcaption>
+                    </figure>
+                </div>
+                <div class="calibration-row">
+                    <button type="button" data-recorder="compare">▶️ A/B 对比</button>
+                    <button type="button" data-recorder="play-original">原音</button>
+                    <button type="button" data-recorder="play-mine">录音</button>
+                </div>
+            </div>
+            <p class="recorder-message"></p>
+            <ul class="recorder-list"></ul>
+        `;
+
+        this.elements = {
+            compare: this.panel.querySelector('.recorder-compare'),
+            compareText: this.panel.querySelector('.recorder-compare-text'),
+            originalWave: this.panel.querySelector('.recorder-wave-original'),
+            mineWave: this.panel.querySelector('.recorder-wave-mine'),
+            message: this.panel.querySelector('.recorder-message'),
+            list: this.panel.querySelector('.recorder-list')
+        };
+
+        this.sentenceButton = document.createElement('button');
+        this.sentenceButton.type = 'button';
+        this.sentenceButton.className = 'sentence-tool sentence-record-btn';
+        this.sentenceButton.dataset.recorder = 'record';
+
+        this.container.appendChild(this.button);
+        this.container.appendChild(this.panel);
+
+        this.button.addEventListener('click', this.handlers.click);
+        this.panel.addEventListener('click', this.handlers.click);
+        this.sentenceButton.addEventListener('click', this.handlers.click);
+
+        this.renderSentenceButton();
+        this.placeSentenceButton();
+    }
+
+    handleClick(event) {
+        const action = event.target.closest('[data-recorder]');
+        if (!action) return;
+
+        const selected = this.getRecording(this.state.selectedId);
+
+        switch (action.dataset.recorder) {
+            case 'toggle':
+                this.toggle();
+                break;
+            case 'record':
+                if (this.state.recording) {
+                    this.stopRecording();
+                } else {
+                    this.startRecording();
+                }
+                break;
+            case 'select':
+                this.select(action.dataset.id, true);
+                break;
+            case 'delete':
+                this.deleteRecording(action.dataset.id);
+                break;
+            case 'compare':
+                if (selected) this.playCompare(selected);
+                break;
+            case 'play-original':
+                if (selected) this.playOriginal(selected);
+                break;
+            case 'play-mine':
+                if (selected) this.playRecording(selected);
+                break;
+        }
+    }
+
+    toggle(open) {
+        this.state.isOpen = typeof open === 'boolean' ? open : !this.state.isOpen;
+        this.panel.hidden = !this.state.isOpen;
+        this.button.setAttribute('aria-expanded', String(this.state.isOpen));
+    }
+
+    // 📍 录音按钮跟随当前句
+    placeSentenceButton() {
+        if (this.state.recording) return;
+
+        this.audioSync.placeSentenceTool(this.sentenceButton, this.audioSync.state.lastElement);
+    }
+
+    renderSentenceButton() {
+        const recording = !!this.state.recording;
+        this.sentenceButton.textContent = recording ? '⏹️' : '🎙️';
+        this.sentenceButton.title = recording ? '停止录音' : '录音跟读这一句';
+        this.sentenceButton.classList.toggle('recording', recording);
+    }
+
+    // 🔴 录音
+    async startRecording() {
+        const index = this.audioSync.getReferenceCueIndex();
+        const cue = this.audioSync.getCues()[index];
+        if (!cue) return;
+
+        if (!navigator.mediaDevices?.getUserMedia || typeof MediaRecorder === 'undefined') {
+            this.showMessage('当前浏览器不支持录音');
+            return;
+        }
+
+        try {
+            this.audioSync.pause();
+            this.stopPlayback();
+
+            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            const recorder = new MediaRecorder(stream);
+            const chunks = [];
+
+            recorder.ondataavailable = (e) => {
+                if (e.data && e.data.size) chunks.push(e.data);
+            };
+            recorder.onstop = () => {
+                stream.getTracks().forEach(track => track.stop());
+                const blob = new Blob(chunks, { type: recorder.mimeType || 'audio/webm' });
+                if (blob.size) {
+                    this.saveRecording(cue, blob);
+                }
+            };
+
+            const maxSeconds = Math.max(
+                this.options.minRecordSeconds,
+                (cue.endTime - cue.startTime) * this.options.recordFactor + 2
+            );
+
+            this.state.recording = {
+                recorder,
+                stream,
+                cue,
+                timer: setTimeout(() => this.stopRecording(), maxSeconds * 1000)
+            };
+
+            recorder.start();
+            this.renderSentenceButton();
+        } catch (error) {
+            console.warn('[PronunciationRecorder] ⚠️ 录音启动失败:', error);
+            this.showMessage('无法使用麦克风，请检查浏览器权限');
+            this.state.recording = null;
+            this.renderSentenceButton();
+        }
+    }
+
+    stopRecording() {
+        const recording = this.state.recording;
+        if (!recording) return;
+
+        clearTimeout(recording.timer);
+        this.state.recording = null;
+        this.renderSentenceButton();
+
+        if (recording.recorder.state !== 'inactive') {
+            recording.recorder.stop();
+        } else {
+            recording.stream.getTracks().forEach(track => track.stop());
+        }
+    }
+
+    // 💾 每句只保留最新一条录音
+    async saveRecording(cue, blob) {
+        const chapterId = this.audioSync.config.chapterId;
+        const record = {
+            id: `${chapterId}:${cue.id}`,
+            chapterId,
+            cueId: cue.id,
+            text: cue.text ? cue.text.replace(/\s+/g, ' ') : '',
+            blob,
+            mimeType: blob.type,
+            createdAt: Date.now()
+        };
+
+        try {
+            await window.EnglishSite.AppDB.put(PronunciationRecorder.STORE, record);
+        } catch (error) {
+            console.warn('[PronunciationRecorder] ⚠️ 录音保存失败:', error);
+            this.showMessage('录音未能保存到本地，仅本次可回听');
+        }
+
+        this.state.recordings = [record, ...this.state.recordings.filter(item => item.id !== record.id)];
+        this.renderList();
+        this.toggle(true);
+        this.select(record.id, false);
+        this.playCompare(record);
+    }
+
+    async loadRecordings() {
+        const chapterId = this.audioSync.config.chapterId;
+        if (!chapterId || !window.EnglishSite.AppDB) return;
+
+        try {
+            const recordings = await window.EnglishSite.AppDB.getAll(PronunciationRecorder.STORE, {
+                index: 'chapterId',
+                query: chapterId
+            });
+            this.state.recordings = recordings.sort((a, b) => b.createdAt - a.createdAt);
+        } catch (error) {
+            console.warn('[PronunciationRecorder] ⚠️ 录音读取失败:', error);
+            this.state.recordings = [];
+        }
+
+        this.renderList();
+    }
+
+    async deleteRecording(id) {
+        try {
+            await window.EnglishSite.AppDB.delete(PronunciationRecorder.STORE, id);
+        } catch (error) {
+            console.warn('[PronunciationRecorder] ⚠️ 录音删除失败:', error);
+        }
+
+        this.state.recordings = this.state.recordings.filter(item => item.id !== id);
+        if (this.state.selectedId === id) {
+            this.state.selectedId = null;
+            this.stopPlayback();
+            this.elements.compare.hidden = true;
+        }
+        this.renderList();
+    }
+
+    getRecording(id) {
+        return this.state.recordings.find(item => item.id === id) || null;
+    }
+
+    // 🔊 A/B：先播原句（AudioSync 在句尾暂停并派发 audioCueEnded），再播录音
+    playCompare(record) {
+        const index = this.audioSync.getCueIndexById(record.cueId);
+        if (index === -1) {
+            this.playRecording(record);
+            return;
+        }
+
+        this.stopPlayback();
+        this.state.pendingCompareId = record.id;
+        this.audioSync.playCue(index);
+    }
+
+    playOriginal(record) {
+        const index = this.audioSync.getCueIndexById(record.cueId);
+        if (index === -1) return;
+
+        this.stopPlayback();
+        this.state.pendingCompareId = null;
+        this.audioSync.playCue(index);
+    }
+
+    handleCueEnded(event) {
+        const record = this.getRecording(this.state.pendingCompareId);
+        this.state.pendingCompareId = null;
+
+        if (record && event.detail && event.detail.cueId === record.cueId) {
+            this.playRecording(record);
+        }
+    }
+
+    playRecording(record) {
+        this.stopPlayback();
+        this.audioSync.pause();
+
+        const url = URL.createObjectURL(record.blob);
+        const audio = new Audio(url);
+        audio.addEventListener('ended', () => this.stopPlayback());
+        this.playback = { audio, url };
+
+        audio.play().catch(error => {
+            console.warn('[PronunciationRecorder] ⚠️ 录音播放失败:', error);
+            this.stopPlayback();
+        });
+    }
+
+    stopPlayback() {
+        if (!this.playback) return;
+
+        this.playback.audio.pause();
+        URL.revokeObjectURL(this.playback.url);
+        this.playback = null;
+    }
+
+    // 🎨 列表和对比区
+    select(id, play) {
+        const record = this.getRecording(id);
+        if (!record) return;
+
+        this.state.selectedId = id;
+        this.elements.compare.hidden = false;
+        this.elements.compareText.textContent = record.text || `第 ${record.cueId} 句`;
+        this.renderList();
+        this.renderWaveforms(record);
+
+        if (play) {
+            this.playCompare(record);
+        }
+    }
+
+    renderList() {
+        this.elements.list.innerHTML = '';
+
+        if (!this.state.recordings.length) {
+            const empty = document.createElement('li');
+            empty.className = 'recorder-empty';
+            empty.textContent = '还没有录音，点击当前句旁的 🎙️ 开始跟读';
+            this.elements.list.appendChild(empty);
+            return;
+        }
+
+        const fragment = document.createDocumentFragment();
+        for (const record of this.state.recordings) {
+            const item = document.createElement('li');
+            item.className = 'recorder-item';
+            item.classList.toggle('selected', record.id === this.state.selectedId);
+
+            const text = document.createElement('button');
+            text.type = 'button';
+            text.className = 'recorder-item-text';
+            text.dataset.recorder = 'select';
+            text.dataset.id = record.id;
+            text.textContent = record.text || `第 ${record.cueId} 句`;
+            text.title = new Date(record.createdAt).toLocaleString();
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.dataset.recorder = 'delete';
+            remove.dataset.id = record.id;
+            remove.setAttribute('aria-label', '删除录音');
+            remove.textContent = '🗑️';
+
+            item.append(text, remove);
+            fragment.appendChild(item);
+        }
+        this.elements.list.appendChild(fragment);
+    }
+
+    showMessage(message) {
+        this.elements.message.textContent = message;
+        this.toggle(true);
+    }
+
+    // 〰️ 波形：原音取对应句子的片段，录音取整段
+    async renderWaveforms(record) {
+        const cue = this.audioSync.getCues()[this.audioSync.getCueIndexById(record.cueId)];
+
+        try {
+            const mine = await this.decode(await record.blob.arrayBuffer());
+            if (this.state.selectedId !== record.id) return;
+            this.drawWaveform(this.elements.mineWave, mine, 0, mine.duration);
+        } catch (error) {
+            console.warn('[PronunciationRecorder] ⚠️ 录音波形绘制失败:', error);
+        }
+
+        if (!cue) return;
+
+        try {
+            const original = await this.audioSync.getAudioBuffer();
+            if (this.state.selectedId !== record.id) return;
+
+            const offset = this.audioSync.getTimeOffset();
+            this.drawWaveform(this.elements.originalWave, original, cue.startTime - offset, cue.endTime - offset);
+        } catch (error) {
+            console.warn('[PronunciationRecorder] ⚠️ 原音波形绘制失败:', error);
+        }
+    }
+
+    decode(arrayBuffer) {
+        if (!this.audioContext) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.audioContext = new AudioContextClass();
+        }
+        return this.audioContext.decodeAudioData(arrayBuffer);
+    }
+
+    drawWaveform(canvas, buffer, startTime, endTime) {
+        const context = canvas.getContext('2d');
+        const data = buffer.getChannelData(0);
+        const start = Math.max(0, Math.floor(startTime * buffer.sampleRate));
+        const end = Math.min(data.length, Math.ceil(endTime * buffer.sampleRate));
+        const bars = Math.floor(canvas.width / 2);
+        const samplesPerBar = Math.max(1, Math.floor((end - start) / bars));
+        const middle = canvas.height / 2;
+
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = getComputedStyle(canvas).color;
+
+        for (let bar = 0; bar < bars; bar++) {
+            let peak = 0;
+            const from = start + bar * samplesPerBar;
+            for (let i = from; i < from + samplesPerBar && i < end; i++) {
+                const value = Math.abs(data[i]);
+                if (value > peak) peak = value;
+            }
+
+            const height = Math.max(1, peak * canvas.height);
+            context.fillRect(bar * 2, middle - height / 2, 1, height);
+        }
+    }
+
+    destroy() {
+        // 销毁时丢弃正在录制的内容
+        if (this.state.recording) {
+            const { recorder, stream } = this.state.recording;
+            recorder.onstop = () => stream.getTracks().forEach(track => track.stop());
+        }
+        this.stopRecording();
+        this.stopPlayback();
+        document.removeEventListener('audioCueChanged', this.handlers.cueChanged);
+        document.removeEventListener('audioCueEnded', this.handlers.cueEnded);
+
+        if (this.audioContext) {
+            this.audioContext.close().catch(() => {});
+            this.audioContext = null;
+        }
+
+        this.button.remove();
+        this.panel.remove();
+        this.audioSync.removeSentenceTool(this.sentenceButton);
+    }
+}
+
+// 注册到全局命名空间
+window.EnglishSite.PronunciationRecorder = PronunciationRecorder;
@@ -0,0 +1,367 @@
+/**
+ * 🧠 生词复习
+ *
+ * 特性：
+ * - 按间隔重复（SM-2）复习生词本中的词：看释义、例句填空或近义词回忆单词
+ * - 显示答案后可播放原句音频（通过 AudioSync 单句播放），按 忘了 / 模糊 / 记得 / 简单 评分
+ * - 忘了的卡片到重学时间（10 分钟）后在本轮再次出现，重学不计入每日复习上限
+ * - 到期数量和每日上限（新词、复习）可在页面上调整
+ * - 快捷键：空格显示答案，1~4 评分，R 重播原句
+ * - 调度和记录见 ReviewQueue / ReviewScheduler
+ *
+ * @version 1.0.0
+ */
+
+window.EnglishSite = window.EnglishSite || {};
+
+class ReviewSessionView {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            queue: window.EnglishSite.AppReview,
+            createAudio: () => Promise.resolve(null),   // (entry, contentArea) => AudioSync | null
+            ...options
+        };
+        this.queue = this.options.queue;
+
+        this.state = {
+            session: null,
+            items: [],              // 本轮剩余的卡片
+            relearning: [],         // 忘了的卡片，到期（scheduler.isDue）后优先出现
+            relearnTimer: null,     // 只剩未到期的重学卡片时，等到最早的一张到期
+            current: null,          // { card, entry }
+            revealed: false,
+            reviewed: 0,
+            answering: false,
+            audio: null,            // 当前卡片的 AudioSync
+            audioToken: 0
+        };
+
+        this.handlers = {
+            click: (e) => this.handleClick(e),
+            change: (e) => this.handleChange(e),
+            keydown: (e) => this.handleKeydown(e)
+        };
+
+        this.createElements();
+        this.start();
+    }
+
+    // 🏗️ 页面骨架
+    createElements() {
+        const ReviewScheduler = window.EnglishSite.ReviewScheduler;
+        const gradeButtons = Object.entries(ReviewScheduler.GRADES).map(([grade, { label }], index) => `
+            <button type="button" class="review-grade review-grade-${grade}" data-review="grade" data-grade="${grade}" title="快捷键 ${index + 1}">
+                <span class="review-grade-label">${label}</span>
+                <span class="review-grade-interval"></span>
+            </button>
+        `).join('');
+
+        this.root = document.createElement('section');
+        this.root.className = 'review-session';
+        this.root.innerHTML = `
+            <header class="review-header">
+                <h2>🧠 生词复习</h2>
+                <span class="review-counts"></span>
+                <details class="review-limits">
+                    <summary>每日上限</summary>
+                    <label>新词 <input type="number" min="0" max="999" name="newPerDay"></label>
+                    <label>复习 <input type="number" min="0" max="9999" name="reviewsPerDay"></label>
+                </details>
+            </header>
+            <p class="review-message" hidden></p>
+            <div class="review-card" hidden>
+                <p class="review-hint"></p>
+                <p class="review-prompt"></p>
+                <button type="button" class="review-show" data-review="show">显示答案（空格）</button>
+                <div class="review-answer" hidden>
+                    <h3 class="review-word"></h3>
+                    <p class="review-definition"></p>
+                    <p class="review-example"></p>
+                    <div class="review-source">
+                        <p class="review-sentence"></p>
+                        <button type="button" class="review-play" data-review="play" hidden>🔊 播放原句</button>
+                        <span class="review-chapter"></span>
+                    </div>
+                    <div class="review-grades">${gradeButtons}</div>
+                </div>
+            </div>
+        `;
+
+        this.counts = this.root.querySelector('.review-counts');
+        this.message = this.root.querySelector('.review-message');
+        this.card = this.root.querySelector('.review-card');
+        this.answer = this.root.querySelector('.review-answer');
+        this.showButton = this.root.querySelector('.review-show');
+        this.playButton = this.root.querySelector('.review-play');
+        this.sentence = this.root.querySelector('.review-sentence');
+
+        this.root.addEventListener('click', this.handlers.click);
+        this.root.addEventListener('change', this.handlers.change);
+        document.addEventListener('keydown', this.handlers.keydown);
+
+        this.container.innerHTML = '';
+        this.container.appendChild(this.root);
+    }
+
+    // 📋 读取今天的复习
+    async start() {
+        try {
+            this.state.session = await this.queue.getSession();
+        } catch (error) {
+            console.warn('[ReviewSessionView] ⚠️ 复习队列读取失败:', error);
+            this.state.session = null;
+        }
+
+        this.state.items = this.state.session ? [...this.state.session.items] : [];
+        // 已到期的重学卡片在新队列中，其余的继续等待
+        const ids = new Set(this.state.items.map(item => item.card.id));
+        this.state.relearning = this.state.relearning.filter(item => !ids.has(item.card.id));
+        this.state.reviewed = 0;
+        this.renderLimits();
+        this.next();
+    }
+
+    handleClick(event) {
+        const action = event.target.closest('[data-review]');
+        if (!action) return;
+
+        switch (action.dataset.review) {
+            case 'show':
+                this.reveal();
+                break;
+            case 'grade':
+                this.grade(action.dataset.grade);
+                break;
+            case 'play':
+                this.playSentence();
+                break;
+        }
+    }
+
+    // 每日上限修改后重新生成队列
+    handleChange(event) {
+        const input = event.target;
+        if (!input.closest('.review-limits')) return;
+
+        this.queue.setLimits({ [input.name]: input.value });
+        this.start();
+    }
+
+    handleKeydown(event) {
+        if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+        if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+        if (!this.state.current) return;
+
+        const grades = Object.keys(window.EnglishSite.ReviewScheduler.GRADES);
+
+        if (event.key === ' ' && !this.state.revealed) {
+            event.preventDefault();
+            this.reveal();
+        } else if (this.state.revealed && /^[1-4]$/.test(event.key)) {
+            event.preventDefault();
+            this.grade(grades[Number(event.key) - 1]);
+        } else if (this.state.revealed && event.key.toLowerCase() === 'r') {
+            event.preventDefault();
+            this.playSentence();
+        }
+    }
+
+    // ⏭️ 下一张卡片：到期的重学卡片优先
+    next() {
+        this.releaseAudio();
+        clearTimeout(this.state.relearnTimer);
+        this.state.relearnTimer = null;
+
+        this.state.current = this.takeDueRelearning() || this.state.items.shift() || null;
+        this.state.revealed = false;
+        this.render();
+
+        if (!this.state.current && this.state.relearning.length) {
+            const wait = this.getNextRelearnDue() - this.queue.scheduler.now();
+            this.state.relearnTimer = setTimeout(() => this.next(), Math.max(0, wait));
+        }
+    }
+
+    takeDueRelearning() {
+        const index = this.state.relearning.findIndex(item => this.queue.scheduler.isDue(item.card));
+        return index === -1 ? null : this.state.relearning.splice(index, 1)[0];
+    }
+
+    getNextRelearnDue() {
+        return Math.min(...this.state.relearning.map(item => item.card.due));
+    }
+
+    reveal() {
+        if (!this.state.current || this.state.revealed) return;
+
+        this.state.revealed = true;
+        this.render();
+        this.prepareAudio();
+    }
+
+    async grade(grade) {
+        const current = this.state.current;
+        if (!current || !this.state.revealed || this.state.answering) return;
+
+        this.state.answering = true;
+        try {
+            const card = await this.queue.answer(current.card, grade);
+            this.state.reviewed++;
+
+            // 忘了的卡片到重学时间后再出现
+            if (card.state === 'learning') {
+                this.state.relearning.push({ card, entry: current.entry });
+            }
+        } catch (error) {
+            console.warn('[ReviewSessionView] ⚠️ 复习记录保存失败:', error);
+        } finally {
+            this.state.answering = false;
+        }
+
+        this.next();
+    }
+
+    // 🔊 原句音频：显示答案时按需创建 AudioSync，只用于本张卡片
+    async prepareAudio() {
+        const entry = this.state.current?.entry;
+        this.playButton.hidden = true;
+        if (!entry?.chapterId || entry.cueId === null || entry.cueId === undefined) return;
+
+        const token = ++this.state.audioToken;
+        try {
+            const audio = await this.options.createAudio(entry, this.sentence);
+            if (token !== this.state.audioToken) {
+                this.destroyAudio(audio);
+                return;
+            }
+
+            this.state.audio = audio;
+            this.playButton.hidden = !audio || audio.getCueIndexById(entry.cueId) === -1;
+            audio?.revealSentence(entry.cueId);
+        } catch (error) {
+            console.warn('[ReviewSessionView] ⚠️ 原句音频加载失败:', error);
+        }
+    }
+
+    playSentence() {
+        const audio = this.state.audio;
+        const cueId = this.state.current?.entry?.cueId;
+        if (!audio || cueId === null || cueId === undefined) return;
+
+        // 音频元数据加载前设置 currentTime 无效
+        if (audio.audioPlayer.readyState === 0) {
+            audio.audioPlayer.addEventListener('loadedmetadata', () => this.playSentence(), { once: true });
+            return;
+        }
+        audio.playCue(audio.getCueIndexById(cueId));
+    }
+
+    releaseAudio() {
+        this.state.audioToken++;
+        this.destroyAudio(this.state.audio);
+        this.state.audio = null;
+    }
+
+    destroyAudio(audio) {
+        if (!audio) return;
+
+        audio.pause();
+        audio.destroy().catch(error => console.warn('[ReviewSessionView] ⚠️ 音频清理失败:', error));
+    }
+
+    // 🎨 渲染
+    render() {
+        this.renderCounts();
+
+        const current = this.state.current;
+        this.card.hidden = !current;
+        if (!current) {
+            this.renderMessage();
+            return;
+        }
+        this.message.hidden = true;
+
+        const { card, entry } = current;
+        const sense = entry?.sense || {};
+        const front = window.EnglishSite.ReviewQueue.buildCard(card.type, entry) || { prompt: entry?.word || '', hint: '' };
+
+        this.root.querySelector('.review-hint').textContent = front.hint;
+        this.root.querySelector('.review-prompt').textContent = front.prompt;
+        this.showButton.hidden = this.state.revealed;
+        this.answer.hidden = !this.state.revealed;
+        if (!this.state.revealed) return;
+
+        this.root.querySelector('.review-word').textContent = entry.word;
+        this.root.querySelector('.review-definition').textContent =
+            `${sense.partOfSpeech ? `(${sense.partOfSpeech}) ` : ''}${sense.definition || ''}`;
+        this.root.querySelector('.review-example').textContent = sense.exampleSentence || '';
+
+        // 原句放在带 data-sentence-id 的元素里，AudioSync 播放时可高亮
+        this.sentence.innerHTML = '';
+        if (entry.sentence) {
+            const span = document.createElement('span');
+            span.dataset.sentenceId = entry.cueId ?? '';
+            span.textContent = entry.sentence;
+            this.sentence.appendChild(span);
+        }
+        this.root.querySelector('.review-chapter').textContent = entry.chapterTitle ? `📖 ${entry.chapterTitle}` : '';
+
+        const labels = this.queue.scheduler.previewLabels(card);
+        this.root.querySelectorAll('[data-review="grade"]').forEach(button => {
+            button.querySelector('.review-grade-interval').textContent = labels[button.dataset.grade];
+        });
+    }
+
+    renderCounts() {
+        const session = this.state.session;
+        if (!session) {
+            this.counts.textContent = '';
+            return;
+        }
+
+        const remaining = this.state.items.length + this.state.relearning.length + (this.state.current ? 1 : 0);
+        this.counts.textContent = `剩余 ${remaining} · 到期 ${session.counts.dueTotal} · 新词 ${session.counts.newTotal}`;
+    }
+
+    renderMessage() {
+        const session = this.state.session;
+        let text;
+
+        if (!session) {
+            text = '无法读取复习数据（浏览器不支持本地数据库）';
+        } else if (this.state.relearning.length) {
+            const wait = this.getNextRelearnDue() - this.queue.scheduler.now();
+            text = `⏳ 还有 ${this.state.relearning.length} 张忘了的卡片，约 ${window.EnglishSite.ReviewScheduler.formatInterval(wait)}后再复习`;
+        } else if (this.state.reviewed) {
+            text = `🎉 本轮复习完成，共 ${this.state.reviewed} 张`;
+        } else if (!session.counts.dueTotal && !session.counts.newTotal) {
+            text = '还没有需要复习的词。在词汇弹窗中点击“⭐ 收入生词本”即可加入复习';
+        } else {
+            text = '今天的复习已达到每日上限，明天再来吧';
+        }
+
+        this.message.textContent = text;
+        this.message.hidden = false;
+    }
+
+    renderLimits() {
+        const limits = this.queue.getLimits();
+        this.root.querySelectorAll('.review-limits input').forEach(input => {
+            input.value = limits[input.name];
+        });
+    }
+
+    destroy() {
+        this.releaseAudio();
+        clearTimeout(this.state.relearnTimer);
+
+        document.removeEventListener('keydown', this.handlers.keydown);
+        this.root.removeEventListener('click', this.handlers.click);
+        this.root.removeEventListener('change', this.handlers.change);
+        this.root.remove();
+    }
+}
+
+// 注册到全局命名空间
+window.EnglishSite.ReviewSessionView = ReviewSessionView;
@@ -0,0 +1,148 @@
+/**
+ * 🔗 句子分享链接
+ *
+ * 特性：
+ * - 鼠标所在的句子（触屏设备为当前播放句）旁显示链接按钮
+ * - 点击复制直达该句的链接（#chap1/s42），打开后跳到该句并预先定位音频
+ * - 链接格式由 Navigation.buildDeepLink 生成
+ *
+ * @version 1.0.0
+ */
+
+window.EnglishSite = window.EnglishSite || {};
+
+class SentenceLinks {
+    constructor(audioSync, container, options = {}) {
+        this.audioSync = audioSync;
+        this.container = container;
+        this.contentArea = audioSync.contentArea;
+        this.options = {
+            feedbackMs: 1500,
+            ...options
+        };
+
+        this.state = {
+            cueId: null,
+            feedbackTimer: null
+        };
+
+        this.handlers = {
+            click: (e) => this.handleClick(e),
+            pointerOver: (e) => this.handlePointerOver(e),
+            cueChanged: () => this.placeButton(this.audioSync.state.lastElement)
+        };
+
+        this.createElements();
+        this.contentArea.addEventListener('pointerover', this.handlers.pointerOver);
+        document.addEventListener('audioCueChanged', this.handlers.cueChanged);
+    }
+
+    // 🏗️ 句子旁的链接按钮（同一时间只有一个）
+    createElements() {
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'sentence-tool sentence-link-btn';
+        this.button.textContent = '🔗';
+        this.button.title = '复制这一句的链接';
+        this.button.addEventListener('click', this.handlers.click);
+
+        this.placeButton(this.audioSync.state.lastElement);
+    }
+
+    handlePointerOver(event) {
+        if (event.pointerType === 'touch') return;
+
+        const element = event.target.closest('[data-sentence-id]');
+        if (element && this.contentArea.contains(element)) {
+            this.placeButton(element);
+        }
+    }
+
+    // 📍 放在句子末尾（浮层中，不插入正文）
+    placeButton(element) {
+        if (!element || !element.isConnected) return;
+
+        const cueId = element.dataset.sentenceId;
+        if (cueId === this.state.cueId && this.button.isConnected) return;
+
+        this.state.cueId = cueId;
+        this.audioSync.placeSentenceTool(this.button, element);
+        this.resetFeedback();
+    }
+
+    async handleClick(event) {
+        event.preventDefault();
+        event.stopPropagation();
+
+        if (this.state.cueId === null) return;
+
+        const copied = await this.copyText(this.getLink(this.state.cueId));
+        this.showFeedback(copied);
+    }
+
+    getLink(cueId) {
+        const Navigation = window.EnglishSite.Navigation;
+        const hash = Navigation ?
+            Navigation.buildDeepLink({ chapterId: this.audioSync.config.chapterId, cueId }) :
+            `#${this.audioSync.config.chapterId}`;
+
+        return `${window.location.origin}${window.location.pathname}${window.location.search}${hash}`;
+    }
+
+    // 📋 优先使用 Clipboard API，不可用时（非 HTTPS 等）退回 execCommand
+    async copyText(text) {
+        try {
+            if (navigator.clipboard?.writeText) {
+                await navigator.clipboard.writeText(text);
+                return true;
+            }
+        } catch (error) {
+            console.warn('[SentenceLinks] ⚠️ 剪贴板写入失败，尝试备用方式:', error);
+        }
+
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.cssText = 'position: fixed; top: -1000px; opacity: 0;';
+        document.body.appendChild(textarea);
+        textarea.select();
+
+        try {
+            return document.execCommand('copy');
+        } catch (error) {
+            console.warn('[SentenceLinks] ⚠️ 复制失败:', error);
+            return false;
+        } finally {
+            textarea.remove();
+        }
+    }
+
+    showFeedback(copied) {
+        clearTimeout(this.state.feedbackTimer);
+
+        this.button.textContent = copied ? '✅' : '⚠️';
+        this.button.title = copied ? '已复制' : '复制失败';
+        this.button.classList.add('copied');
+        this.state.feedbackTimer = setTimeout(() => this.resetFeedback(), this.options.feedbackMs);
+    }
+
+    resetFeedback() {
+        clearTimeout(this.state.feedbackTimer);
+        this.state.feedbackTimer = null;
+
+        this.button.textContent = '🔗';
+        this.button.title = '复制这一句的链接';
+        this.button.classList.remove('copied');
+    }
+
+    destroy() {
+        clearTimeout(this.state.feedbackTimer);
+
+        this.contentArea.removeEventListener('pointerover', this.handlers.pointerOver);
+        document.removeEventListener('audioCueChanged', this.handlers.cueChanged);
+        this.audioSync.removeSentenceTool(this.button);
+    }
+}
+
+// 注册到全局命名空间
+window.EnglishSite.SentenceLinks = SentenceLinks;
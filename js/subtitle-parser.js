@@ -0,0 +1,324 @@
+/**
+ * 📝 字幕解析器 - SRT / WebVTT / LRC / JSON
+ *
+ * 特性：
+ * - 统一输出 [{ id, startTime, endTime, text, words? }]
+ * - 按扩展名或内容自动识别格式
+ * - 支持句内逐词时间戳（WebVTT <00:00:01.200>、增强LRC <00:01.20>）
+ * - 不依赖DOM，可在页面和Worker中共用
+ *
+ * @version 1.0.0
+ */
+
+(function(root) {
+    'use strict';
+
+    root.EnglishSite = root.EnglishSite || {};
+
+    const INLINE_TIMESTAMP = /<((?:\d+:)?\d{1,2}:\d{2}[.,]\d{2,3})>/g;
+    const LRC_TIMESTAMP = /\[(\d{1,3}):(\d{2})(?:[.:](\d{1,3}))?\]/g;
+    const LRC_METADATA = /^\[(ar|ti|al|au|by|re|ve|length|offset):([^\]]*)\]$/i;
+
+    class SubtitleParser {
+        static FORMATS = ['srt', 'vtt', 'lrc', 'json'];
+
+        // 🔍 识别格式：扩展名优先，其次内容特征
+        static detectFormat(text, fileName = '') {
+            const extension = String(fileName).split(/[?#]/)[0].split('.').pop().toLowerCase();
+            if (extension === 'webvtt') return 'vtt';
+            if (SubtitleParser.FORMATS.includes(extension)) return extension;
+
+            if (typeof text !== 'string') return 'srt';
+
+            const content = text.replace(/^\uFEFF/, '').trim();
+
+            if (/^WEBVTT/.test(content)) return 'vtt';
+
+            if (/^[\[{]/.test(content)) {
+                try {
+                    JSON.parse(content);
+                    return 'json';
+                } catch (error) {
+                    // 不是JSON，继续判断LRC
+                }
+            }
+
+            if (/^\[\d{1,3}:\d{2}([.:]\d{1,3})?\]/m.test(content) || LRC_METADATA.test(content.split('\n')[0])) {
+                return 'lrc';
+            }
+
+            return 'srt';
+        }
+
+        // 🚀 统一入口
+        static parse(text, options = {}) {
+            if (typeof text !== 'string' && !(options.format === 'json' && text && typeof text === 'object')) {
+                throw new Error('Invalid transcript text');
+            }
+
+            const format = options.format || SubtitleParser.detectFormat(text, options.fileName);
+
+            switch (format) {
+                case 'vtt':
+                    return SubtitleParser.parseVTT(text);
+                case 'lrc':
+                    return SubtitleParser.parseLRC(text, options);
+                case 'json':
+                    return SubtitleParser.parseJSON(text);
+                case 'srt':
+                    return SubtitleParser.parseSRT(text);
+                default:
+                    throw new Error(`Unsupported transcript format: ${format}`);
+            }
+        }
+
+        // 📄 SRT
+        static parseSRT(text) {
+            const blocks = SubtitleParser.normalize(text).split(/\n{2,}/);
+            const cues = [];
+
+            for (const block of blocks) {
+                const lines = block.split('\n');
+                const timeLineIndex = lines.findIndex(line => line.includes('-->'));
+                if (timeLineIndex === -1) continue;
+
+                const id = timeLineIndex > 0 ? lines[0].trim() : String(cues.length + 1);
+                const cue = SubtitleParser.createCue(id, lines[timeLineIndex], lines.slice(timeLineIndex + 1));
+                if (cue) cues.push(cue);
+            }
+
+            return cues;
+        }
+
+        // 📄 WebVTT（忽略 NOTE / STYLE / REGION 块和cue设置）
+        static parseVTT(text) {
+            const blocks = SubtitleParser.normalize(text).split(/\n{2,}/);
+            const cues = [];
+
+            for (const block of blocks) {
+                const lines = block.split('\n');
+                const first = lines[0].trim();
+
+                if (/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(first)) continue;
+
+                const timeLineIndex = lines.findIndex(line => line.includes('-->'));
+                if (timeLineIndex === -1) continue;
+
+                const id = timeLineIndex > 0 ? first : String(cues.length + 1);
+                const cue = SubtitleParser.createCue(id, lines[timeLineIndex], lines.slice(timeLineIndex + 1));
+                if (cue) cues.push(cue);
+            }
+
+            return cues;
+        }
+
+        // 🎵 LRC：每行一个或多个 [mm:ss.xx]，结束时间取下一行开始
+        static parseLRC(text, options = {}) {
+            const lines = SubtitleParser.normalize(text).split('\n');
+            const entries = [];
+            let offset = 0;
+
+            for (const rawLine of lines) {
+                const line = rawLine.trim();
+                if (!line) continue;
+
+                const metadata = line.match(LRC_METADATA);
+                if (metadata) {
+                    if (metadata[1].toLowerCase() === 'offset') {
+                        offset = (parseInt(metadata[2], 10) || 0) / 1000;
+                    }
+                    continue;
+                }
+
+                const stamps = [];
+                let match;
+                LRC_TIMESTAMP.lastIndex = 0;
+                while ((match = LRC_TIMESTAMP.exec(line)) !== null) {
+                    const fraction = match[3] ? parseInt(match[3], 10) / Math.pow(10, match[3].length) : 0;
+                    stamps.push(parseInt(match[1], 10) * 60 + parseInt(match[2], 10) + fraction);
+                }
+                if (!stamps.length) continue;
+
+                const lyric = line.replace(LRC_TIMESTAMP, '').trim();
+                for (const stamp of stamps) {
+                    entries.push({ start: stamp, text: lyric });
+                }
+            }
+
+            // LRC 的 offset 为正表示歌词提前显示
+            entries.forEach(entry => { entry.start = Math.max(0, entry.start - offset); });
+            entries.sort((a, b) => a.start - b.start);
+
+            const cues = [];
+            const lastDuration = options.lastCueDuration || 5;
+
+            entries.forEach((entry, i) => {
+                if (!entry.text) return;
+
+                const endTime = i + 1 < entries.length ? entries[i + 1].start : entry.start + lastDuration;
+                if (endTime <= entry.start) return;
+
+                const cue = {
+                    id: String(cues.length + 1),
+                    startTime: entry.start,
+                    endTime: endTime,
+                    text: SubtitleParser.stripTags(entry.text)
+                };
+
+                // 内联时间戳同样需要扣除 offset
+                const words = SubtitleParser.extractInlineWordTimings(entry.text, entry.start + offset, endTime + offset);
+                if (words) {
+                    cue.words = words.map(word => ({ ...word, start: word.start - offset, end: word.end - offset }));
+                }
+
+                cues.push(cue);
+            });
+
+            return cues;
+        }
+
+        // 🧾 JSON：[{ id, start, end, text, words }] 或 { cues: [...] }，时间可为秒或时间字符串
+        static parseJSON(input) {
+            const data = typeof input === 'string' ? JSON.parse(input) : input;
+            const list = Array.isArray(data) ? data : (data && Array.isArray(data.cues) ? data.cues : null);
+
+            if (!list) {
+                throw new Error('JSON transcript must be an array of cues or { cues: [...] }');
+            }
+
+            const cues = [];
+
+            list.forEach((item, i) => {
+                if (!item || typeof item !== 'object') return;
+
+                const startTime = SubtitleParser.toSeconds(item.startTime ?? item.start);
+                const endTime = SubtitleParser.toSeconds(item.endTime ?? item.end);
+                if (isNaN(startTime) || isNaN(endTime) || endTime <= startTime) return;
+
+                const cue = {
+                    id: String(item.id ?? i + 1),
+                    startTime,
+                    endTime,
+                    text: typeof item.text === 'string' ? item.text : ''
+                };
+
+                if (Array.isArray(item.words) && item.words.length) {
+                    cue.words = item.words
+                        .map(word => ({
+                            word: word.word || word.text || '',
+                            start: SubtitleParser.toSeconds(word.start),
+                            end: SubtitleParser.toSeconds(word.end)
+                        }))
+                        .filter(word => !isNaN(word.start));
+                }
+
+                cues.push(cue);
+            });
+
+            return cues;
+        }
+
+        // 🧩 由时间行和文本行创建cue（SRT / VTT 共用）
+        static createCue(id, timeLine, textLines) {
+            const arrowIndex = timeLine.indexOf('-->');
+            const startTime = SubtitleParser.timeToSeconds(timeLine.substring(0, arrowIndex));
+            // VTT 时间后可能跟cue设置，如 "align:start position:10%"
+            const endTime = SubtitleParser.timeToSeconds(timeLine.substring(arrowIndex + 3).trim().split(/\s+/)[0]);
+
+            if (isNaN(startTime) || isNaN(endTime) || endTime <= startTime) return null;
+
+            const rawText = textLines.join('\n').trim();
+            const cue = {
+                id,
+                startTime,
+                endTime,
+                text: SubtitleParser.stripTags(rawText)
+            };
+
+            // WebVTT 说话人标签 <v Neil>
+            const voice = rawText.match(/<v(?:\.[\w.-]+)?\s+([^>]+)>/);
+            if (voice) cue.voice = voice[1].trim();
+
+            const words = SubtitleParser.extractInlineWordTimings(rawText, startTime, endTime);
+            if (words) cue.words = words;
+
+            return cue;
+        }
+
+        // ⏰ "hh:mm:ss,mmm" / "hh:mm:ss.mmm" / "mm:ss.mmm" → 秒
+        static timeToSeconds(timeString) {
+            if (typeof timeString !== 'string') return NaN;
+
+            const match = timeString.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/);
+            if (!match) return NaN;
+
+            const hh = match[1] ? parseInt(match[1], 10) : 0;
+            const mm = parseInt(match[2], 10);
+            const ss = parseInt(match[3], 10);
+            const fraction = match[4] ? parseInt(match[4], 10) / Math.pow(10, match[4].length) : 0;
+
+            return hh * 3600 + mm * 60 + ss + fraction;
+        }
+
+        static toSeconds(value) {
+            if (typeof value === 'number') return value;
+            if (typeof value === 'string' && /^\d+(\.\d+)?$/.test(value.trim())) return parseFloat(value);
+            return SubtitleParser.timeToSeconds(value);
+        }
+
+        // ⏱️ 句内逐词时间戳：每个时间戳标记其后一段文字的开始
+        static extractInlineWordTimings(text, startTime, endTime) {
+            if (!text) return null;
+
+            INLINE_TIMESTAMP.lastIndex = 0;
+            if (!INLINE_TIMESTAMP.test(text)) return null;
+
+            const parts = text.split(INLINE_TIMESTAMP);
+            const segments = [];
+
+            for (let i = 0; i < parts.length; i += 2) {
+                const segmentStart = i === 0 ? startTime : SubtitleParser.timeToSeconds(parts[i - 1]);
+                const words = parts[i].replace(/<[^>]*>/g, '').split(/\s+/).filter(Boolean);
+                if (words.length && !isNaN(segmentStart)) {
+                    segments.push({ start: segmentStart, words });
+                }
+            }
+
+            const timings = [];
+            segments.forEach((segment, i) => {
+                const segmentEnd = i + 1 < segments.length ? segments[i + 1].start : endTime;
+                timings.push(...SubtitleParser.interpolateWordTimings(segment.words, segment.start, segmentEnd));
+            });
+
+            return timings.length ? timings : null;
+        }
+
+        // 📏 按字符长度在区间内分配逐词时间
+        static interpolateWordTimings(words, startTime, endTime) {
+            const totalChars = words.reduce((sum, word) => sum + word.length, 0) || 1;
+            const duration = Math.max(0, endTime - startTime);
+            const timings = [];
+            let cursor = startTime;
+
+            for (const word of words) {
+                const wordEnd = cursor + duration * word.length / totalChars;
+                timings.push({ word, start: cursor, end: wordEnd });
+                cursor = wordEnd;
+            }
+
+            return timings;
+        }
+
+        // 去除内联时间戳和样式标签，保留纯文本
+        static stripTags(text) {
+            return text.replace(/<[^>]*>/g, '').replace(/[ \t]{2,}/g, ' ').trim();
+        }
+
+        static normalize(text) {
+            return String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim();
+        }
+    }
+
+    root.EnglishSite.SubtitleParser = SubtitleParser;
+
+})(typeof window !== 'undefined' ? window : self);
@@ -0,0 +1,299 @@
+/**
+ * 📒 生词本页面
+ *
+ * 特性：
+ * - 浏览在词汇弹窗中保存的生词：释义、原句、来源章节
+ * - 按关键词搜索、按标签筛选，直接编辑标签和笔记
+ * - 点击原句回到章节中的这一句（深链接），导出为 JSON / CSV
+ * - 数据由 AppVocabulary 保存在本机 IndexedDB
+ *
+ * @version 1.0.0
+ */
+
+window.EnglishSite = window.EnglishSite || {};
+
+class VocabularyNotebookView {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            notebook: window.EnglishSite.AppVocabulary,
+            openEntry: () => {},
+            searchDelay: 200,
+            ...options
+        };
+        this.notebook = this.options.notebook;
+
+        this.state = {
+            entries: [],
+            query: '',
+            tag: null,
+            searchTimer: null
+        };
+
+        this.handlers = {
+            click: (e) => this.handleClick(e),
+            change: (e) => this.handleChange(e),
+            input: (e) => this.handleInput(e)
+        };
+
+        this.createElements();
+        this.refresh();
+    }
+
+    // 🏗️ 页面骨架
+    createElements() {
+        this.root = document.createElement('section');
+        this.root.className = 'vocabulary-notebook';
+        this.root.innerHTML = `
+            <header class="vocabulary-header">
+                <h2>📒 生词本</h2>
+                <span class="vocabulary-count"></span>
+                <div class="vocabulary-export">
+                    <button type="button" data-vocabulary="export" data-format="json">导出 JSON</button>
+                    <button type="button" data-vocabulary="export" data-format="csv">导出 CSV</button>
+                </div>
+            </header>
+            <input type="search" class="vocabulary-search" placeholder="搜索单词、释义、原句或笔记" aria-label="搜索生词">
+            <div class="vocabulary-tags" aria-label="按标签筛选"></div>
+            <p class="vocabulary-empty" hidden></p>
+            <ul class="vocabulary-list"></ul>
+        `;
+
+        this.count = this.root.querySelector('.vocabulary-count');
+        this.tagList = this.root.querySelector('.vocabulary-tags');
+        this.empty = this.root.querySelector('.vocabulary-empty');
+        this.list = this.root.querySelector('.vocabulary-list');
+
+        this.root.addEventListener('click', this.handlers.click);
+        this.root.addEventListener('change', this.handlers.change);
+        this.root.addEventListener('input', this.handlers.input);
+
+        this.container.innerHTML = '';
+        this.container.appendChild(this.root);
+    }
+
+    async refresh() {
+        try {
+            this.state.entries = await this.notebook.getAll();
+        } catch (error) {
+            console.warn('[VocabularyNotebookView] ⚠️ 生词本读取失败:', error);
+            this.state.entries = null;
+        }
+        this.render();
+    }
+
+    handleClick(event) {
+        const action = event.target.closest('[data-vocabulary]');
+        if (!action) return;
+
+        const entry = this.getEntry(action);
+
+        switch (action.dataset.vocabulary) {
+            case 'tag':
+                this.state.tag = action.dataset.tag === this.state.tag ? null : action.dataset.tag || null;
+                this.render();
+                break;
+            case 'open':
+                if (entry) this.options.openEntry(entry);
+                break;
+            case 'delete':
+                if (entry) this.remove(entry);
+                break;
+            case 'export':
+                this.export(action.dataset.format);
+                break;
+        }
+    }
+
+    // ✏️ 标签和笔记在输入框失去焦点（change）时保存
+    async handleChange(event) {
+        const field = event.target.dataset.field;
+        const entry = this.getEntry(event.target);
+        if (!field || !entry) return;
+
+        try {
+            const updated = await this.notebook.update(entry.id, { [field]: event.target.value });
+            Object.assign(entry, updated);
+        } catch (error) {
+            console.warn('[VocabularyNotebookView] ⚠️ 生词保存失败:', error);
+        }
+
+        if (field === 'tags') {
+            event.target.value = entry.tags.join(', ');
+            this.renderTags();
+        }
+    }
+
+    handleInput(event) {
+        if (!event.target.classList.contains('vocabulary-search')) return;
+
+        clearTimeout(this.state.searchTimer);
+        this.state.searchTimer = setTimeout(() => {
+            this.state.query = event.target.value;
+            this.renderList();
+        }, this.options.searchDelay);
+    }
+
+    getEntry(element) {
+        const id = element.closest('[data-entry-id]')?.dataset.entryId;
+        return id ? this.state.entries?.find(entry => entry.id === id) : null;
+    }
+
+    async remove(entry) {
+        if (!window.confirm(`从生词本删除“${entry.word}”？`)) return;
+
+        try {
+            await this.notebook.remove(entry.id);
+            this.state.entries = this.state.entries.filter(item => item !== entry);
+        } catch (error) {
+            console.warn('[VocabularyNotebookView] ⚠️ 生词删除失败:', error);
+        }
+        this.render();
+    }
+
+    // 📤 生成文件并触发下载
+    async export(format) {
+        try {
+            const { filename, mimeType, content } = await this.notebook.export(format);
+            const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        } catch (error) {
+            console.warn('[VocabularyNotebookView] ⚠️ 生词本导出失败:', error);
+        }
+    }
+
+    // 🎨 渲染
+    render() {
+        const entries = this.state.entries;
+
+        if (!entries) {
+            this.count.textContent = '';
+            this.showEmpty('无法读取生词本（浏览器不支持本地数据库）');
+            return;
+        }
+
+        if (this.state.tag && !entries.some(entry => entry.tags.includes(this.state.tag))) {
+            this.state.tag = null;
+        }
+
+        this.count.textContent = `共 ${entries.length} 个`;
+        this.root.querySelectorAll('[data-vocabulary="export"]').forEach(button => {
+            button.disabled = !entries.length;
+        });
+
+        this.renderTags();
+        this.renderList();
+    }
+
+    renderTags() {
+        const tags = window.EnglishSite.VocabularyNotebook.getTags(this.state.entries || []);
+        this.tagList.innerHTML = '';
+        this.tagList.hidden = !tags.length;
+        if (!tags.length) return;
+
+        const fragment = document.createDocumentFragment();
+        for (const { tag, count } of [{ tag: '', count: this.state.entries.length }, ...tags]) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'vocabulary-tag';
+            button.dataset.vocabulary = 'tag';
+            button.dataset.tag = tag;
+            button.textContent = `${tag || '全部'} (${count})`;
+            button.classList.toggle('active', (tag || null) === this.state.tag);
+            fragment.appendChild(button);
+        }
+        this.tagList.appendChild(fragment);
+    }
+
+    renderList() {
+        if (!this.state.entries) return;
+
+        const entries = window.EnglishSite.VocabularyNotebook.filter(this.state.entries || [], {
+            query: this.state.query,
+            tag: this.state.tag
+        });
+
+        this.list.innerHTML = '';
+        if (!entries.length) {
+            this.showEmpty(this.state.entries.length ?
+                '没有符合条件的生词' :
+                '还没有生词。在词汇弹窗中点击“⭐ 收入生词本”即可保存');
+            return;
+        }
+
+        this.empty.hidden = true;
+        const fragment = document.createDocumentFragment();
+        entries.forEach(entry => fragment.appendChild(this.createItem(entry)));
+        this.list.appendChild(fragment);
+    }
+
+    createItem(entry) {
+        const item = document.createElement('li');
+        item.className = 'vocabulary-item';
+        item.dataset.entryId = entry.id;
+        item.innerHTML = `
+            <div class="vocabulary-item-header">
+                <strong class="vocabulary-word"></strong>
+                <span class="vocabulary-pos"></span>
+                <button type="button" class="vocabulary-delete" data-vocabulary="delete" title="删除" aria-label="删除">🗑️</button>
+            </div>
+            <p class="vocabulary-definition"></p>
+            <button type="button" class="vocabulary-source" data-vocabulary="open">
+                <span class="vocabulary-sentence"></span>
+                <span class="vocabulary-chapter"></span>
+            </button>
+            <label class="vocabulary-field">
+                <span>标签</span>
+                <input type="text" data-field="tags" placeholder="用逗号分隔，如：饮食, 考试">
+            </label>
+            <label class="vocabulary-field">
+                <span>笔记</span>
+                <textarea data-field="note" rows="2"></textarea>
+            </label>
+        `;
+
+        const sense = entry.sense || {};
+        item.querySelector('.vocabulary-word').textContent = entry.word;
+        item.querySelector('.vocabulary-pos').textContent = sense.partOfSpeech ? `(${sense.partOfSpeech})` : '';
+        item.querySelector('.vocabulary-definition').textContent = sense.definition || '';
+        item.querySelector('.vocabulary-sentence').textContent = entry.sentence || '（没有记录原句）';
+        item.querySelector('.vocabulary-chapter').textContent =
+            `📖 ${entry.chapterTitle || entry.chapterId}${typeof entry.time === 'number' ? ` · ${this.formatTime(entry.time)}` : ''}`;
+        item.querySelector('[data-vocabulary="open"]').disabled = !entry.chapterId;
+        item.querySelector('[data-field="tags"]').value = entry.tags.join(', ');
+        item.querySelector('[data-field="note"]').value = entry.note;
+
+        return item;
+    }
+
+    showEmpty(text) {
+        this.list.innerHTML = '';
+        this.empty.textContent = text;
+        this.empty.hidden = false;
+    }
+
+    formatTime(seconds) {
+        const total = Math.floor(seconds);
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    destroy() {
+        clearTimeout(this.state.searchTimer);
+
+        this.root.removeEventListener('click', this.handlers.click);
+        this.root.removeEventListener('change', this.handlers.change);
+        this.root.removeEventListener('input', this.handlers.input);
+        this.root.remove();
+    }
+}
+
+// 注册到全局命名空间
+window.EnglishSite.VocabularyNotebookView = VocabularyNotebookView;
@@ -9,6 +9,9 @@
     // 确保 EnglishSite 命名空间存在
     window.EnglishSite = window.EnglishSite || {};
     
+    // 🧵 正文提取 Worker（与字幕解析共用）
+    const TEXT_WORKER_PATH = 'js/workers/text-processing.worker.js';
+    
     // 🛡️ 安全的工具函数
     const SafeUtils = {
         // 安全的对象访问
@@ -997,9 +1000,7 @@
             try {
                 const demoContent = sessionStorage.getItem('demo_content_' + chapterId);
                 if (demoContent) {
-                    const textContent = self.extractTextFromHTML(demoContent);
-                    const title = self.extractTitleFromHTML(demoContent) || chapterId;
-                    resolve({ content: textContent, title: title });
+                    resolve(self.extractArticle(demoContent, chapterId));
                     return;
                 }
             } catch (e) {
@@ -1011,9 +1012,7 @@
                 try {
                     const cachedContent = window.app.navigation.cache.get(chapterId);
                     if (cachedContent) {
-                        const textContent = self.extractTextFromHTML(cachedContent);
-                        const title = self.extractTitleFromHTML(cachedContent) || chapterId;
-                        resolve({ content: textContent, title: title });
+                        resolve(self.extractArticle(cachedContent, chapterId));
                         return;
                     }
                 } catch (e) {
@@ -1028,9 +1027,7 @@
                 }
                 throw new Error('HTTP ' + response.status);
             }).then(function(htmlContent) {
-                const textContent = self.extractTextFromHTML(htmlContent);
-                const title = self.extractTitleFromHTML(htmlContent) || chapterId;
-                resolve({ content: textContent, title: title });
+                resolve(self.extractArticle(htmlContent, chapterId));
             }).catch(function(error) {
                 console.warn('无法从文件获取', chapterId + ':', error.message);
                 reject(new Error('无法获取文章内容: ' + chapterId));
@@ -1038,6 +1035,29 @@
         });
     };
     
+    // 🧵 在 Worker 中提取正文和标题（文章多时不阻塞页面），Worker 不可用时回到主线程
+    WordFrequencyManager.prototype.extractArticle = function(html, chapterId) {
+        const self = this;
+        
+        function extractOnMainThread() {
+            return {
+                content: self.extractTextFromHTML(html),
+                title: self.extractTitleFromHTML(html) || chapterId
+            };
+        }
+        
+        const workerManager = window.EnglishSite.WorkerManager;
+        if (!workerManager) {
+            return Promise.resolve(extractOnMainThread());
+        }
+        
+        return workerManager.execute(TEXT_WORKER_PATH, { task: 'extractText', html: html }, extractOnMainThread)
+            .then(function(result) {
+                return { content: result.content || '', title: result.title || chapterId };
+            })
+            .catch(extractOnMainThread);
+    };
+    
     WordFrequencyManager.prototype.extractTextFromHTML = function(html) {
         return SafeUtils.safeExecute(() => {
             if (typeof DOMParser !== 'undefined') {
@@ -0,0 +1,72 @@
+/**
+ * 🔍 点词查询开关
+ *
+ * 特性：
+ * - 开启后点击正文任意单词即显示释义（词汇表 → 离线词典）和全站词频
+ * - 开启期间点击句子不再跳转音频，用播放器或快捷键控制播放
+ * - 页面右下角的浮动按钮，由 Glossary 创建和销毁，有无音频的章节都可使用
+ * - 设置保存在 StateManager 偏好中，查词逻辑见 Glossary
+ *
+ * @version 1.1.0
+ */
+
+window.EnglishSite = window.EnglishSite || {};
+
+class WordLookupToggle {
+    constructor(contentArea, container = document.body, options = {}) {
+        this.contentArea = contentArea;
+        this.container = container;
+        this.options = {
+            ...options
+        };
+
+        this.handlers = {
+            click: () => this.toggle()
+        };
+
+        this.createElements();
+        this.render();
+    }
+
+    // 🏗️ 浮动按钮
+    createElements() {
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'word-lookup-toggle';
+        this.button.textContent = '🔍';
+        this.button.addEventListener('click', this.handlers.click);
+
+        this.container.appendChild(this.button);
+    }
+
+    isEnabled() {
+        return !!window.EnglishSite.Glossary?.isWordLookupEnabled();
+    }
+
+    toggle(enabled = !this.isEnabled()) {
+        window.EnglishSite.Glossary?.setWordLookup(enabled);
+        this.render();
+    }
+
+    // 🎨 同步按钮和正文样式
+    render() {
+        const enabled = this.isEnabled();
+
+        this.contentArea?.classList.toggle('word-lookup-active', enabled);
+        this.button.classList.toggle('active', enabled);
+        this.button.setAttribute('aria-pressed', String(enabled));
+        this.button.title = enabled ? '点词查询：已开启（点击句子不跳转音频）' : '点词查询：点击任意单词查看释义';
+        this.button.setAttribute('aria-label', this.button.title);
+    }
+
+    // #content 在生词本、复习等页面继续使用，销毁时去掉正文样式
+    destroy() {
+        this.contentArea?.classList.remove('word-lookup-active');
+
+        this.button.removeEventListener('click', this.handlers.click);
+        this.button.remove();
+    }
+}
+
+// 注册到全局命名空间
+window.EnglishSite.WordLookupToggle = WordLookupToggle;
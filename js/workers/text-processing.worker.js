@@ -0,0 +1,83 @@
+/**
+ * 🧵 文本处理 Worker
+ *
+ * 任务（消息格式 { task, ...参数 }，回复 { success, result } 或 { success: false, error }）：
+ * - parseTranscript：解析 SRT / WebVTT / LRC / JSON 字幕并构建时间索引
+ * - extractText：从章节 HTML 提取正文和标题（词频统计用）
+ *
+ * 由 StableWorkerManager.execute 调用，失败时调用方回到主线程处理
+ *
+ * @version 1.0.0
+ */
+
+importScripts('../subtitle-parser.js');
+
+const ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+    ndash: '–', mdash: '—', hellip: '…'
+};
+
+// 📊 与 AudioSync.buildTimeIndex 相同：按开始时间排序
+function buildTimeIndex(cues) {
+    return cues
+        .map((cue, i) => ({ start: cue.startTime, end: cue.endTime, index: i, id: cue.id }))
+        .sort((a, b) => a.start - b.start);
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ?
+                parseInt(entity.slice(2), 16) :
+                parseInt(entity.slice(1), 10);
+            return isNaN(code) ? match : String.fromCodePoint(code);
+        }
+        return ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+// Worker 中没有 DOMParser，按标签剥离；与页面端一样去掉脚本、样式和导航
+function stripTags(html) {
+    return decodeEntities(html
+        .replace(/<!--[\s\S]*?-->/g, ' ')
+        .replace(/<(script|style|nav|header|footer)\b[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' '))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+const tasks = {
+    parseTranscript({ srtText, format, fileName }) {
+        const cues = self.EnglishSite.SubtitleParser.parse(srtText, { format, fileName });
+        return { cues, timeIndex: buildTimeIndex(cues) };
+    },
+
+    extractText({ html }) {
+        if (typeof html !== 'string') {
+            throw new Error('Invalid HTML content');
+        }
+
+        const body = html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i);
+        const heading = html.match(/<h[1-3]\b[^>]*>([\s\S]*?)<\/h[1-3]>/i) ||
+            html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+
+        return {
+            content: stripTags(body ? body[1] : html),
+            title: heading ? stripTags(heading[1]) || null : null
+        };
+    }
+};
+
+self.onmessage = (event) => {
+    const { task = 'parseTranscript', ...data } = event.data || {};
+
+    try {
+        if (!tasks[task]) {
+            throw new Error(`Unknown worker task: ${task}`);
+        }
+        self.postMessage({ success: true, result: tasks[task](data) });
+    } catch (error) {
+        self.postMessage({ success: false, error: error.message });
+    }
+};
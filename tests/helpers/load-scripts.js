@@ -0,0 +1,30 @@
+// tests/helpers/load-scripts.js - 在沙箱中执行浏览器脚本
+// 🧪 js/ 下的模块是注册到 window.EnglishSite 的普通脚本，测试时提供一个最小的 window
+
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { runInNewContext } from 'node:vm';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+/**
+ * 按顺序执行脚本，返回 window.EnglishSite
+ * @param {string[]} files - 相对仓库根目录的路径
+ * @param {object} globals - 额外的全局变量（如 IDBKeyRange）
+ */
+export function loadScripts(files, globals = {}) {
+    const window = { EnglishSite: {} };
+    const sandbox = {
+        window,
+        Date,
+        console: { log() {}, warn() {} },
+        ...globals
+    };
+
+    for (const file of files) {
+        const path = join(ROOT, file);
+        runInNewContext(readFileSync(path, 'utf8'), sandbox, { filename: path });
+    }
+    return window.EnglishSite;
+}
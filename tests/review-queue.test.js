@@ -0,0 +1,222 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { loadScripts } from './helpers/load-scripts.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const NOW = new Date(2026, 2, 10, 15, 30).getTime();
+const MIDNIGHT = new Date(2026, 2, 10).getTime();
+
+// IndexedDB 的最小替身：lowerBound 查询按索引字段过滤
+const IDBKeyRange = {
+    lowerBound: (lower) => ({ lower })
+};
+
+class MemoryDB {
+    constructor() {
+        this.stores = new Map();
+    }
+
+    store(name) {
+        if (!this.stores.has(name)) this.stores.set(name, new Map());
+        return this.stores.get(name);
+    }
+
+    async get(name, key) {
+        return this.store(name).get(key);
+    }
+
+    async getAll(name, { index, query } = {}) {
+        const records = [...this.store(name).values()];
+        if (!index) return records;
+
+        return records.filter(record => typeof query === 'object' ?
+            record[index] >= query.lower :
+            record[index] === query);
+    }
+
+    async put(name, record) {
+        const store = this.store(name);
+        const key = record.id ?? store.size + 1;
+        store.set(key, { ...record });
+    }
+
+    async delete(name, key) {
+        this.store(name).delete(key);
+    }
+}
+
+function createEntry(id, createdAt) {
+    return {
+        id,
+        word: id,
+        createdAt,
+        sense: {
+            definition: `definition of ${id}`,
+            exampleSentence: `A sentence with ${id} in it.`,
+            synonyms: [`${id}-like`]
+        }
+    };
+}
+
+describe('ReviewQueue.getSession', () => {
+    let EnglishSite;
+    let db;
+    let queue;
+    let limits;
+
+    function addCard(vocabularyId, type, fields) {
+        const card = queue.scheduler.createCard({
+            id: EnglishSite.ReviewQueue.createId(vocabularyId, type),
+            vocabularyId,
+            type,
+            ...fields
+        });
+        db.store('reviewCards').set(card.id, card);
+        return card;
+    }
+
+    function addLog(previousState, reviewedAt = NOW - HOUR) {
+        db.store('reviewLog').set(db.store('reviewLog').size + 1, { previousState, reviewedAt });
+    }
+
+    beforeEach(() => {
+        limits = {};
+        EnglishSite = loadScripts(['js/core/ReviewScheduler.js', 'js/core/ReviewQueue.js'], { IDBKeyRange });
+        EnglishSite.AppState = {
+            get: (path, fallback) => path === 'preferences.review' ? limits : fallback,
+            set: (path, value) => { limits = value; }
+        };
+
+        db = new MemoryDB();
+        const entries = ['apple', 'banana', 'cherry', 'damson'].map((id, index) => createEntry(id, MIDNIGHT - (index + 1) * HOUR));
+        const notebook = { getAll: async () => entries };
+
+        queue = new EnglishSite.ReviewQueue(db, notebook, new EnglishSite.ReviewScheduler({ now: () => NOW }));
+    });
+
+    it('creates a card for every type the entry has fields for', async () => {
+        const { cards } = await queue.sync();
+
+        expect(cards).toHaveLength(12);
+        expect(cards.every(card => card.state === 'new')).toBe(true);
+    });
+
+    it('orders due cards by due time, then by id', async () => {
+        await queue.sync();
+        addCard('banana', 'definition', { state: 'review', due: NOW - 1 * HOUR });
+        addCard('apple', 'example', { state: 'review', due: NOW - 3 * HOUR });
+        addCard('cherry', 'synonyms', { state: 'review', due: NOW - 2 * HOUR });
+        addCard('apple', 'definition', { state: 'review', due: NOW - 2 * HOUR });
+        addCard('damson', 'definition', { state: 'review', due: NOW + HOUR });
+
+        limits = { newPerDay: 0 };
+        const session = await queue.getSession();
+
+        expect(session.items.map(item => item.card.id)).toEqual([
+            'apple#example',
+            'apple#definition',
+            'cherry#synonyms',
+            'banana#definition'
+        ]);
+        expect(session.items[0].entry.word).toBe('apple');
+        expect(session.counts).toMatchObject({ due: 4, new: 0, dueTotal: 4 });
+    });
+
+    it('orders new cards by type first so cards of one word are spread out', async () => {
+        limits = { newPerDay: 6 };
+        const session = await queue.getSession();
+
+        expect(session.items.map(item => item.card.id)).toEqual([
+            'apple#definition',
+            'banana#definition',
+            'cherry#definition',
+            'damson#definition',
+            'apple#example',
+            'banana#example'
+        ]);
+    });
+
+    it('falls back to the order cards were added, then to id, within a type', async () => {
+        addCard('apple', 'definition', { createdAt: NOW - 2 * HOUR });
+        addCard('banana', 'definition', { createdAt: NOW - 3 * HOUR });
+        addCard('cherry', 'definition', { createdAt: NOW - 2 * HOUR });
+
+        limits = { newPerDay: 3 };
+        const session = await queue.getSession();
+
+        expect(session.items.map(item => item.card.id)).toEqual([
+            'banana#definition',
+            'apple#definition',
+            'cherry#definition'
+        ]);
+    });
+
+    it('limits new cards by what is left of today\'s new card limit', async () => {
+        addLog('new');
+        addLog('new');
+        addLog('new', MIDNIGHT - MINUTE);     // 昨天的记录不计入
+
+        limits = { newPerDay: 5, reviewsPerDay: 100 };
+        const session = await queue.getSession();
+
+        expect(session.today).toMatchObject({ new: 2, reviews: 0 });
+        expect(session.counts).toMatchObject({ new: 3, newTotal: 12 });
+        expect(session.items).toHaveLength(3);
+    });
+
+    it('limits due reviews by what is left of today\'s review limit', async () => {
+        await queue.sync();
+        for (const [index, id] of ['apple', 'banana', 'cherry', 'damson'].entries()) {
+            addCard(id, 'definition', { state: 'review', due: NOW - (index + 1) * HOUR });
+        }
+        addLog('review');
+
+        limits = { newPerDay: 0, reviewsPerDay: 3 };
+        const session = await queue.getSession();
+
+        expect(session.today).toMatchObject({ reviews: 1 });
+        expect(session.items.map(item => item.card.id)).toEqual(['damson#definition', 'cherry#definition']);
+        expect(session.counts).toMatchObject({ due: 2, dueTotal: 4 });
+    });
+
+    it('returns nothing once both limits are used up', async () => {
+        await queue.sync();
+        addCard('apple', 'definition', { state: 'review', due: NOW - HOUR });
+        addLog('new');
+        addLog('review');
+
+        limits = { newPerDay: 1, reviewsPerDay: 1 };
+        const session = await queue.getSession();
+
+        expect(session.items).toEqual([]);
+        expect(session.counts).toMatchObject({ due: 0, new: 0, dueTotal: 1, newTotal: 11 });
+    });
+
+    it('keeps relearning outside the review limit', async () => {
+        await queue.sync();
+        addCard('apple', 'definition', { state: 'review', due: NOW - 2 * HOUR });
+        addCard('banana', 'definition', { state: 'learning', due: NOW - MINUTE });
+        addCard('cherry', 'definition', { state: 'learning', due: NOW + 5 * MINUTE });
+        addLog('learning');
+        addLog('learning');
+        addLog('review');
+
+        limits = { newPerDay: 0, reviewsPerDay: 1 };
+        const session = await queue.getSession();
+
+        expect(session.today).toMatchObject({ reviews: 1, relearning: 2 });
+        expect(session.items.map(item => item.card.id)).toEqual(['banana#definition']);
+        expect(session.counts).toMatchObject({ due: 1, relearning: 1, dueTotal: 2 });
+    });
+
+    it('logs each answer with the state the card was in', async () => {
+        await queue.sync();
+        const card = addCard('apple', 'definition', {});
+
+        const forgotten = await queue.answer(card, 'again');
+        await queue.answer(forgotten, 'good');
+
+        expect(await queue.getTodayCounts()).toEqual({ new: 1, reviews: 0, relearning: 1 });
+        expect((await queue.getHistory(card.id)).map(log => log.grade)).toEqual(['again', 'good']);
+    });
+});
@@ -0,0 +1,190 @@
+import { execFileSync } from 'node:child_process';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { beforeEach, describe, expect, it } from 'vitest';
+import { loadScripts } from './helpers/load-scripts.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+const { ReviewScheduler } = loadScripts(['js/core/ReviewScheduler.js']);
+
+const MINUTE = 60 * 1000;
+const NOW = new Date(2026, 2, 10, 15, 30).getTime();    // 本地时间 2026-03-10 15:30
+const MIDNIGHT = new Date(2026, 2, 10).getTime();
+
+function localMidnight(daysFromToday) {
+    return new Date(2026, 2, 10 + daysFromToday).getTime();
+}
+
+describe('ReviewScheduler', () => {
+    let scheduler;
+
+    beforeEach(() => {
+        scheduler = new ReviewScheduler({ now: () => NOW });
+    });
+
+    describe('schedule', () => {
+        it('uses intervals of 1, 6 and round(6 × EF) days for the first three good answers', () => {
+            const first = scheduler.schedule(scheduler.createCard(), 'good');
+            const second = scheduler.schedule(first, 'good');
+            const third = scheduler.schedule(second, 'good');
+
+            expect(first.interval).toBe(1);
+            expect(second.interval).toBe(6);
+            expect(third.interval).toBe(Math.round(6 * second.easeFactor));
+            expect(third.interval).toBe(15);
+            expect([first.repetitions, second.repetitions, third.repetitions]).toEqual([1, 2, 3]);
+            expect(third.state).toBe('review');
+        });
+
+        it('multiplies the previous interval by the ease factor before this answer', () => {
+            const card = scheduler.createCard({ state: 'review', repetitions: 3, interval: 10, easeFactor: 1.8 });
+            const next = scheduler.schedule(card, 'hard');
+
+            expect(next.interval).toBe(18);
+            expect(next.easeFactor).toBe(1.66);
+        });
+
+        it.each([
+            ['again', 2.5],
+            ['hard', 2.36],
+            ['good', 2.5],
+            ['easy', 2.6]
+        ])('updates the ease factor for %s', (grade, easeFactor) => {
+            const card = scheduler.createCard({ state: 'review', repetitions: 2, interval: 6 });
+            expect(scheduler.schedule(card, grade).easeFactor).toBe(easeFactor);
+        });
+
+        it('never lowers the ease factor below 1.3', () => {
+            const card = scheduler.createCard({ state: 'review', repetitions: 2, interval: 6, easeFactor: 1.35 });
+            expect(scheduler.schedule(card, 'hard').easeFactor).toBe(ReviewScheduler.MIN_EASE);
+
+            const floor = scheduler.createCard({ state: 'review', repetitions: 2, interval: 6, easeFactor: 1.3 });
+            expect(scheduler.schedule(floor, 'hard').easeFactor).toBe(1.3);
+            expect(scheduler.schedule(floor, 'good').easeFactor).toBe(1.3);
+        });
+
+        it('resets repetitions on again, keeps the ease factor and brings the card back in 10 minutes', () => {
+            const card = scheduler.createCard({ state: 'review', repetitions: 4, interval: 20, easeFactor: 2.1, lapses: 1 });
+            const next = scheduler.schedule(card, 'again');
+
+            expect(next).toMatchObject({
+                state: 'learning',
+                repetitions: 0,
+                interval: 0,
+                easeFactor: 2.1,
+                lapses: 2,
+                due: NOW + 10 * MINUTE,
+                reviewedAt: NOW
+            });
+        });
+
+        it('counts a lapse only when a card in review is forgotten', () => {
+            const fresh = scheduler.schedule(scheduler.createCard(), 'again');
+            expect(fresh.lapses).toBe(0);
+
+            const relearning = scheduler.schedule(fresh, 'again');
+            expect(relearning.lapses).toBe(0);
+            expect(relearning.due).toBe(NOW + 10 * MINUTE);
+        });
+
+        it('aligns due dates to local midnight', () => {
+            const first = scheduler.schedule(scheduler.createCard(), 'good');
+            const second = scheduler.schedule(first, 'easy');
+
+            expect(first.due).toBe(localMidnight(1));
+            expect(second.due).toBe(localMidnight(6));
+            expect(new Date(second.due).getHours()).toBe(0);
+        });
+
+        it('does not change the card it is given', () => {
+            const card = scheduler.createCard();
+            const copy = { ...card };
+            scheduler.schedule(card, 'good');
+
+            expect(card).toEqual(copy);
+        });
+
+        it('throws on an unknown grade', () => {
+            expect(() => scheduler.schedule(scheduler.createCard(), 'perfect')).toThrow('未知的评分: perfect');
+        });
+    });
+
+    // 时区在进程启动时确定，在子进程中按美国东部时间运行（2026-03-08 开始夏令时，当天只有 23 小时）
+    it('keeps due dates on local midnight across a daylight saving change', () => {
+        const script = `
+            import { loadScripts } from './tests/helpers/load-scripts.js';
+            const { ReviewScheduler } = loadScripts(['js/core/ReviewScheduler.js']);
+            const scheduler = new ReviewScheduler({ now: () => new Date(2026, 2, 7, 15, 0).getTime() });
+            const next = scheduler.schedule(scheduler.createCard({ state: 'review', repetitions: 1, interval: 1 }), 'good');
+            const due = new Date(next.due);
+            console.log(JSON.stringify([next.interval, due.getDate(), due.getHours()]));
+        `;
+        const output = execFileSync(process.execPath, ['--input-type=module', '-e', script], {
+            cwd: ROOT,
+            env: { ...process.env, TZ: 'America/New_York' },
+            encoding: 'utf8'
+        });
+
+        expect(JSON.parse(output)).toEqual([6, 13, 0]);
+    });
+
+    describe('preview', () => {
+        it('returns the time until the next review for every grade', () => {
+            const card = scheduler.createCard({ state: 'review', repetitions: 2, interval: 6, easeFactor: 2.5 });
+
+            expect(scheduler.preview(card)).toEqual({
+                again: 10 * MINUTE,
+                hard: localMidnight(15) - NOW,
+                good: localMidnight(15) - NOW,
+                easy: localMidnight(15) - NOW
+            });
+        });
+
+        it('counts passing grades on a new card up to tomorrow midnight', () => {
+            const preview = scheduler.preview(scheduler.createCard());
+
+            expect(preview.again).toBe(10 * MINUTE);
+            expect(preview.good).toBe(localMidnight(1) - NOW);
+        });
+
+        it('labels passing grades by scheduled days even late in the day', () => {
+            const late = new ReviewScheduler({ now: () => new Date(2026, 2, 10, 23, 50).getTime() });
+
+            expect(late.previewLabels(late.createCard())).toEqual({
+                again: '10 分钟',
+                hard: '1 天',
+                good: '1 天',
+                easy: '1 天'
+            });
+
+            const card = late.createCard({ state: 'review', repetitions: 2, interval: 6, easeFactor: 2.5 });
+            expect(late.previewLabels(card).good).toBe('15 天');
+        });
+    });
+
+    describe('isDue', () => {
+        it('never treats new cards as due', () => {
+            expect(scheduler.isDue(scheduler.createCard({ due: NOW - MINUTE }))).toBe(false);
+        });
+
+        it('makes a forgotten card due after the relearn delay', () => {
+            const card = scheduler.schedule(scheduler.createCard(), 'again');
+
+            expect(scheduler.isDue(card)).toBe(false);
+            expect(scheduler.isDue(card, NOW + 10 * MINUTE - 1)).toBe(false);
+            expect(scheduler.isDue(card, NOW + 10 * MINUTE)).toBe(true);
+        });
+
+        it('makes a review card due from local midnight of its due day', () => {
+            const card = scheduler.schedule(scheduler.createCard(), 'good');
+
+            expect(scheduler.isDue(card, localMidnight(1) - 1)).toBe(false);
+            expect(scheduler.isDue(card, localMidnight(1))).toBe(true);
+        });
+    });
+
+    it('starts the day at local midnight', () => {
+        expect(scheduler.startOfDay()).toBe(MIDNIGHT);
+    });
+});
@@ -0,0 +1,139 @@
+// tools/validate-glossary.js - 词汇表数据校验
+// 🎯 检查章节 HTML 中每个 .glossary-term 的 data-word / data-context 能否在词汇表中找到释义
+// 词汇表的合并和释义解析直接使用页面的 js/core/GlossaryStore.js（GlossaryStore.merge / resolveSenses），规则只有一份
+// data-context 可以是 contexts 的键，也可以直接是 senses 中的释义名
+//
+// 用法：node tools/validate-glossary.js [章节HTML ...]
+// 语境没有对应释义时退出码为 1；词汇表中缺词只提示（弹窗不会显示，但不影响阅读）
+
+import { readFileSync, readdirSync, existsSync } from 'node:fs';
+import { basename, dirname, join, relative, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { runInNewContext } from 'node:vm';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const CHAPTERS_DIR = join(ROOT, 'chapters');
+const DATA_DIR = join(ROOT, 'data');
+
+const TERM_TAG = /<[a-z]+\b[^>]*\bclass\s*=\s*"[^"]*\bglossary-term\b[^"]*"[^>]*>/gi;
+
+function getAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`, 'i'));
+    return match ? match[1] : null;
+}
+
+function lineOf(text, index) {
+    return text.slice(0, index).split('\n').length;
+}
+
+function loadTerms(name) {
+    const file = join(DATA_DIR, `terms_${name}.json`);
+    if (!existsSync(file)) return null;
+
+    return JSON.parse(readFileSync(file, 'utf8'));
+}
+
+// 🔗 在沙箱中执行浏览器脚本 GlossaryStore.js，只使用其中不依赖页面的静态方法
+function loadGlossaryStore() {
+    const file = join(ROOT, 'js', 'core', 'GlossaryStore.js');
+    const sandbox = { window: {}, console: { log() {}, warn: console.warn } };
+
+    runInNewContext(readFileSync(file, 'utf8'), sandbox, { filename: file });
+    return sandbox.window.EnglishSite.GlossaryStore;
+}
+
+const GlossaryStore = loadGlossaryStore();
+
+// 📚 该语境是否有可用的释义：data-context 须是 contexts 的键或释义名（回退到 default 不算）
+// contexts 中失效的释义名由 checkSenseReferences 报告
+function hasSense(termData, context) {
+    const declared = termData.contexts?.[context]?.length || termData.senses?.[context];
+    return !!declared && GlossaryStore.resolveSenses(termData, context).length > 0;
+}
+
+// 🔗 contexts 中引用了不存在的释义名
+function checkSenseReferences(terms, file, problems) {
+    for (const [word, termData] of Object.entries(terms)) {
+        for (const [context, entries] of Object.entries(termData.contexts || {})) {
+            for (const item of Array.isArray(entries) ? entries : []) {
+                if (typeof item === 'string' && !termData.senses?.[item]) {
+                    problems.push(`${file}: "${word}" 的语境 "${context}" 引用了不存在的释义 "${item}"`);
+                }
+            }
+        }
+    }
+}
+
+function validateChapter(htmlPath, globalTerms, problems, warnings) {
+    const chapterId = basename(htmlPath, '.html');
+    const html = readFileSync(htmlPath, 'utf8');
+    const file = relative(ROOT, htmlPath);
+    const tags = [...html.matchAll(TERM_TAG)];
+    if (!tags.length) return 0;
+
+    const chapterTerms = loadTerms(chapterId);
+    if (!chapterTerms && !globalTerms) {
+        problems.push(`${file}: 有 ${tags.length} 个词汇，但缺少 data/terms_${chapterId}.json`);
+        return tags.length;
+    }
+    if (chapterTerms) {
+        checkSenseReferences(chapterTerms, `data/terms_${chapterId}.json`, problems);
+    }
+
+    const terms = GlossaryStore.merge(globalTerms || {}, chapterTerms || {});
+
+    for (const tag of tags) {
+        const word = getAttribute(tag[0], 'data-word');
+        const context = getAttribute(tag[0], 'data-context') || 'default';
+        const location = `${file}:${lineOf(html, tag.index)}`;
+
+        if (!word) {
+            problems.push(`${location}: 词汇缺少 data-word`);
+        } else if (!terms[word]) {
+            warnings.push(`${location}: 词汇表中没有 "${word}"`);
+        } else if (!hasSense(terms[word], context)) {
+            problems.push(`${location}: "${word}" 没有与 data-context="${context}" 对应的释义`);
+        }
+    }
+    return tags.length;
+}
+
+function main(args) {
+    const files = args.length ?
+        args.map(file => resolve(file)) :
+        readdirSync(CHAPTERS_DIR).filter(name => name.endsWith('.html')).map(name => join(CHAPTERS_DIR, name));
+
+    const problems = [];
+    const warnings = [];
+    let checked = 0;
+
+    let globalTerms = null;
+    try {
+        globalTerms = loadTerms('global');
+        if (globalTerms) {
+            checkSenseReferences(globalTerms, 'data/terms_global.json', problems);
+        }
+    } catch (error) {
+        problems.push(`data/terms_global.json: 读取失败 - ${error.message}`);
+    }
+
+    for (const file of files) {
+        try {
+            checked += validateChapter(file, globalTerms, problems, warnings);
+        } catch (error) {
+            problems.push(`${relative(ROOT, file)}: 读取失败 - ${error.message}`);
+        }
+    }
+
+    warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
+
+    if (problems.length) {
+        problems.forEach(problem => console.error(`❌ ${problem}`));
+        console.error(`\n[validate-glossary] ${problems.length} 个问题（检查了 ${files.length} 个章节、${checked} 个词汇）`);
+        process.exitCode = 1;
+    } else {
+        console.log(`[validate-glossary] ✅ ${files.length} 个章节、${checked} 个词汇的语境均有对应释义（${warnings.length} 个提示）`);
+    }
+}
+
+main(process.argv.slice(2));